@@ -0,0 +1,1461 @@
+// HYDROTHERM grid model and field derivations.
+// Shared by the page (script.js) and the Node API (hydrotherm.js), so
+// nothing in here may touch the DOM or the page's globals.
+// Needs iapws97.js and hydro-parser.js loaded first.
+
+const DERIVED_VECTOR_FIELDS = [
+    'water_flux_mag',
+    'steam_flux_mag',
+    'total_flux_mag',
+    'heat_flux_proxy',
+    'heat_flux_total',
+    'enthalpy_flux',
+    'peclet_number'
+];
+
+// Finite differences on the grid and between output times (see
+// "Gradient fields").
+const GRADIENT_SCALAR_FIELDS = [
+    'geothermal_gradient',
+    'temperature_gradient_mag',
+    'pressure_gradient_mag',
+    'temperature_rate',
+    'pressure_rate',
+    'conductive_heat_flux'
+];
+
+// Computed from Plot_scalar alone.
+const DERIVED_SCALAR_FIELDS = [
+    'saturation_departure',
+    ...GRADIENT_SCALAR_FIELDS
+];
+
+// ============================================================
+// Water / steam properties
+// IAPWS-IF97 (iapws97.js) evaluated at a cell's temperature (°C)
+// and pressure (bar) from Plot_scalar.
+// ============================================================
+
+// Liquid and steam states for one cell. A phase that does not exist at
+// (P, T) is taken at saturation at P, which is what a flux of it carries;
+// above the critical pressure both are the same supercritical fluid.
+// Either state is null outside the IF97 range.
+function getPhaseProperties(tempC, pressureBar) {
+    const p = pressureBar / 10.0;
+    const T = tempC + 273.15;
+    const state = if97Properties(p, T);
+
+    if (p >= IF97_CRITICAL_PRESSURE_MPA) return { water: state, steam: state };
+
+    const tSat = if97SaturationTemperature(p);
+    if (T < tSat) return { water: state, steam: if97SaturatedVapour(p) };
+    if (T > tSat) return { water: if97SaturatedLiquid(p), steam: state };
+    return { water: if97SaturatedLiquid(p), steam: if97SaturatedVapour(p) };
+}
+
+// ============================================================
+// Basic helpers
+// ============================================================
+
+function mag3(a, b, c) {
+    return Math.sqrt(a * a + b * b + c * c);
+}
+
+// Expression fields (see "Expression fields") count as derived fields of
+// the kind of nodes they are evaluated on.
+function isDerivedVectorField(variable) {
+    return DERIVED_VECTOR_FIELDS.includes(variable) || (isExpressionField(variable) && getExpressionField(variable).usesVector);
+}
+
+function isDerivedScalarField(variable) {
+    return DERIVED_SCALAR_FIELDS.includes(variable) || (isExpressionField(variable) && !getExpressionField(variable).usesVector);
+}
+
+function getClosestTimeValue(targetTime, availableTimes) {
+    if (!availableTimes || availableTimes.length === 0) return null;
+    return availableTimes.reduce((prev, curr) =>
+        Math.abs(curr - targetTime) < Math.abs(prev - targetTime) ? curr : prev
+    );
+}
+
+// ============================================================
+// Time-step stores
+// A parsed file: { kind, fileName, fileSize, lastModified, fields,
+// times, steps: Map(time -> step), grid, stats }, where each step
+// is { time, count, <field>: Float64Array, ... }. setStoreConductivity()
+// adds a conductivity setting to a Plot_scalar store.
+// ============================================================
+
+// Store of every step from createTimeStepStore(), and step and node index
+// of every row from getStepRow(), for the fields that need neighbouring
+// nodes or time steps.
+const stepStores = new WeakMap();
+const stepRowNodes = new WeakMap();
+
+// `file` only needs name, size and lastModified, so a cached dataset can be
+// turned back into a store as well (see "Session save / restore" in script.js).
+function createTimeStepStore(file, result) {
+    const steps = new Map();
+    for (const step of result.steps) {
+        steps.set(step.time, step);
+    }
+
+    const store = {
+        kind: result.kind,
+        fileName: file.name,
+        fileSize: file.size,
+        lastModified: file.lastModified,
+        fields: getStoredFields(result.kind),
+        times: result.times,
+        steps,
+        grid: result.steps.length > 0 ? buildGridModel(result.steps[0]) : null,
+        stats: result.stats
+    };
+    for (const step of result.steps) {
+        stepStores.set(step, store);
+    }
+    return store;
+}
+
+function describeMissingDataRows(label, stats) {
+    const detected = stats.detected;
+    return (
+        `No valid ${label} data rows were found. ` +
+        `Detected kind: ${detected.kind}; ` +
+        `scalar-like rows: ${detected.scalarRows}; ` +
+        `vector-like rows: ${detected.vectorRows}.`
+    );
+}
+
+function getStepRow(store, step, n) {
+    const row = { time: step.time };
+    for (const name of store.fields) {
+        row[name] = step[name][n];
+    }
+    stepRowNodes.set(row, { step, n });
+    return row;
+}
+
+// Store of an Out_balance, Out_* field printout or input deck: the builder
+// result (see hydro-parser.js) with the file's name, size and time.
+function createOutFileStore(file, result) {
+    return {
+        ...result,
+        fileName: file.name,
+        fileSize: file.size,
+        lastModified: file.lastModified
+    };
+}
+
+// Store for the result of createHydroBuilder(kind).finish().
+function createHydroStore(file, result) {
+    if (['balance', 'printout', 'deck'].includes(result.kind)) return createOutFileStore(file, result);
+    return createTimeStepStore(file, result);
+}
+
+// Throws when a parsed store holds no usable data.
+function validateHydroStore(store) {
+    if (store.kind === 'balance') {
+        if (store.series.length === 0) throw new Error(`No balance terms with a print time were found in ${store.fileName}.`);
+        return;
+    }
+    if (store.kind === 'printout') {
+        if (store.steps.length === 0) throw new Error(`No field tables (K rows by I columns) were found in ${store.fileName}.`);
+        return;
+    }
+    if (store.kind === 'deck') {
+        if (store.stats.keywordLines === 0) {
+            throw new Error(`No grid, rock-property or boundary keywords were found in ${store.fileName}.`);
+        }
+        return;
+    }
+
+    if (store.stats.validDataLines === 0) {
+        const label = store.kind === 'vector' ? 'vector file' : 'file';
+        throw new Error(`Invalid ${label} format: ${describeMissingDataRows(store.kind, store.stats)}`);
+    }
+
+    if (store.times.length === 0) {
+        throw new Error('No valid time-indexed data found in file.');
+    }
+}
+
+// ============================================================
+// Grid model
+// Built once per file from the first time step. Node coordinates
+// are mapped to integer (i, j, k) indices along x, y and z, and
+// every cell to the node stored there, so heatmaps, vector
+// overlays, click selection and probes never scan all rows.
+// 2-D sections are simply grids with one value along an axis.
+// ============================================================
+
+// Plot planes: horizontal axis, vertical axis and the axis normal to the slice.
+const SLICE_PLANES = {
+    xz: { h: 'x', v: 'z', normal: 'y', label: 'X–Z' },
+    xy: { h: 'x', v: 'y', normal: 'z', label: 'X–Y' },
+    yz: { h: 'y', v: 'z', normal: 'x', label: 'Y–Z' }
+};
+
+function getSortedUniqueValues(values) {
+    return Float64Array.from(new Set(values)).sort();
+}
+
+function buildGridModel(step) {
+    const xs = getSortedUniqueValues(step.x);
+    const ys = getSortedUniqueValues(step.y);
+    const zs = getSortedUniqueValues(step.z);
+
+    const grid = {
+        xs,
+        ys,
+        zs,
+        nx: xs.length,
+        ny: ys.length,
+        nz: zs.length,
+        xIndex: new Map(),
+        yIndex: new Map(),
+        zIndex: new Map(),
+        // Cell widths (m) per axis index; see getAxisCellWidthsM.
+        xWidthsM: getAxisCellWidthsM(xs),
+        yWidthsM: getAxisCellWidthsM(ys),
+        zWidthsM: getAxisCellWidthsM(zs),
+        referenceStep: step,
+        cellNode: null
+    };
+
+    xs.forEach((value, i) => grid.xIndex.set(value, i));
+    ys.forEach((value, j) => grid.yIndex.set(value, j));
+    zs.forEach((value, k) => grid.zIndex.set(value, k));
+    grid.cellNode = mapStepToCells(grid, step);
+
+    return grid;
+}
+
+function isGrid3D(grid) {
+    return !!grid && grid.nx > 1 && grid.ny > 1 && grid.nz > 1;
+}
+
+// Plane that shows a 2-D section; X–Z unless the section lies in another plane.
+function getDefaultSliceOrientation(grid) {
+    if (!grid || isGrid3D(grid)) return 'xz';
+    if (grid.nz === 1 && grid.ny > 1) return 'xy';
+    if (grid.nx === 1 && grid.ny > 1) return 'yz';
+    return 'xz';
+}
+
+function getGridAxis(grid, axis) {
+    return grid[`${axis}s`];
+}
+
+function getCellIndex(grid, i, j, k) {
+    return (k * grid.ny + j) * grid.nx + i;
+}
+
+function mapStepToCells(grid, step) {
+    const cellNode = new Int32Array(grid.nx * grid.ny * grid.nz).fill(-1);
+
+    for (let n = 0; n < step.count; n++) {
+        const i = grid.xIndex.get(step.x[n]);
+        const j = grid.yIndex.get(step.y[n]);
+        const k = grid.zIndex.get(step.z[n]);
+        if (i !== undefined && j !== undefined && k !== undefined) {
+            cellNode[getCellIndex(grid, i, j, k)] = n;
+        }
+    }
+
+    return cellNode;
+}
+
+function hasSameNodeLayout(a, b) {
+    if (a === b) return true;
+    if (a.count !== b.count) return false;
+
+    for (let n = 0; n < a.count; n++) {
+        if (a.x[n] !== b.x[n] || a.y[n] !== b.y[n] || a.z[n] !== b.z[n]) return false;
+    }
+    return true;
+}
+
+// HYDROTHERM writes nodes in the same order at every time step, so the
+// reference mapping is normally shared; a step that differs gets its own.
+function getStepCellNodes(grid, step) {
+    if (!step.cellNode) {
+        step.cellNode = hasSameNodeLayout(grid.referenceStep, step)
+            ? grid.cellNode
+            : mapStepToCells(grid, step);
+    }
+    return step.cellNode;
+}
+
+function findNearestAxisIndex(axis, value) {
+    let lo = 0;
+    let hi = axis.length - 1;
+
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (axis[mid] <= value) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    return Math.abs(axis[hi] - value) < Math.abs(axis[lo] - value) ? hi : lo;
+}
+
+// Cell faces along a sorted axis (length + 1 values): midway between nodes,
+// with the outer faces half a spacing beyond the end nodes.
+function getAxisFaces(axis) {
+    const last = axis.length - 1;
+    const faces = new Float64Array(axis.length + 1);
+
+    if (last < 1) {
+        faces.fill(axis[0]);
+        return faces;
+    }
+
+    for (let i = 1; i <= last; i++) {
+        faces[i] = (axis[i - 1] + axis[i]) / 2;
+    }
+    faces[0] = axis[0] - (axis[1] - axis[0]) / 2;
+    faces[last + 1] = axis[last] + (axis[last] - axis[last - 1]) / 2;
+
+    return faces;
+}
+
+// Cell widths in metres along a sorted axis (km). A single-node axis is the
+// thickness of a 2-D section and counts as 1 m, so areas and volumes of 2-D
+// runs are per metre of thickness.
+function getAxisCellWidthsM(axis) {
+    if (axis.length < 2) return Float64Array.of(1.0);
+
+    const faces = getAxisFaces(axis);
+    const widths = new Float64Array(axis.length);
+    for (let i = 0; i < axis.length; i++) {
+        widths[i] = (faces[i + 1] - faces[i]) * 1000.0;
+    }
+    return widths;
+}
+
+// X–Z face area (m²) of the cell around a node, used for the per-cell MW fields.
+function getNodeCellAreaM2(grid, x, z) {
+    return grid.xWidthsM[findNearestAxisIndex(grid.xs, x)] * grid.zWidthsM[findNearestAxisIndex(grid.zs, z)];
+}
+
+function getNodeCellVolumeM3(grid, x, y, z) {
+    return getNodeCellAreaM2(grid, x, z) * grid.yWidthsM[findNearestAxisIndex(grid.ys, y)];
+}
+
+function findNearestGridCell(grid, x, y, z) {
+    const i = findNearestAxisIndex(grid.xs, x);
+    const j = findNearestAxisIndex(grid.ys, y);
+    const k = findNearestAxisIndex(grid.zs, z);
+
+    return {
+        i,
+        j,
+        k,
+        distance: Math.sqrt(
+            Math.pow(grid.xs[i] - x, 2) +
+            Math.pow(grid.ys[j] - y, 2) +
+            Math.pow(grid.zs[k] - z, 2)
+        )
+    };
+}
+
+// Node index at exactly (x, y, z), or -1.
+function findGridNode(grid, step, x, y, z) {
+    const i = grid.xIndex.get(x);
+    const j = grid.yIndex.get(y);
+    const k = grid.zIndex.get(z);
+    if (i === undefined || j === undefined || k === undefined) return -1;
+
+    return getStepCellNodes(grid, step)[getCellIndex(grid, i, j, k)];
+}
+
+// Interval of a sorted axis holding `value`: { i, f } with value = axis[i] + f·(axis[i+1] − axis[i]).
+function findAxisInterval(axis, value) {
+    const last = axis.length - 1;
+    if (last < 1 || !(value >= axis[0] && value <= axis[last])) return null;
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (axis[mid] <= value) lo = mid; else hi = mid;
+    }
+
+    return { i: lo, f: (value - axis[lo]) / (axis[lo + 1] - axis[lo]) };
+}
+
+// A single-node axis (the thickness of a 2-D section) always matches.
+function findInterpolationInterval(axis, value) {
+    return axis.length === 1 ? { i: 0, f: 0 } : findAxisInterval(axis, value);
+}
+
+// Trilinear value of one node field of `step` at (x, y, z) km, or NaN
+// outside the grid or next to a missing node.
+function sampleStepTrilinear(grid, step, values, x, y, z) {
+    const ix = findInterpolationInterval(grid.xs, x);
+    const iy = findInterpolationInterval(grid.ys, y);
+    const iz = findInterpolationInterval(grid.zs, z);
+    if (!ix || !iy || !iz) return NaN;
+
+    const cellNode = getStepCellNodes(grid, step);
+    let sum = 0;
+
+    for (let dk = 0; dk <= 1; dk++) {
+        for (let dj = 0; dj <= 1; dj++) {
+            for (let di = 0; di <= 1; di++) {
+                const weight = (di ? ix.f : 1 - ix.f) * (dj ? iy.f : 1 - iy.f) * (dk ? iz.f : 1 - iz.f);
+                if (weight === 0) continue;
+
+                const n = cellNode[getCellIndex(grid, ix.i + di, iy.i + dj, iz.i + dk)];
+                if (n < 0 || !Number.isFinite(values[n])) return NaN;
+                sum += weight * values[n];
+            }
+        }
+    }
+
+    return sum;
+}
+
+// Visits the cells of one slice plane; `slice` is { orientation, position }
+// with `position` a coordinate (km) along the plane normal.
+function forEachSliceCell(grid, slice, callback, stride = 1) {
+    const plane = SLICE_PLANES[slice.orientation];
+    const hAxis = getGridAxis(grid, plane.h);
+    const vAxis = getGridAxis(grid, plane.v);
+    const normalIndex = findNearestAxisIndex(getGridAxis(grid, plane.normal), slice.position);
+    const index = { x: 0, y: 0, z: 0 };
+
+    index[plane.normal] = normalIndex;
+
+    for (let b = 0; b < vAxis.length; b += stride) {
+        for (let a = 0; a < hAxis.length; a += stride) {
+            index[plane.h] = a;
+            index[plane.v] = b;
+            callback(getCellIndex(grid, index.x, index.y, index.z), a, b);
+        }
+    }
+}
+
+function getAxisEdgesForPlot(axis) {
+    return axis.length > 1 ? Array.from(getAxisFaces(axis)) : Array.from(axis);
+}
+
+// Heatmap matrix { x, y, xEdges, yEdges, z } of one slice plane, for one value per node of `step`.
+function buildFieldGrid(grid, step, values, slice) {
+    const plane = SLICE_PLANES[slice.orientation];
+    const hAxis = getGridAxis(grid, plane.h);
+    const vAxis = getGridAxis(grid, plane.v);
+    const cellNode = getStepCellNodes(grid, step);
+    const matrix = Array.from({ length: vAxis.length }, () => new Array(hAxis.length));
+
+    forEachSliceCell(grid, slice, (cell, a, b) => {
+        const n = cellNode[cell];
+        matrix[b][a] = n >= 0 ? values[n] : NaN;
+    });
+
+    return {
+        x: Array.from(hAxis),
+        y: Array.from(vAxis),
+        // Heatmaps are drawn on the cell faces so telescoped meshes show
+        // their true cell boundaries; contours and probes use the nodes.
+        xEdges: getAxisEdgesForPlot(hAxis),
+        yEdges: getAxisEdgesForPlot(vAxis),
+        z: matrix
+    };
+}
+
+function scanClosestStepPoint(store, step, x, y, z) {
+    let closestIndex = -1;
+    let minDistance = Infinity;
+
+    for (let n = 0; n < step.count; n++) {
+        const distance = Math.sqrt(
+            Math.pow(step.x[n] - x, 2) +
+            Math.pow(step.y[n] - y, 2) +
+            Math.pow(step.z[n] - z, 2)
+        );
+
+        if (distance < minDistance) {
+            minDistance = distance;
+            closestIndex = n;
+        }
+    }
+
+    return {
+        closestPoint: closestIndex >= 0 ? getStepRow(store, step, closestIndex) : null,
+        minDistance
+    };
+}
+
+function findClosestStepPoint(store, step, x, y, z) {
+    if (!store || !step) return { closestPoint: null, minDistance: Infinity };
+
+    const grid = store.grid;
+    const cell = findNearestGridCell(grid, x, y, z);
+    const n = getStepCellNodes(grid, step)[getCellIndex(grid, cell.i, cell.j, cell.k)];
+
+    // The nearest grid cell can be empty on meshes with missing nodes.
+    if (n < 0) return scanClosestStepPoint(store, step, x, y, z);
+
+    return {
+        closestPoint: getStepRow(store, step, n),
+        minDistance: cell.distance
+    };
+}
+
+// Index range { lo, hi } of the axis values within [min, max], or null.
+function findAxisIndexRange(axis, min, max) {
+    let lo = 0;
+    let hi = axis.length - 1;
+    while (lo <= hi && axis[lo] < min) lo++;
+    while (hi >= lo && axis[hi] > max) hi--;
+    return lo <= hi ? { lo, hi } : null;
+}
+
+// Inverse-distance (power 2) mean of the nodes within `radiusKm`:
+// { value, count }. A node at the point itself is returned as is.
+function sampleStepInverseDistance(grid, step, values, x, y, z, radiusKm) {
+    const ri = findAxisIndexRange(grid.xs, x - radiusKm, x + radiusKm);
+    const rj = findAxisIndexRange(grid.ys, y - radiusKm, y + radiusKm);
+    const rk = findAxisIndexRange(grid.zs, z - radiusKm, z + radiusKm);
+    if (!ri || !rj || !rk) return { value: NaN, count: 0 };
+
+    const cellNode = getStepCellNodes(grid, step);
+    let weightSum = 0;
+    let sum = 0;
+    let count = 0;
+
+    for (let k = rk.lo; k <= rk.hi; k++) {
+        for (let j = rj.lo; j <= rj.hi; j++) {
+            for (let i = ri.lo; i <= ri.hi; i++) {
+                const n = cellNode[getCellIndex(grid, i, j, k)];
+                if (n < 0 || !Number.isFinite(values[n])) continue;
+
+                const distance = Math.hypot(step.x[n] - x, step.y[n] - y, step.z[n] - z);
+                if (distance > radiusKm) continue;
+                if (distance < 1e-9) return { value: values[n], count: 1 };
+
+                const weight = 1 / (distance * distance);
+                weightSum += weight;
+                sum += weight * values[n];
+                count++;
+            }
+        }
+    }
+
+    return { value: count > 0 ? sum / weightSum : NaN, count };
+}
+
+// ============================================================
+// Field derivations
+// ============================================================
+
+// The original proxy, (ṁw·cp,w + ṁs·cp,s)·T(K), kept for comparison with
+// the enthalpy flux below.
+function computeHeatFluxDensityWm2(waterMag, steamMag, tempC, pressureBar) {
+    const waterFluxSI = waterMag * 10.0; // g/s/cm^2 -> kg/s/m^2
+    const steamFluxSI = steamMag * 10.0;
+
+    const props = getPhaseProperties(tempC, pressureBar);
+    if (!props.water || !props.steam) return NaN;
+
+    const cpWater = props.water.cp * 1000.0; // kJ -> J
+    const cpSteam = props.steam.cp * 1000.0;
+    const tempK = tempC + 273.15;
+
+    return (waterFluxSI * cpWater * tempK) + (steamFluxSI * cpSteam * tempK);
+}
+
+// Advective enthalpy flux ṁw·hw + ṁs·hs in W/m². IF97 enthalpies are
+// relative to liquid water at the triple point.
+function computeEnthalpyFluxDensityWm2(waterMag, steamMag, tempC, pressureBar) {
+    const props = getPhaseProperties(tempC, pressureBar);
+    if (!props.water || !props.steam) return NaN;
+
+    return (waterMag * 10.0 * props.water.h * 1000.0) + (steamMag * 10.0 * props.steam.h * 1000.0);
+}
+
+// Node values of a vector-derived field for a Plot_vector step. The heat
+// and enthalpy fields take T and P from the Plot_scalar step at each node.
+function deriveVectorStepField(vectorGrid, vectorStep, fieldName, scalarGrid = null, scalarStep = null) {
+    if (isExpressionField(fieldName)) {
+        return deriveVectorExpressionField(vectorGrid, vectorStep, getExpressionField(fieldName), scalarGrid, scalarStep);
+    }
+
+    const values = new Float64Array(vectorStep.count).fill(NaN);
+
+    for (let n = 0; n < vectorStep.count; n++) {
+        const waterMag = mag3(vectorStep.xw[n], vectorStep.yw[n], vectorStep.zw[n]);
+        const steamMag = mag3(vectorStep.xs[n], vectorStep.ys[n], vectorStep.zs[n]);
+        const totalMag = waterMag + steamMag;
+
+        if (fieldName === 'water_flux_mag') {
+            values[n] = waterMag;
+        } else if (fieldName === 'steam_flux_mag') {
+            values[n] = steamMag;
+        } else if (fieldName === 'total_flux_mag') {
+            values[n] = totalMag;
+        } else if (['heat_flux_proxy', 'heat_flux_total', 'enthalpy_flux', 'peclet_number'].includes(fieldName)) {
+            const scalarNode = scalarStep && scalarGrid
+                ? findGridNode(scalarGrid, scalarStep, vectorStep.x[n], vectorStep.y[n], vectorStep.z[n])
+                : -1;
+            const tempC = scalarNode >= 0 ? scalarStep.temperature[scalarNode] : NaN;
+            const pressureBar = scalarNode >= 0 ? scalarStep.pressure[scalarNode] : NaN;
+
+            if (isNaN(tempC)) continue;
+
+            if (fieldName === 'enthalpy_flux') {
+                values[n] = computeEnthalpyFluxDensityWm2(waterMag, steamMag, tempC, pressureBar) * 1000.0; // mW/m^2
+            } else if (fieldName === 'heat_flux_proxy') {
+                values[n] = computeHeatFluxDensityWm2(waterMag, steamMag, tempC, pressureBar) * 1000.0; // mW/m^2
+            } else if (fieldName === 'peclet_number') {
+                values[n] = computePecletNumber(
+                    computeHeatFluxDensityWm2(waterMag, steamMag, tempC, pressureBar) * 1000.0,
+                    computeGradientFieldAtNode(scalarStep, scalarNode, 'conductive_heat_flux')
+                );
+            } else {
+                const cellAreaM2 = getNodeCellAreaM2(vectorGrid, vectorStep.x[n], vectorStep.z[n]);
+                values[n] = (computeHeatFluxDensityWm2(waterMag, steamMag, tempC, pressureBar) * cellAreaM2) / 1.0e6; // MW
+            }
+        }
+    }
+
+    return values;
+}
+
+function computeDerivedValueAtPoint(fieldName, vectorPoint, scalarPoint, cellAreaM2 = 1.0) {
+    if (!vectorPoint) return NaN;
+
+    if (isExpressionField(fieldName)) {
+        const field = getExpressionField(fieldName);
+        return field.evaluate(field.variables.map(name => {
+            if (name in vectorPoint && name !== 'time') return vectorPoint[name];
+            if (isDerivedVectorField(name)) return computeDerivedValueAtPoint(name, vectorPoint, scalarPoint, cellAreaM2);
+            return scalarPoint ? getScalarFieldValue(scalarPoint, name) : NaN;
+        }));
+    }
+
+    const waterMag = mag3(vectorPoint.xw, vectorPoint.yw, vectorPoint.zw);
+    const steamMag = mag3(vectorPoint.xs, vectorPoint.ys, vectorPoint.zs);
+    const totalMag = waterMag + steamMag;
+
+    if (fieldName === 'water_flux_mag') return waterMag;
+    if (fieldName === 'steam_flux_mag') return steamMag;
+    if (fieldName === 'total_flux_mag') return totalMag;
+
+    if (fieldName === 'enthalpy_flux') {
+        if (!scalarPoint) return NaN;
+
+        return computeEnthalpyFluxDensityWm2(waterMag, steamMag, scalarPoint.temperature, scalarPoint.pressure) * 1000.0; // mW/m^2
+    }
+
+    if (fieldName === 'heat_flux_proxy' || fieldName === 'heat_flux_total') {
+        if (!scalarPoint) return NaN;
+
+        const tempC = scalarPoint.temperature;
+        const heatFluxDensityWm2 = computeHeatFluxDensityWm2(waterMag, steamMag, tempC, scalarPoint.pressure);
+
+        if (fieldName === 'heat_flux_proxy') {
+            return heatFluxDensityWm2 * 1000.0; // mW/m^2
+        }
+
+        return (heatFluxDensityWm2 * cellAreaM2) / 1.0e6; // MW
+    }
+
+    if (fieldName === 'peclet_number') {
+        if (!scalarPoint) return NaN;
+
+        return computePecletNumber(
+            computeHeatFluxDensityWm2(waterMag, steamMag, scalarPoint.temperature, scalarPoint.pressure) * 1000.0,
+            getScalarFieldValue(scalarPoint, 'conductive_heat_flux')
+        );
+    }
+
+    return NaN;
+}
+
+// Vector step with every field interpolated between steps `a` and `b`,
+// which must share a node layout.
+function interpolateVectorSteps(a, b, weight, time) {
+    const step = { time, count: a.count, x: a.x, y: a.y, z: a.z, cellNode: a.cellNode };
+
+    for (const name of getStoredFields('vector')) {
+        if (name === 'x' || name === 'y' || name === 'z') continue;
+
+        const values = new Float64Array(a.count);
+        for (let n = 0; n < a.count; n++) {
+            values[n] = a[name][n] + (b[name][n] - a[name][n]) * weight;
+        }
+        step[name] = values;
+    }
+    return step;
+}
+
+function getSaturationTemperatureC(pressureBar) {
+    return if97SaturationTemperature(pressureBar / 10.0) - 273.15;
+}
+
+// T − Tsat(P) in °C: positive is superheated, negative subcooled,
+// NaN at or above the critical pressure where there is no boiling curve.
+function computeSaturationDeparture(tempC, pressureBar) {
+    return tempC - getSaturationTemperatureC(pressureBar);
+}
+
+function deriveScalarField(step, fieldName) {
+    if (isExpressionField(fieldName)) return deriveScalarExpressionField(step, getExpressionField(fieldName));
+
+    const values = new Float64Array(step.count).fill(NaN);
+
+    if (fieldName === 'saturation_departure') {
+        for (let n = 0; n < step.count; n++) {
+            values[n] = computeSaturationDeparture(step.temperature[n], step.pressure[n]);
+        }
+    } else if (GRADIENT_SCALAR_FIELDS.includes(fieldName)) {
+        for (let n = 0; n < step.count; n++) {
+            values[n] = computeGradientFieldAtNode(step, n, fieldName);
+        }
+    }
+
+    return values;
+}
+
+// Node values of a Plot_scalar or derived scalar field for a whole step.
+function getScalarStepFieldValues(step, variable) {
+    return isDerivedScalarField(variable) ? deriveScalarField(step, variable) : step[variable];
+}
+
+// Value of a stored or scalar-derived field for one row from getStepRow().
+function getScalarFieldValue(row, fieldName) {
+    if (fieldName === 'saturation_departure') {
+        return computeSaturationDeparture(row.temperature, row.pressure);
+    }
+    if (GRADIENT_SCALAR_FIELDS.includes(fieldName)) {
+        const source = stepRowNodes.get(row);
+        return source ? computeGradientFieldAtNode(source.step, source.n, fieldName) : NaN;
+    }
+    if (isExpressionField(fieldName)) {
+        const field = getExpressionField(fieldName);
+        return field.evaluate(field.variables.map(name => getScalarFieldValue(row, name)));
+    }
+    return row[fieldName];
+}
+
+// ============================================================
+// Gradient fields
+// Finite differences of temperature and pressure on the grid and
+// between output times, per km and per year. Spatial derivatives
+// are central between the neighbouring nodes along each axis and
+// one-sided at the edges or next to a missing node; the single
+// node across a 2-D section adds nothing. Rates compare a step
+// with the output time before it, so they are blank at the first.
+// ============================================================
+
+const DEFAULT_THERMAL_CONDUCTIVITY = 2.5; // W/(m·K)
+
+// Thermal conductivity (W/(m·K)) of conductive_heat_flux on the steps of
+// Plot_scalar store `store`, and a per-node field of those steps that
+// replaces it where positive (the page names the input deck's). Kept on
+// the store, so runs compared or scripted together keep their own λ.
+function setStoreConductivity(store, conductivity, field = null) {
+    if (!(conductivity > 0)) throw new Error('The thermal conductivity must be a positive number of W/(m·K).');
+    store.conductivity = { value: conductivity, field };
+}
+
+function getThermalConductivity(store, step, n) {
+    const setting = store.conductivity || { value: DEFAULT_THERMAL_CONDUCTIVITY, field: null };
+    const values = setting.field ? step[setting.field] : null;
+    return values && values[n] > 0 ? values[n] : setting.value;
+}
+
+// { x, y, z } derivatives per km of node values `values` at node `n`, or
+// null when the node is off the grid or has no value.
+function computeNodeGradient(grid, step, values, n) {
+    const i = grid.xIndex.get(step.x[n]);
+    const j = grid.yIndex.get(step.y[n]);
+    const k = grid.zIndex.get(step.z[n]);
+    if (i === undefined || j === undefined || k === undefined || !Number.isFinite(values[n])) return null;
+
+    const cellNode = getStepCellNodes(grid, step);
+    const cell = getCellIndex(grid, i, j, k);
+
+    // Along one axis, stepping `stride` cells per node.
+    function derivative(axis, index, stride) {
+        if (axis.length < 2) return 0;
+
+        const lo = index > 0 ? cellNode[cell - stride] : -1;
+        const hi = index < axis.length - 1 ? cellNode[cell + stride] : -1;
+        const hasLo = lo >= 0 && Number.isFinite(values[lo]);
+        const hasHi = hi >= 0 && Number.isFinite(values[hi]);
+
+        if (hasLo && hasHi) return (values[hi] - values[lo]) / (axis[index + 1] - axis[index - 1]);
+        if (hasHi) return (values[hi] - values[n]) / (axis[index + 1] - axis[index]);
+        if (hasLo) return (values[n] - values[lo]) / (axis[index] - axis[index - 1]);
+        return NaN;
+    }
+
+    return {
+        x: derivative(grid.xs, i, 1),
+        y: derivative(grid.ys, j, grid.nx),
+        z: derivative(grid.zs, k, grid.nx * grid.ny)
+    };
+}
+
+// Change per year of field `name` at node `n` since the previous output time.
+function computeNodeRate(store, step, name, n) {
+    const t = store.times.indexOf(step.time);
+    if (t < 1) return NaN;
+
+    const previous = store.steps.get(store.times[t - 1]);
+    const m = findGridNode(store.grid, previous, step.x[n], step.y[n], step.z[n]);
+    if (m < 0) return NaN;
+
+    return (step[name][n] - previous[name][m]) / (step.time - previous.time);
+}
+
+// Value of one of GRADIENT_SCALAR_FIELDS at node `n` of a Plot_scalar step.
+// z is elevation, so the geothermal gradient −dT/dz is positive where
+// temperature rises with depth.
+function computeGradientFieldAtNode(step, n, fieldName) {
+    const store = stepStores.get(step);
+    if (!store || !store.grid || n < 0) return NaN;
+
+    if (fieldName === 'temperature_rate') return computeNodeRate(store, step, 'temperature', n);
+    if (fieldName === 'pressure_rate') return computeNodeRate(store, step, 'pressure', n);
+
+    const gradient = computeNodeGradient(
+        store.grid, step, fieldName === 'pressure_gradient_mag' ? step.pressure : step.temperature, n
+    );
+    if (!gradient) return NaN;
+
+    if (fieldName === 'geothermal_gradient') return -gradient.z; // °C/km
+    if (fieldName === 'temperature_gradient_mag' || fieldName === 'pressure_gradient_mag') {
+        return mag3(gradient.x, gradient.y, gradient.z); // °C/km, bar/km
+    }
+    if (fieldName === 'conductive_heat_flux') {
+        // λ (W/(m·K)) · |∇T| (K/km) is W/m² / 1000, i.e. mW/m².
+        return getThermalConductivity(store, step, n) * mag3(gradient.x, gradient.y, gradient.z);
+    }
+    return NaN;
+}
+
+// Ratio of advective to conductive heat flux, both in mW/m².
+function computePecletNumber(advective, conductive) {
+    return conductive > 0 ? advective / conductive : NaN;
+}
+
+// ============================================================
+// Expression fields
+// User-defined fields such as "temperature - 20", "log10(total)"
+// or "xs/(xw+xs)". A small recursive-descent parser turns the
+// text into closures, so nothing is passed to eval. A field using
+// a Plot_vector column or a vector-derived field is evaluated on
+// the vector nodes like the fields above, taking Plot_scalar
+// values from the scalar node at the same place; any other field
+// on the Plot_scalar nodes. Fields may use fields defined before.
+// ============================================================
+
+const EXPRESSION_FUNCTIONS = {
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log,
+    log10: Math.log10,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    atan2: Math.atan2,
+    pow: Math.pow,
+    min: Math.min,
+    max: Math.max,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round
+};
+
+const EXPRESSION_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Short names for the flux magnitudes.
+const EXPRESSION_ALIASES = {
+    water: 'water_flux_mag',
+    steam: 'steam_flux_mag',
+    total: 'total_flux_mag'
+};
+
+// Own entries only, so names such as "constructor" are not found on Object.prototype.
+function hasExpressionName(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+const expressionFields = new Map(); // name -> { name, expression, unit, variables, evaluate, usesVector }
+
+function tokenizeFieldExpression(text) {
+    const tokens = [];
+    const pattern = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/^(),])/y;
+    let position = 0;
+
+    while (position < text.length) {
+        if (/\s/.test(text[position])) {
+            position++;
+            continue;
+        }
+
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match) throw new Error(`Unexpected "${text[position]}" at position ${position + 1} of "${text}".`);
+
+        if (match[1]) tokens.push({ type: 'number', value: Number(match[1]), start: position });
+        else if (match[2]) tokens.push({ type: 'name', value: match[2], start: position });
+        else tokens.push({ type: match[3] === '**' ? '^' : match[3], start: position });
+        position = pattern.lastIndex;
+    }
+
+    return tokens;
+}
+
+// { variables: [field names], evaluate(values) } for an expression over
+// field names; `values` holds one number per entry of `variables`.
+// Throws an Error naming the position of a syntax error.
+function compileFieldExpression(text) {
+    const source = String(text || '');
+    const tokens = tokenizeFieldExpression(source);
+    const variables = [];
+    let index = 0;
+
+    function fail(message) {
+        const token = tokens[index];
+        const where = token ? `at position ${token.start + 1}` : 'at the end';
+        throw new Error(`${message} ${where} of "${source}".`);
+    }
+
+    function accept(type) {
+        if (tokens[index] && tokens[index].type === type) return tokens[index++];
+        return null;
+    }
+
+    function expect(type) {
+        if (!accept(type)) fail(`Expected "${type}"`);
+    }
+
+    // expression := term (("+" | "-") term)*
+    function parseExpression() {
+        let left = parseTerm();
+        let op;
+        while ((op = accept('+') || accept('-'))) {
+            const a = left;
+            const b = parseTerm();
+            left = op.type === '+' ? values => a(values) + b(values) : values => a(values) - b(values);
+        }
+        return left;
+    }
+
+    // term := unary (("*" | "/") unary)*
+    function parseTerm() {
+        let left = parseUnary();
+        let op;
+        while ((op = accept('*') || accept('/'))) {
+            const a = left;
+            const b = parseUnary();
+            left = op.type === '*' ? values => a(values) * b(values) : values => a(values) / b(values);
+        }
+        return left;
+    }
+
+    // unary := ("-" | "+") unary | power; so -2^2 is -(2^2)
+    function parseUnary() {
+        if (accept('-')) {
+            const a = parseUnary();
+            return values => -a(values);
+        }
+        if (accept('+')) return parseUnary();
+        return parsePower();
+    }
+
+    // power := primary ("^" unary)?, right-associative
+    function parsePower() {
+        const base = parsePrimary();
+        if (!accept('^')) return base;
+
+        const exponent = parseUnary();
+        return values => Math.pow(base(values), exponent(values));
+    }
+
+    // primary := number | name | function "(" arguments ")" | "(" expression ")"
+    function parsePrimary() {
+        const token = tokens[index];
+        if (!token) fail('Expected a value');
+
+        if (accept('number')) return () => token.value;
+
+        if (accept('(')) {
+            const inner = parseExpression();
+            expect(')');
+            return inner;
+        }
+
+        if (accept('name')) {
+            const name = token.value;
+            if (accept('(')) {
+                const fn = hasExpressionName(EXPRESSION_FUNCTIONS, name) ? EXPRESSION_FUNCTIONS[name] : null;
+                if (!fn) {
+                    index -= 2;
+                    fail(`Unknown function "${name}"`);
+                }
+                const args = [];
+                if (!accept(')')) {
+                    do {
+                        args.push(parseExpression());
+                    } while (accept(','));
+                    expect(')');
+                }
+                // min and max take any number of values, but at least one.
+                if (fn === Math.min || fn === Math.max) {
+                    if (args.length === 0) throw new Error(`${name}() takes at least 1 argument in "${source}".`);
+                } else if (args.length !== fn.length) {
+                    throw new Error(`${name}() takes ${fn.length} argument${fn.length === 1 ? '' : 's'} in "${source}".`);
+                }
+                return values => fn(...args.map(arg => arg(values)));
+            }
+
+            if (hasExpressionName(EXPRESSION_CONSTANTS, name)) {
+                const value = EXPRESSION_CONSTANTS[name];
+                return () => value;
+            }
+
+            const field = hasExpressionName(EXPRESSION_ALIASES, name) ? EXPRESSION_ALIASES[name] : name;
+            if (!variables.includes(field)) variables.push(field);
+            const slot = variables.indexOf(field);
+            return values => values[slot];
+        }
+
+        fail(`Unexpected "${describeToken(token)}"`);
+    }
+
+    function describeToken(token) {
+        return token.type === 'name' || token.type === 'number' ? token.value : token.type;
+    }
+
+    if (tokens.length === 0) throw new Error('The expression is empty.');
+    const evaluate = parseExpression();
+    if (index < tokens.length) fail(`Unexpected "${describeToken(tokens[index])}"`);
+
+    return { variables, evaluate };
+}
+
+function isVectorFieldName(name) {
+    return (VECTOR_FIELDS.includes(name) && !['x', 'y', 'z', 'time'].includes(name)) || isDerivedVectorField(name);
+}
+
+function isExpressionField(name) {
+    return expressionFields.has(name);
+}
+
+function getExpressionField(name) {
+    return expressionFields.get(name) || null;
+}
+
+function listExpressionFields() {
+    return Array.from(expressionFields.values());
+}
+
+// Names an expression may use: the Plot_scalar and Plot_vector columns, the
+// derived and calculated fields, and `storeFields` added to the loaded store
+// at run time (printout and input-deck fields).
+function listExpressionVariables(storeFields = []) {
+    return new Set([
+        ...SCALAR_FIELDS,
+        ...VECTOR_FIELDS,
+        ...DERIVED_SCALAR_FIELDS,
+        ...DERIVED_VECTOR_FIELDS,
+        ...storeFields,
+        ...expressionFields.keys()
+    ]);
+}
+
+// Names of the calculated fields using field `name`.
+function listExpressionFieldUsers(name) {
+    return listExpressionFields().filter(field => field.variables.includes(name)).map(field => field.name);
+}
+
+// True when expression field `name` uses `target`, directly or through other fields.
+function expressionFieldUses(name, target) {
+    const field = expressionFields.get(name);
+    return Boolean(field) && field.variables.some(variable => variable === target || expressionFieldUses(variable, target));
+}
+
+// Adds or replaces field `name`. Names of built-in fields, functions and
+// constants are refused, as are fields that would use themselves and
+// unknown variables (see listExpressionVariables). `storeFields` null skips
+// that check, for fields restored before their files are loaded.
+function defineExpressionField(name, expression, unit = '', storeFields = []) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`"${name}" is not a valid field name; use letters, digits and _.`);
+    }
+    const reserved = [...SCALAR_FIELDS, ...VECTOR_FIELDS, ...DERIVED_SCALAR_FIELDS, ...DERIVED_VECTOR_FIELDS];
+    if (reserved.includes(name) || hasExpressionName(EXPRESSION_FUNCTIONS, name) ||
+        hasExpressionName(EXPRESSION_CONSTANTS, name) || hasExpressionName(EXPRESSION_ALIASES, name)) {
+        throw new Error(`"${name}" is already a field or function name.`);
+    }
+    if (storeFields && storeFields.includes(name)) {
+        throw new Error(`"${name}" is already a field of the loaded files.`);
+    }
+
+    const compiled = compileFieldExpression(expression);
+    if (compiled.variables.some(variable => variable === name || expressionFieldUses(variable, name))) {
+        throw new Error(`Field "${name}" cannot use itself.`);
+    }
+    if (storeFields) {
+        const known = listExpressionVariables(storeFields);
+        const unknown = compiled.variables.filter(variable => !known.has(variable));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown field${unknown.length > 1 ? 's' : ''} ${unknown.map(variable => `"${variable}"`).join(', ')} in "${String(expression).trim()}".`);
+        }
+    }
+
+    // Replacing a field keeps its place, so later fields still follow it.
+    const field = { name, expression: String(expression).trim(), unit, ...compiled };
+    field.usesVector = compiled.variables.some(isVectorFieldName);
+    expressionFields.set(name, field);
+
+    // Fields using this one follow its kind.
+    for (const other of expressionFields.values()) {
+        other.usesVector = other.variables.some(isVectorFieldName);
+    }
+    return field;
+}
+
+// Refused while other calculated fields use `name`.
+function removeExpressionField(name) {
+    const users = listExpressionFieldUsers(name);
+    if (users.length > 0) {
+        throw new Error(`${users.join(', ')} ${users.length > 1 ? 'use' : 'uses'} "${name}"; remove ${users.length > 1 ? 'them' : 'it'} first.`);
+    }
+    expressionFields.delete(name);
+}
+
+function clearExpressionFields() {
+    expressionFields.clear();
+}
+
+// Node values of expression field `field` given one array of node
+// values (or a number) per variable; NaN where a variable is missing.
+function evaluateExpressionColumns(field, columns, count) {
+    const result = new Float64Array(count);
+    const args = new Array(columns.length);
+
+    for (let n = 0; n < count; n++) {
+        for (let v = 0; v < columns.length; v++) {
+            const column = columns[v];
+            args[v] = typeof column === 'number' ? column : (column ? column[n] : NaN);
+        }
+        const value = field.evaluate(args);
+        result[n] = Number.isFinite(value) ? value : NaN;
+    }
+    return result;
+}
+
+// Plot_scalar node values of a scalar expression field.
+function deriveScalarExpressionField(step, field) {
+    const columns = field.variables.map(name => {
+        if (name === 'time') return step.time;
+        if (isDerivedScalarField(name)) return deriveScalarField(step, name);
+        return step[name];
+    });
+    return evaluateExpressionColumns(field, columns, step.count);
+}
+
+// Plot_vector node values of a vector expression field; Plot_scalar fields
+// are taken from the scalar node at each vector node, NaN without one.
+function deriveVectorExpressionField(vectorGrid, vectorStep, field, scalarGrid, scalarStep) {
+    let scalarNodes = null;
+    function getScalarNodes() {
+        if (!scalarNodes) {
+            scalarNodes = new Int32Array(vectorStep.count).fill(-1);
+            if (scalarGrid && scalarStep) {
+                for (let n = 0; n < vectorStep.count; n++) {
+                    scalarNodes[n] = findGridNode(scalarGrid, scalarStep, vectorStep.x[n], vectorStep.y[n], vectorStep.z[n]);
+                }
+            }
+        }
+        return scalarNodes;
+    }
+
+    const columns = field.variables.map(name => {
+        if (name === 'time') return vectorStep.time;
+        if (vectorStep[name]) return vectorStep[name];
+        if (isDerivedVectorField(name)) return deriveVectorStepField(vectorGrid, vectorStep, name, scalarGrid, scalarStep);
+        if (!scalarStep) return null;
+
+        const scalarValues = getScalarStepFieldValues(scalarStep, name);
+        if (!scalarValues) return null;
+        return Float64Array.from(getScalarNodes(), node => (node >= 0 ? scalarValues[node] : NaN));
+    });
+    return evaluateExpressionColumns(field, columns, vectorStep.count);
+}
+
+// ============================================================
+// Input deck
+// Blocks of a parsed input deck (see createDeckBuilder) resolved
+// onto the cells of an nx × ny × nz grid, indexed like the grid
+// model with K = 1 the bottom layer. NODE lists run row by row
+// from the top layer down, I fastest, one J plane after another;
+// RANGE rows are "i1 i2 j1 j2 k1 k2 value" or "i1 i2 k1 k2 value".
+// Permeability is converted to m² and conductivity to W/(m·K),
+// taking HYDROTHERM's cgs units when a block gives none.
+// ============================================================
+
+const DECK_PROPERTY_LABELS = {
+    rockType: 'Rock type',
+    porosity: 'Porosity',
+    permeability: 'Permeability',
+    permeabilityX: 'X permeability',
+    permeabilityY: 'Y permeability',
+    permeabilityZ: 'Z permeability',
+    conductivity: 'Thermal conductivity',
+    specificHeat: 'Rock specific heat',
+    density: 'Rock density',
+    compressibility: 'Rock compressibility'
+};
+
+const DECK_LENGTH_SCALES_KM = { km: 1, m: 1e-3, cm: 1e-5, ft: 3.048e-4 };
+
+// { scale, unit } turning values of property `name` given in `unit` into the units shown.
+function getDeckUnitScale(name, unit) {
+    const u = String(unit || '').toLowerCase().replace(/\s+/g, '');
+
+    if (name.startsWith('permeability')) {
+        if (/^(md|millidarcy)/.test(u)) return { scale: 9.869233e-16, unit: 'm²' };
+        if (/^(d|darcy)/.test(u)) return { scale: 9.869233e-13, unit: 'm²' };
+        if (/^m(\^?2|²)/.test(u)) return { scale: 1, unit: 'm²' };
+        return { scale: 1e-4, unit: 'm²' };
+    }
+    if (name === 'conductivity') {
+        if (/^w/.test(u)) return { scale: 1, unit: 'W/(m·K)' };
+        if (/cal/.test(u)) return { scale: 418.4, unit: 'W/(m·K)' };
+        return { scale: 1e-5, unit: 'W/(m·K)' };
+    }
+    return { scale: 1, unit: unit || '' };
+}
+
+// Cell widths (km) of one axis from its spacing block, or null. A CONSTANT
+// width needs the cell count `n`.
+function getDeckAxisWidthsKm(deck, axis, n) {
+    const block = deck.spacing[axis];
+    if (!block) return null;
+
+    const scale = DECK_LENGTH_SCALES_KM[String(block.unit).toLowerCase()] || DECK_LENGTH_SCALES_KM.m;
+    const part = block.parts[block.parts.length - 1];
+    if (!part) return null;
+
+    const values = part.rows.flat();
+    if (part.format === 'constant' || (part.format === null && values.length === 1)) {
+        return n >= 1 && values.length > 0 ? new Float64Array(n).fill(values[0] * scale) : null;
+    }
+    return Float64Array.from(values, value => value * scale);
+}
+
+// { nx, ny, nz } from the dimensions line, else from the spacing lists, else null.
+function getDeckDimensions(deck) {
+    if (deck.dimensions) return deck.dimensions;
+
+    const nx = getDeckAxisWidthsKm(deck, 'x', 0);
+    const nz = getDeckAxisWidthsKm(deck, 'z', 0);
+    if (!nx || !nz) return null;
+
+    const ny = getDeckAxisWidthsKm(deck, 'y', 0);
+    return { nx: nx.length, ny: ny ? ny.length : 1, nz: nz.length };
+}
+
+// Format of a part that gave none: one value is a constant, rows of
+// five or seven numbers are ranges, anything else a node list.
+function getDeckPartFormat(part) {
+    if (part.format) return part.format;
+
+    const count = part.rows.reduce((sum, row) => sum + row.length, 0);
+    if (count === 1) return 'constant';
+    if (part.rows.length > 0 && part.rows.every(row => row.length === 7 || row.length === 5)) return 'range';
+    return 'node';
+}
+
+// Calls callback(cell, row) for every cell of a RANGE row inside the grid.
+function forEachDeckRangeCell(dims, row, callback) {
+    const [i1, i2, j1, j2, k1, k2] = row.length === 5
+        ? [row[0], row[1], 1, dims.ny, row[2], row[3]]
+        : row;
+    const clamp = (value, n) => Math.min(Math.max(Math.round(value), 1), n);
+
+    for (let k = clamp(Math.min(k1, k2), dims.nz); k <= clamp(Math.max(k1, k2), dims.nz); k++) {
+        for (let j = clamp(Math.min(j1, j2), dims.ny); j <= clamp(Math.max(j1, j2), dims.ny); j++) {
+            for (let i = clamp(Math.min(i1, i2), dims.nx); i <= clamp(Math.max(i1, i2), dims.nx); i++) {
+                callback(((k - 1) * dims.ny + (j - 1)) * dims.nx + (i - 1));
+            }
+        }
+    }
+}
+
+// Cell of the n-th value of a NODE list.
+function getDeckNodeListCell(dims, n) {
+    const i = n % dims.nx;
+    const row = Math.floor(n / dims.nx);
+    const j = Math.floor(row / dims.nz);
+    const k = dims.nz - 1 - (row % dims.nz);
+    return (k * dims.ny + j) * dims.nx + i;
+}
+
+// Cell values of a property or rock-type block, NaN where unset. The ROCK
+// format looks values up in `rockTypes` (cell rock types). Problems are
+// pushed to `problems` as text.
+function resolveDeckBlock(block, dims, rockTypes, problems) {
+    const count = dims.nx * dims.ny * dims.nz;
+    const values = new Float64Array(count).fill(NaN);
+
+    for (const part of block.parts) {
+        const format = getDeckPartFormat(part);
+        const numbers = part.rows.flat();
+
+        if (format === 'constant') {
+            if (numbers.length > 0) values.fill(numbers[0]);
+        } else if (format === 'node') {
+            if (numbers.length !== count) {
+                problems.push(`${block.keyword}: ${numbers.length} node values for ${count} cells.`);
+            }
+            for (let n = 0; n < Math.min(numbers.length, count); n++) {
+                values[getDeckNodeListCell(dims, n)] = numbers[n];
+            }
+        } else if (format === 'rock') {
+            if (!rockTypes) {
+                problems.push(`${block.keyword} is given by rock type, but the deck assigns no rock types.`);
+                continue;
+            }
+            // "type value" pairs, or one value per rock type in order.
+            const pairs = part.rows.every(row => row.length === 2 && Number.isInteger(row[0]) && row[0] >= 1);
+            const byType = new Map(pairs
+                ? part.rows.map(row => [row[0], row[1]])
+                : numbers.map((value, t) => [t + 1, value]));
+            for (let c = 0; c < count; c++) {
+                if (byType.has(rockTypes[c])) values[c] = byType.get(rockTypes[c]);
+            }
+        } else {
+            for (const row of part.rows) {
+                if (row.length !== 7 && row.length !== 5) {
+                    problems.push(`${block.keyword}: RANGE rows need i1 i2 j1 j2 k1 k2 value, or i1 i2 k1 k2 value in 2-D.`);
+                    continue;
+                }
+                forEachDeckRangeCell(dims, row, cell => { values[cell] = row[row.length - 1]; });
+            }
+        }
+    }
+
+    return values;
+}
+
+// { type, keyword, unit, cells: [cell], values: [[numbers]] } of a boundary
+// block; rows are "i j k values..." nodes, or ranges after a RANGE word
+// ("i1 i2 k1 k2 values..." on a grid one cell thick in Y).
+function resolveDeckBoundary(block, dims, problems) {
+    const boundary = { type: block.type, keyword: block.keyword, unit: block.unit, cells: [], values: [] };
+
+    for (const part of block.parts) {
+        for (const row of part.rows) {
+            if (part.format === 'range') {
+                // Values may follow, so the 2-D form is only read on a grid one
+                // cell thick in Y, and there not when j1 = j2 = 1 starts a 3-D row.
+                const full = dims.ny > 1 || (row.length >= 6 && row[2] === 1 && row[3] === 1);
+                const indexCount = full ? 6 : 4;
+                if (row.length < indexCount) {
+                    problems.push(`${block.keyword}: RANGE rows need i1 i2 j1 j2 k1 k2, or i1 i2 k1 k2 in 2-D.`);
+                    continue;
+                }
+                const range = indexCount === 4 ? [row[0], row[1], 1, 1, row[2], row[3]] : row.slice(0, 6);
+                forEachDeckRangeCell(dims, range, cell => {
+                    boundary.cells.push(cell);
+                    boundary.values.push(row.slice(indexCount));
+                });
+            } else if (row.length >= 3) {
+                const [i, j, k] = row.map(Math.round);
+                if (i < 1 || i > dims.nx || j < 1 || j > dims.ny || k < 1 || k > dims.nz) {
+                    problems.push(`${block.keyword}: node (${i}, ${j}, ${k}) is outside the grid.`);
+                    continue;
+                }
+                boundary.cells.push(((k - 1) * dims.ny + (j - 1)) * dims.nx + (i - 1));
+                boundary.values.push(row.slice(3));
+            }
+        }
+    }
+
+    return boundary;
+}
+
+// Every block of `deck` on a grid of `dims`: { dims, rockTypes (Float64Array
+// or null), properties: [{ name, label, unit, values }], boundaries, problems }.
+function resolveDeck(deck, dims) {
+    const problems = [];
+    const rockTypes = deck.rockTypes ? resolveDeckBlock(deck.rockTypes, dims, null, problems) : null;
+
+    const properties = deck.properties.map(block => {
+        const { scale, unit } = getDeckUnitScale(block.name, block.unit);
+        const values = resolveDeckBlock(block, dims, rockTypes, problems);
+        if (scale !== 1) {
+            for (let c = 0; c < values.length; c++) values[c] *= scale;
+        }
+        return { name: block.name, label: DECK_PROPERTY_LABELS[block.name], unit, values };
+    });
+    const boundaries = deck.boundaries.map(block => resolveDeckBoundary(block, dims, problems));
+
+    return { dims, rockTypes, properties, boundaries, problems };
+}
+
+// Zone number of every cell: its rock type, or without rock types one
+// number per distinct combination of property values. NaN where unset.
+function getDeckZones(resolved) {
+    if (resolved.rockTypes) return resolved.rockTypes;
+
+    const count = resolved.dims.nx * resolved.dims.ny * resolved.dims.nz;
+    const zones = new Float64Array(count).fill(NaN);
+    const ids = new Map();
+    for (let c = 0; c < count; c++) {
+        const values = resolved.properties.map(property => property.values[c]);
+        if (values.length === 0 || values.every(Number.isNaN)) continue;
+
+        const key = values.join('|');
+        if (!ids.has(key)) ids.set(key, ids.size + 1);
+        zones[c] = ids.get(key);
+    }
+    return zones;
+}
+
+// Node field name of deck property `name`: rockType -> deck_rock_type.
+function getDeckFieldName(name) {
+    return 'deck_' + name.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+}
+
+// Copies the rock types and properties of `resolved` (see resolveDeck) onto
+// the nodes of every step of time-step store `store`, NaN where a node has no
+// cell, and adds them to its fields: [{ name, label, unit }] of the fields.
+function attachDeckFieldsToStore(store, resolved) {
+    const properties = resolved.rockTypes
+        ? [{ name: 'rockType', label: DECK_PROPERTY_LABELS.rockType, unit: '', values: resolved.rockTypes }]
+        : [];
+    properties.push(...resolved.properties);
+
+    const fields = [];
+    for (const property of properties) {
+        const name = getDeckFieldName(property.name);
+        for (const step of store.steps.values()) {
+            const cellNode = getStepCellNodes(store.grid, step);
+            const values = new Float64Array(step.count).fill(NaN);
+            for (let c = 0; c < cellNode.length; c++) {
+                if (cellNode[c] >= 0) values[cellNode[c]] = property.values[c];
+            }
+            step[name] = values;
+        }
+
+        if (!store.fields.includes(name)) store.fields.push(name);
+        fields.push({ name, label: property.label, unit: property.unit });
+    }
+    return fields;
+}
@@ -0,0 +1,797 @@
+// HYDROTHERM output parsing helpers.
+// Shared by the page (script.js) and the file-parsing worker (parse.worker.js),
+// so nothing in here may touch the DOM.
+
+// ============================================================
+// Robust HYDROTHERM parsing helpers
+// Heading-independent parser:
+// - ignores title/comment/header/unit lines
+// - accepts arbitrary run names like .Heap12, .ht10, .convectMars
+// - detects scalar rows from numeric structure
+// - detects vector rows from numeric structure
+// ============================================================
+
+function splitHydroLines(text) {
+    return String(text || '').split(/\r\n|\n|\r/);
+}
+
+function parseHydroNumber(value) {
+    if (value === undefined || value === null) return NaN;
+
+    const normalized = String(value)
+        .replace(/\u0000/g, '')
+        .replace(/\u00A0/g, ' ')
+        .replace(/−/g, '-')
+        .replace(/[dD]/g, 'E')
+        .replace(/,/g, '')
+        .trim();
+
+    if (normalized === '') return NaN;
+
+    // Require the token to begin like a number, not merely contain a number.
+    // This prevents things like "x", "(km)", "phase", or "conduit" from passing.
+    if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[Ee][+-]?\d+)?$/.test(normalized)) {
+        return NaN;
+    }
+
+    const n = Number(normalized);
+    return Number.isFinite(n) ? n : NaN;
+}
+
+function splitHydroFields(line) {
+    return String(line || '')
+        .replace(/\u0000/g, '')
+        .replace(/\u00A0/g, ' ')
+        .trim()
+        .split(/[\t ]+/)
+        .filter(Boolean);
+}
+
+function getNumericParts(line) {
+    const parts = splitHydroFields(line);
+    const nums = parts.map(parseHydroNumber);
+
+    // A real data row should be all numeric tokens.
+    // Header/unit/title lines will fail here.
+    if (parts.length === 0) return null;
+    if (nums.some(v => Number.isNaN(v))) return null;
+
+    return nums;
+}
+
+function looksLikeHydroDataLine(line, minCols) {
+    const nums = getNumericParts(line);
+    return nums && nums.length >= minCols;
+}
+
+function classifyHydroKind(scalarRows, vectorRows) {
+    // Prefer vector when many rows have 10 columns, because vector rows
+    // also technically satisfy ">= 8".
+    if (vectorRows > 0 && vectorRows >= scalarRows * 0.5) return 'vector';
+    if (scalarRows > 0) return 'scalar';
+    return 'unknown';
+}
+
+function detectHydroFileKind(text) {
+    const lines = splitHydroLines(text);
+
+    let scalarRows = 0;
+    let vectorRows = 0;
+    let firstScalarLine = null;
+    let firstVectorLine = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const nums = getNumericParts(lines[i]);
+        if (!nums) continue;
+
+        // Vector output has at least 10 numeric columns:
+        // x y z time xw yw zw xs ys zs
+        if (nums.length >= 10) {
+            vectorRows++;
+            if (firstVectorLine === null) firstVectorLine = i;
+        }
+
+        // Scalar output has at least 8 numeric columns:
+        // x y z time temperature pressure saturation phase
+        // It may have a 9th field, e.g., Cell Nusselt No.
+        if (nums.length >= 8) {
+            scalarRows++;
+            if (firstScalarLine === null) firstScalarLine = i;
+        }
+    }
+
+    // Out_* printouts have no Plot_scalar / Plot_vector rows.
+    let kind = classifyHydroKind(scalarRows, vectorRows);
+    if (kind === 'unknown') kind = classifyOutFileKind(lines);
+
+    return {
+        kind,
+        scalarRows,
+        vectorRows,
+        firstScalarLine,
+        firstVectorLine
+    };
+}
+
+function tryParseScalarRow(line) {
+    const nums = getNumericParts(line);
+    if (!nums || nums.length < 8) return null;
+
+    // Do not accidentally parse vector rows as scalar rows.
+    // Vector files have 10 columns where columns 5-10 are fluxes.
+    // Scalar files usually have 8 or 9 columns.
+    if (nums.length >= 10) return null;
+
+    const [x, y, z, time, temperature, pressure, saturation, phase] = nums;
+
+    return {
+        x,
+        y,
+        z,
+        time,
+        temperature,
+        pressure,
+        saturation,
+        phase,
+        nusselt: nums.length >= 9 ? nums[8] : NaN
+    };
+}
+
+function tryParseVectorRow(line) {
+    const nums = getNumericParts(line);
+    if (!nums || nums.length < 10) return null;
+
+    const [x, y, z, time, xw, yw, zw, xs, ys, zs] = nums;
+
+    return {
+        x,
+        y,
+        z,
+        time,
+        xw,
+        yw,
+        zw,
+        xs,
+        ys,
+        zs
+    };
+}
+
+// ============================================================
+// Time-step store builder
+// Consumes data lines one at a time and groups them into
+// per-time-step typed arrays, so a file is parsed exactly once.
+// Column order follows the HYDROTHERM Plot_scalar / Plot_vector rows;
+// `time` is used for grouping and is not stored per node.
+// ============================================================
+
+const SCALAR_FIELDS = ['x', 'y', 'z', 'time', 'temperature', 'pressure', 'saturation', 'phase', 'nusselt'];
+const VECTOR_FIELDS = ['x', 'y', 'z', 'time', 'xw', 'yw', 'zw', 'xs', 'ys', 'zs'];
+
+function getStoredFields(kind) {
+    const fields = kind === 'vector' ? VECTOR_FIELDS : SCALAR_FIELDS;
+    return fields.filter(name => name !== 'time');
+}
+
+function createTimeStepBuilder(kind) {
+    const fields = kind === 'vector' ? VECTOR_FIELDS : SCALAR_FIELDS;
+    const minCols = kind === 'vector' ? 10 : 8;
+    const storedFields = getStoredFields(kind);
+
+    const steps = new Map();
+    let current = null;
+    let totalLines = 0;
+    let validDataLines = 0;
+    let scalarRows = 0;
+    let vectorRows = 0;
+
+    function flush() {
+        if (!current) return;
+
+        const step = { time: current.time, count: current.count };
+        for (const name of storedFields) {
+            step[name] = Float64Array.from(current.columns[name]);
+        }
+
+        // A time that reappears later in the file replaces the earlier block.
+        steps.set(current.time, step);
+        current = null;
+    }
+
+    function startStep(time) {
+        const columns = {};
+        for (const name of storedFields) columns[name] = [];
+        current = { time, count: 0, columns };
+    }
+
+    function pushLine(line) {
+        totalLines++;
+
+        const nums = getNumericParts(line);
+        if (!nums) return;
+
+        if (nums.length >= 10) vectorRows++;
+        if (nums.length >= 8) scalarRows++;
+
+        // Same acceptance rules as tryParseScalarRow / tryParseVectorRow.
+        if (nums.length < minCols) return;
+        if (kind !== 'vector' && nums.length >= 10) return;
+
+        validDataLines++;
+
+        const time = nums[3];
+        if (!current || current.time !== time) {
+            flush();
+            startStep(time);
+        }
+
+        for (let i = 0; i < fields.length; i++) {
+            const name = fields[i];
+            if (name === 'time') continue;
+            current.columns[name].push(i < nums.length ? nums[i] : NaN);
+        }
+        current.count++;
+    }
+
+    function finish() {
+        flush();
+
+        const times = Array.from(steps.keys()).sort((a, b) => a - b);
+        return {
+            kind,
+            times,
+            steps: times.map(time => steps.get(time)),
+            stats: {
+                totalLines,
+                validDataLines,
+                detected: {
+                    kind: classifyHydroKind(scalarRows, vectorRows),
+                    scalarRows,
+                    vectorRows
+                }
+            }
+        };
+    }
+
+    return { pushLine, finish };
+}
+
+// Builder for any kind of file the page reads.
+function createHydroBuilder(kind) {
+    if (kind === 'balance') return createBalanceBuilder();
+    if (kind === 'printout') return createPrintoutBuilder();
+    if (kind === 'deck') return createDeckBuilder();
+    return createTimeStepBuilder(kind);
+}
+
+// ============================================================
+// HYDROTHERM printout files (Out_*)
+// Out_balance lists the global fluid and heat balance at each
+// print time as "label ..... value (unit)" lines, sometimes with
+// several value columns under a line of column names or units.
+// The other Out_* files print one field at each print time as
+// tables of I columns by K rows, one table per J plane.
+// Print times come from "Time ... value (unit)" lines.
+// ============================================================
+
+const SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+
+// Print time in years on a "Time: 1.0E+02 (yr)" line, or NaN. Lines such
+// as "Time step no. 12" or "Current time step ... (yr)" are not print times.
+function parseHydroPrintTime(line) {
+    const match = String(line || '').match(
+        /\btime\b\s*(?:[:=.]+\s*)*([+-]?(?:\d+\.?\d*|\.\d+)(?:[EeDd][+-]?\d+)?)\s*\(?\s*(yr|years?|s|sec|seconds?|d|days?)?\b/i
+    );
+    if (!match) return NaN;
+
+    const value = parseHydroNumber(match[1]);
+    const unit = (match[2] || 'yr').toLowerCase();
+    if (unit.startsWith('s')) return value / SECONDS_PER_YEAR;
+    if (unit.startsWith('d')) return value / 365.25;
+    return value;
+}
+
+// "Time step no. 12", "Current time step ...": labelled, but not balance terms.
+const HYDRO_TIME_STEP_PATTERN = /\btime\s*step\b/i;
+
+// Words of a line without numbers, with decoration (***, ----, ====) removed.
+function getHydroTextWords(line) {
+    return splitHydroFields(String(line || '').replace(/[*=#|]+|-{2,}/g, ' '));
+}
+
+function isHydroUnitToken(token) {
+    return /^[([].*[)\]]$/.test(token) || token === '%';
+}
+
+// "label ..... v1 (u1) v2 (u2)" as { label, values: [{ value, unit }] },
+// or null for lines without a text label followed by numbers.
+function parseHydroLabelledLine(line) {
+    const tokens = splitHydroFields(String(line || '').replace(/\(/g, ' ('));
+    const first = tokens.findIndex(token => Number.isFinite(parseHydroNumber(token)));
+    if (first <= 0) return null;
+
+    const label = tokens.slice(0, first).join(' ').replace(/[\s.:=]+$/, '').replace(/\.{2,}/g, ' ').trim();
+    if (!/[a-z]/i.test(label)) return null;
+
+    const values = [];
+    for (let i = first; i < tokens.length; i++) {
+        const value = parseHydroNumber(tokens[i]);
+        if (Number.isFinite(value)) {
+            values.push({ value, unit: '' });
+        } else if (isHydroUnitToken(tokens[i]) && values.length > 0) {
+            values[values.length - 1].unit = tokens[i].replace(/^[([]\s*|\s*[)\]]$/g, '');
+        } else {
+            break;
+        }
+    }
+
+    return { label, values };
+}
+
+// 'rate', 'cumulative', 'error' or 'other' for one balance term.
+function classifyBalanceTerm(label, unit) {
+    const text = label.toLowerCase();
+    const u = unit.toLowerCase();
+
+    if (/error|residual|imbalance|discrepanc/.test(text)) return 'error';
+    if (/rate|flux/.test(text) || /\/\s*(s|sec|yr|y|d|day)\b/.test(u) || /^(k|m)?w$/.test(u)) return 'rate';
+    if (/cumulative|amount|accumulat|stored|storage|total/.test(text) || /^(k|m)?(g|j|erg|kg|t)$/.test(u)) {
+        return 'cumulative';
+    }
+    return 'other';
+}
+
+// Consumes Out_balance lines one at a time. Every term becomes a series
+// over the print times: { key, section, label, column, unit, category,
+// values: Float64Array }, NaN where a print time lacks the term.
+function createBalanceBuilder() {
+    const records = new Map(); // time -> Map(key -> value)
+    const terms = new Map(); // key -> term
+    const columnKeys = new Map(); // section, label and column position -> key
+    let current = null;
+    let section = '';
+    let columnNames = null;
+    let columnUnits = null;
+    let afterColumnNames = false;
+    let totalLines = 0;
+    let termLines = 0;
+
+    // A term keeps the key of its first print time, so a column header
+    // printed at some print times only does not split its series.
+    function addValue(label, position, column, unit, value) {
+        const id = `${section}\n${label}\n${position}`;
+        if (!columnKeys.has(id)) {
+            columnKeys.set(id, [section, label].filter(Boolean).join(': ') + (column ? ` [${column}]` : ''));
+        }
+
+        const key = columnKeys.get(id);
+        if (!terms.has(key)) {
+            const category = classifyBalanceTerm(`${label} ${column}`, unit);
+            terms.set(key, { key, section, label, column, unit, category });
+        }
+        current.set(key, value);
+    }
+
+    // Names of the value columns. A second line of names right under a
+    // shorter one ("Fluid  Heat" over "Rate  Amount  Rate  Amount") is
+    // read as sub-columns of it.
+    function setColumnNames(words) {
+        const parents = afterColumnNames ? columnNames : null;
+        columnNames = parents && words.length > parents.length && words.length % parents.length === 0
+            ? words.map((word, c) => `${parents[Math.floor(c * parents.length / words.length)]} ${word}`)
+            : words;
+    }
+
+    function getColumnName(c, count, unit) {
+        if (!columnNames || columnNames.length !== count) return unit || `${c + 1}`;
+
+        const name = columnNames[c];
+        const repeated = columnNames.filter(other => other === name).length > 1;
+        return repeated ? `${name} ${unit || c + 1}` : name;
+    }
+
+    function pushLine(line) {
+        totalLines++;
+
+        const time = parseHydroPrintTime(line);
+        if (Number.isFinite(time)) {
+            if (!records.has(time)) records.set(time, new Map());
+            current = records.get(time);
+            columnNames = null;
+            columnUnits = null;
+            afterColumnNames = false;
+            return;
+        }
+        if (HYDRO_TIME_STEP_PATTERN.test(line)) return;
+
+        const words = getHydroTextWords(line);
+        if (words.length === 0) return;
+
+        if (words.every(isHydroUnitToken)) {
+            columnUnits = words.map(word => word.replace(/^[([]\s*|\s*[)\]]$/g, ''));
+            return;
+        }
+
+        const labelled = parseHydroLabelledLine(line);
+        if (!labelled) {
+            if (words.some(word => Number.isFinite(parseHydroNumber(word)))) {
+                afterColumnNames = false;
+                return;
+            }
+
+            // Text only: a section heading, or the names of the value columns.
+            const text = words.join(' ');
+            if (/fluid|water|mass|heat|energy|enthalpy|steam/i.test(text) &&
+                (words.length === 1 || /balance|summary|global|budget|flow|source|sink|boundar/i.test(text))) {
+                section = text;
+                afterColumnNames = false;
+            } else {
+                setColumnNames(words);
+                afterColumnNames = true;
+            }
+            return;
+        }
+
+        afterColumnNames = false;
+        if (!current) return;
+        termLines++;
+
+        const values = labelled.values;
+        values.forEach((entry, c) => {
+            const unit = entry.unit || (columnUnits && columnUnits.length === values.length ? columnUnits[c] : '');
+            const column = values.length > 1 ? getColumnName(c, values.length, unit) : '';
+            addValue(labelled.label, `${c + 1}/${values.length}`, column, unit, entry.value);
+        });
+    }
+
+    function finish() {
+        // Times with no terms come from headers such as "Maximum time ...".
+        const times = Array.from(records.keys()).filter(time => records.get(time).size > 0).sort((a, b) => a - b);
+        const series = Array.from(terms.values()).map(term => ({
+            ...term,
+            values: Float64Array.from(times, time => {
+                const value = records.get(time).get(term.key);
+                return value === undefined ? NaN : value;
+            })
+        }));
+
+        return { kind: 'balance', times, series, stats: { totalLines, termLines } };
+    }
+
+    return { pushLine, finish };
+}
+
+// Consumes the lines of one Out_* field printout. Each print time becomes
+// { time, values: Float64Array(nx·ny·nz) } indexed ((k−1)·ny + (j−1))·nx + (i−1)
+// like the grid model's cells, with K = 1 the bottom layer. A printout
+// without print times (e.g. porosity) gives one step with time null.
+function createPrintoutBuilder() {
+    const records = new Map(); // time (null before the first print time) -> [i, j, k, value, ...]
+    let current = null;
+    let title = '';
+    let plane = 1;
+    let columns = null;
+    let totalLines = 0;
+    let valueCount = 0;
+    let nx = 0;
+    let ny = 0;
+    let nz = 0;
+
+    function startRecord(time) {
+        if (!records.has(time)) records.set(time, []);
+        current = records.get(time);
+        plane = 1;
+        columns = null;
+    }
+
+    function pushLine(line) {
+        totalLines++;
+
+        const time = parseHydroPrintTime(line);
+        if (Number.isFinite(time)) {
+            startRecord(time);
+            return;
+        }
+
+        const planeMatch = String(line).match(/\bJ\s*=\s*(\d+)/i);
+        if (planeMatch) {
+            plane = parseInt(planeMatch[1], 10);
+            columns = null;
+            return;
+        }
+
+        const tokens = splitHydroFields(line);
+        if (tokens.length === 0) return;
+
+        // Column header: ascending I indices, possibly after "I =" or "K/I".
+        const first = tokens.findIndex(token => /^\d+$/.test(token));
+        const indices = first >= 0 ? tokens.slice(first) : [];
+        if (indices.length > 0 && indices.every((token, c) => /^\d+$/.test(token) && +token === +indices[0] + c) &&
+            tokens.slice(0, first).every(token => !Number.isFinite(parseHydroNumber(token)))) {
+            columns = indices.map(Number);
+            return;
+        }
+
+        // Table row: the K index, then one value per column.
+        if (columns && /^\d+$/.test(tokens[0]) && tokens.length - 1 <= columns.length && tokens.length > 1) {
+            const k = parseInt(tokens[0], 10);
+            const values = tokens.slice(1).map(parseHydroNumber);
+            if (!values.some(Number.isFinite)) return;
+
+            if (!current) {
+                records.set(null, []);
+                current = records.get(null);
+            }
+            values.forEach((value, c) => {
+                current.push(columns[c], plane, k, value);
+                nx = Math.max(nx, columns[c]);
+            });
+            ny = Math.max(ny, plane);
+            nz = Math.max(nz, k);
+            valueCount += values.length;
+            return;
+        }
+
+        if (!title && /[a-z]/i.test(line) && !tokens.some(token => Number.isFinite(parseHydroNumber(token)))) {
+            title = getHydroTextWords(line).join(' ');
+        }
+    }
+
+    function finish() {
+        // Tables before the first print time only count without print times.
+        const timed = Array.from(records.keys()).filter(time => time !== null && records.get(time).length > 0);
+        const times = timed.length > 0
+            ? timed.sort((a, b) => a - b)
+            : (records.has(null) && records.get(null).length > 0 ? [null] : []);
+
+        const steps = times.map(time => {
+            const values = new Float64Array(nx * ny * nz).fill(NaN);
+            const cells = records.get(time);
+            for (let n = 0; n < cells.length; n += 4) {
+                const [i, j, k, value] = [cells[n], cells[n + 1], cells[n + 2], cells[n + 3]];
+                if (i >= 1 && j >= 1 && k >= 1) values[((k - 1) * ny + (j - 1)) * nx + (i - 1)] = value;
+            }
+            return { time, values };
+        });
+
+        const unitMatch = title.match(/\(([^()]*)\)\s*$/);
+        return {
+            kind: 'printout',
+            title,
+            unit: unitMatch ? unitMatch[1].trim() : '',
+            nx,
+            ny,
+            nz,
+            times,
+            steps,
+            stats: { totalLines, valueCount }
+        };
+    }
+
+    return { pushLine, finish };
+}
+
+// 'balance', 'printout' or 'unknown' for lines with no Plot_scalar /
+// Plot_vector rows (see detectHydroFileKind).
+function classifyOutFileKind(lines) {
+    const balance = createBalanceBuilder();
+    const printout = createPrintoutBuilder();
+    for (const line of lines) {
+        balance.pushLine(line);
+        printout.pushLine(line);
+    }
+
+    const balanceResult = balance.finish();
+    const printoutResult = printout.finish();
+    if (printoutResult.stats.valueCount > balanceResult.stats.termLines) return 'printout';
+    if (balanceResult.series.length > 0 && lines.some(line => /balance/i.test(line))) return 'balance';
+    return 'unknown';
+}
+
+// ============================================================
+// HYDROTHERM input deck
+// Keyword blocks of the run's input file: a keyword line such as
+// "POROSITY", "XSPACING (km)" or "SPECIFIED PRESSURE NODES", with
+// an optional unit in parentheses and format word, then data
+// lines up to the next keyword. Format words start a new part of
+// the block, so a CONSTANT value can be overridden by RANGE lines.
+// Unknown keywords and fixed-format lines are skipped, except the
+// line of grid dimensions after a "# nx, ny, nz" comment.
+// The blocks are resolved onto grid cells in hydro-model.js.
+// ============================================================
+
+const DECK_FORMAT_WORDS = {
+    CONSTANT: 'constant',
+    UNIFORM: 'constant',
+    NODE: 'node',
+    NODES: 'node',
+    NODAL: 'node',
+    NONUNIFORM: 'node',
+    ARRAY: 'node',
+    ROCK: 'rock',
+    BYROCK: 'rock',
+    RANGE: 'range',
+    RANGES: 'range',
+    RECTANGLE: 'range',
+    ZONE: 'range'
+};
+
+function getDeckFormat(token) {
+    return DECK_FORMAT_WORDS[String(token || '').toUpperCase().replace(/[_-]/g, '')] || null;
+}
+
+// { block, name, axis } for a keyword (upper case, separators removed), or null.
+function classifyDeckKeyword(keyword) {
+    let match;
+    if (keyword === 'TITLE') return { block: 'title' };
+    if (/^DIMENSIONS?$/.test(keyword)) return { block: 'dimensions' };
+    if ((match = keyword.match(/^([XYZ])SPACING$/))) return { block: 'spacing', axis: match[1].toLowerCase() };
+    if (/^(ROCKTYPES?|ROCKUNITS?|IRX|RTYPES?)$/.test(keyword)) return { block: 'rockType', name: 'rockType' };
+    if (keyword === 'POROSITY') return { block: 'property', name: 'porosity' };
+    if ((match = keyword.match(/^([XYZ]?)PERMEABILITY$/))) return { block: 'property', name: 'permeability' + match[1] };
+    if (/^(THERMAL)?CONDUCTIVITY$/.test(keyword)) return { block: 'property', name: 'conductivity' };
+    if (/^(ROCK)?SPECIFICHEAT$/.test(keyword)) return { block: 'property', name: 'specificHeat' };
+    if (/^(ROCK)?DENSITY$/.test(keyword)) return { block: 'property', name: 'density' };
+    if (/^(ROCK)?COMPRESSIBILITY$/.test(keyword)) return { block: 'property', name: 'compressibility' };
+    if (/^(SPECIFIED|FIXED|CONSTANT)/.test(keyword) && /PRESSURE|TEMPERATURE|ENTHALPY|VALUE|HEAD/.test(keyword)) {
+        return { block: 'boundary', type: 'value' };
+    }
+    if (/FLUX|PRECIPITATION|RECHARGE|SEEPAGE/.test(keyword)) return { block: 'boundary', type: 'flux' };
+    return null;
+}
+
+// { format, start } of the format words opening `tokens`: the last one
+// counts, so in "NODES RANGE" the rows are ranges; `start` is the index
+// of the first token after them.
+function readDeckFormat(tokens) {
+    let start = 0;
+    while (start < tokens.length && getDeckFormat(tokens[start])) start++;
+    return { format: start > 0 ? getDeckFormat(tokens[start - 1]) : null, start };
+}
+
+// { info, name, end } when the line starts with a known keyword, `end`
+// being the index of the first token after it. Keyword words run up to
+// a number or a format word; a format word may only start one, as in
+// "CONSTANT PRESSURE NODES".
+function readDeckKeyword(tokens) {
+    if (!/^[a-z]/i.test(tokens[0])) return null;
+
+    let end = 1;
+    while (end < tokens.length && /^[a-z]/i.test(tokens[end]) && !getDeckFormat(tokens[end])) end++;
+
+    const name = tokens.slice(0, end).join('_').toUpperCase();
+    const info = classifyDeckKeyword(name.replace(/[_-]/g, ''));
+    return info ? { info, name, end } : null;
+}
+
+// Numbers of a data line; Fortran repeats ("3*0.25") are expanded and
+// other words (T/F flags) dropped.
+function getDeckNumbers(tokens) {
+    const numbers = [];
+    for (const token of tokens) {
+        const repeat = token.match(/^(\d+)\*(.+)$/);
+        const value = parseHydroNumber(repeat ? repeat[2] : token);
+        if (!Number.isFinite(value)) continue;
+
+        const count = repeat ? parseInt(repeat[1], 10) : 1;
+        for (let n = 0; n < count; n++) numbers.push(value);
+    }
+    return numbers;
+}
+
+// Consumes the lines of an input deck. Each block is { keyword, unit,
+// parts: [{ format, rows: [[numbers]] }] }; `format` is null until a
+// format word is seen. Blocks repeating a property are merged.
+function createDeckBuilder() {
+    const properties = new Map(); // name -> block
+    const spacing = {};
+    const boundaries = [];
+    let rockTypes = null;
+    let dimensions = null;
+    let title = '';
+    let current = null; // { info, block } of the open keyword block
+    let expectDimensions = false;
+    let totalLines = 0;
+    let keywordLines = 0;
+
+    function openBlock(info, keyword, unit) {
+        let block;
+        if (info.block === 'property') {
+            block = properties.get(info.name) || { keyword, name: info.name, unit, parts: [] };
+            properties.set(info.name, block);
+        } else if (info.block === 'rockType') {
+            block = rockTypes = rockTypes || { keyword, name: info.name, unit, parts: [] };
+        } else if (info.block === 'spacing') {
+            block = spacing[info.axis] = { keyword, unit, parts: [] };
+        } else if (info.block === 'boundary') {
+            block = { keyword, type: info.type, unit, parts: [] };
+            boundaries.push(block);
+        } else {
+            block = { keyword, unit, parts: [] };
+        }
+        if (unit) block.unit = unit;
+        current = { info, block };
+    }
+
+    function addRow(format, numbers) {
+        const parts = current.block.parts;
+        if (format || parts.length === 0) parts.push({ format, rows: [] });
+        if (numbers.length > 0) parts[parts.length - 1].rows.push(numbers);
+    }
+
+    function pushLine(line) {
+        totalLines++;
+
+        const text = String(line || '').replace(/#.*$/, '');
+        const trimmed = String(line || '').trim();
+        if (trimmed.startsWith('#')) {
+            if (/\bnx\b.*\bny\b.*\bnz\b/i.test(trimmed)) expectDimensions = true;
+            return;
+        }
+
+        if (current && current.info.block === 'title' && trimmed.startsWith('.')) {
+            title = title || trimmed.replace(/^\.+\s*/, '');
+            return;
+        }
+
+        const unitMatch = text.match(/\(([^()]*)\)/);
+        const tokens = splitHydroFields(text.replace(/\([^()]*\)/g, ' '));
+        if (tokens.length === 0) return;
+
+        const keyword = readDeckKeyword(tokens);
+        if (keyword || (/^[a-z]/i.test(tokens[0]) && !(current && getDeckFormat(tokens[0])))) {
+            if (!keyword) {
+                current = null;
+                return;
+            }
+
+            keywordLines++;
+            const rest = tokens.slice(keyword.end);
+            openBlock(keyword.info, keyword.name, unitMatch ? unitMatch[1].trim() : '');
+            expectDimensions = false;
+
+            if (keyword.info.block === 'title') {
+                title = rest.join(' ').replace(/^\.+\s*/, '');
+            } else if (keyword.info.block === 'dimensions') {
+                setDimensions(getDeckNumbers(rest));
+                expectDimensions = dimensions === null;
+            } else if (rest.length > 0) {
+                const { format, start } = readDeckFormat(rest);
+                addRow(format, getDeckNumbers(rest.slice(start)));
+            }
+            return;
+        }
+
+        if (expectDimensions) {
+            setDimensions(getDeckNumbers(tokens));
+            expectDimensions = false;
+            return;
+        }
+
+        if (!current || current.info.block === 'title' || current.info.block === 'dimensions') return;
+
+        const { format, start } = readDeckFormat(tokens);
+        addRow(format, getDeckNumbers(tokens.slice(start)));
+    }
+
+    function setDimensions(numbers) {
+        if (numbers.length >= 3 && numbers.slice(0, 3).every(n => Number.isInteger(n) && n >= 1)) {
+            dimensions = { nx: numbers[0], ny: numbers[1], nz: numbers[2] };
+        }
+    }
+
+    function finish() {
+        return {
+            kind: 'deck',
+            title,
+            dimensions,
+            spacing,
+            rockTypes,
+            properties: Array.from(properties.values()),
+            boundaries,
+            stats: { totalLines, keywordLines }
+        };
+    }
+
+    return { pushLine, finish };
+}
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+// Command-line front end to hydrotherm.js, for batch-processing runs
+// from scripts. Results go to stdout as CSV (plain lists for `times`
+// and `fields`); errors go to stderr with exit status 1.
+
+const hydrotherm = require('./hydrotherm');
+
+// File kinds with output times, for `times --kind`.
+const TIME_KINDS = hydrotherm.FILE_KINDS.filter(kind => kind !== 'deck');
+
+const USAGE = `Usage: hydrotherm-post <command> --file Plot_scalar [options]
+
+Commands:
+  times    Output times (years) of the file, one per line
+  fields   Field names accepted by --var
+  probe    Time series of fields at one point
+  slice    Values of one field on a slice plane at one time
+  nodes    Values of fields at every node at one time
+  balance  Every Out_balance term at every print time
+  deck     Rock properties and boundary conditions of an input deck, per cell
+
+Options:
+  --file <path>          Plot_scalar file (Out_balance for "balance", the input deck
+                         for "deck"; any kind for "times")
+  --kind <kind>          File kind for "times": scalar | vector | balance | printout
+                         (default scalar); an input deck has no times
+  --grid-file <path>     Plot_scalar file giving the grid size, for "deck" without one
+  --category <kind>      rate | cumulative | error | other, for "balance" (default all)
+  --vector-file <path>   Plot_vector file, for vector-derived fields
+  --var <a[,b,...]>      Field(s); "slice" takes one
+  --define <n=expr[;...]> Calculated fields usable in --var, e.g. "dT=temperature-20"
+  --conductivity <W/mK>  Thermal conductivity for conductive_heat_flux and peclet_number
+                         (default 2.5; with --deck, where the deck gives none)
+  --deck <path>          Input deck whose properties become deck_* fields; its thermal
+                         conductivity replaces --conductivity where it gives one
+  --x, --y, --z <km>     Probe point ("probe"; y defaults to 0)
+  --mode <mode>          nearest | bilinear | idw (default nearest)
+  --tolerance <m>        Nearest-node cutoff and inverse-distance radius (default 100)
+  --vector-time <mode>   nearest | linear matching of vector times (default nearest)
+  --time <yr[,yr,...]>   Output time, snapped to the closest one (default: first;
+                         "probe" defaults to every time)
+  --plane <plane>        xz | xy | yz, for "slice" (default xz)
+  --position <km>        Slice position along the plane normal (default 0)
+
+Example:
+  hydrotherm-post probe --file Plot_scalar --x 1.2 --z -0.5 --var temperature
+`;
+
+// { _: [positional], name: value } from --name value / --name=value pairs.
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        if (eq > 0) {
+            args[arg.slice(2, eq)] = arg.slice(eq + 1);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            args[arg.slice(2)] = true;
+        }
+    }
+
+    return args;
+}
+
+function requireOption(args, name) {
+    if (args[name] === undefined || args[name] === true) {
+        throw new Error(`Missing --${name}.`);
+    }
+    return args[name];
+}
+
+function parseNumberOption(args, name, fallback) {
+    if (args[name] === undefined) {
+        if (fallback === undefined) throw new Error(`Missing --${name}.`);
+        return fallback;
+    }
+
+    const value = Number(args[name]);
+    if (!Number.isFinite(value)) throw new Error(`--${name} must be a number, not "${args[name]}".`);
+    return value;
+}
+
+function parseListOption(args, name) {
+    return String(requireOption(args, name)).split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+function parseTimesOption(args) {
+    if (args.time === undefined) return null;
+    return parseListOption(args, 'time').map(item => {
+        const value = Number(item);
+        if (!Number.isFinite(value)) throw new Error(`--time must be numbers, not "${item}".`);
+        return value;
+    });
+}
+
+function formatCsvNumber(value) {
+    return Number.isFinite(value) ? value : '';
+}
+
+// Calculated fields from --define "name=expression;name=expression".
+function defineFields(args, scalarStore) {
+    if (args.define === undefined) return;
+
+    for (const item of String(requireOption(args, 'define')).split(';')) {
+        if (item.trim() === '') continue;
+
+        const eq = item.indexOf('=');
+        if (eq <= 0) throw new Error(`--define takes name=expression, not "${item.trim()}".`);
+        hydrotherm.defineField(item.slice(0, eq).trim(), item.slice(eq + 1).trim(), '', scalarStore);
+    }
+}
+
+async function loadStores(args) {
+    const scalarStore = await hydrotherm.loadFile(requireOption(args, 'file'), 'scalar');
+    const vectorStore = args['vector-file']
+        ? await hydrotherm.loadFile(args['vector-file'], 'vector')
+        : null;
+
+    const deckFields = args.deck
+        ? hydrotherm.attachDeck(scalarStore, await hydrotherm.loadFile(requireOption(args, 'deck'), 'deck'))
+        : [];
+    hydrotherm.setConductivity(
+        scalarStore,
+        parseNumberOption(args, 'conductivity', 2.5),
+        deckFields.includes('deck_conductivity') ? 'deck_conductivity' : null
+    );
+    defineFields(args, scalarStore);
+    return { scalarStore, vectorStore };
+}
+
+function getFieldOptions(args, vectorStore) {
+    return { vectorStore, vectorTimeMode: args['vector-time'] || 'nearest' };
+}
+
+async function runTimes(args) {
+    const kind = args.kind === undefined ? 'scalar' : String(args.kind);
+    if (!TIME_KINDS.includes(kind)) {
+        throw new Error(`--kind must be ${TIME_KINDS.join(', ')} for "times", not "${kind}".`);
+    }
+
+    const store = await hydrotherm.loadFile(requireOption(args, 'file'), kind);
+    const times = hydrotherm.listTimes(store);
+    if (times.length === 0) throw new Error(`No output times in ${store.fileName}.`);
+    return times.join('\n') + '\n';
+}
+
+async function runFields(args) {
+    const { scalarStore, vectorStore } = await loadStores(args);
+    return hydrotherm.listFields(scalarStore, vectorStore).join('\n') + '\n';
+}
+
+async function runProbe(args) {
+    const { scalarStore, vectorStore } = await loadStores(args);
+    const fields = parseListOption(args, 'var');
+    const point = {
+        x: parseNumberOption(args, 'x'),
+        y: parseNumberOption(args, 'y', 0),
+        z: parseNumberOption(args, 'z')
+    };
+    const toleranceM = parseNumberOption(args, 'tolerance', 100);
+    const options = {
+        ...getFieldOptions(args, vectorStore),
+        mode: args.mode || 'nearest',
+        toleranceKm: toleranceM / 1000,
+        times: parseTimesOption(args)
+    };
+    const series = fields.map(field => hydrotherm.probe(scalarStore, point, field, options));
+
+    let csv = `# ${scalarStore.fileName} at (${point.x}, ${point.y}, ${point.z}) km; ` +
+        `${options.mode} sampling, tolerance ${toleranceM} m\n`;
+    csv += ['time', ...fields].join(',') + '\n';
+    series[0].forEach((sample, t) => {
+        csv += [sample.time, ...series.map(values => formatCsvNumber(values[t].value))].join(',') + '\n';
+    });
+    return csv;
+}
+
+async function runSlice(args) {
+    const { scalarStore, vectorStore } = await loadStores(args);
+    const field = requireOption(args, 'var');
+    const times = parseTimesOption(args);
+    const result = hydrotherm.slice(scalarStore, field, times ? times[0] : null, {
+        ...getFieldOptions(args, vectorStore),
+        orientation: args.plane || 'xz',
+        position: parseNumberOption(args, 'position', 0)
+    });
+
+    const lines = [
+        `# ${scalarStore.fileName} at ${result.time} years; ${result.orientation} plane at ` +
+        `${hydrotherm.SLICE_PLANES[result.orientation].normal} = ${result.position} km`,
+        `${result.h}_km,${result.v}_km,${field}`
+    ];
+    result.vValues.forEach((v, b) => {
+        result.hValues.forEach((h, a) => {
+            lines.push(`${h},${v},${formatCsvNumber(result.z[b][a])}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function runNodes(args) {
+    const { scalarStore, vectorStore } = await loadStores(args);
+    const fields = parseListOption(args, 'var');
+    const times = parseTimesOption(args);
+    const options = getFieldOptions(args, vectorStore);
+
+    // Vector-derived fields are on the Plot_vector nodes, the others on Plot_scalar's.
+    const vectorFields = fields.filter(field => hydrotherm.model.isDerivedVectorField(field));
+    if (vectorFields.length > 0 && vectorFields.length < fields.length) {
+        throw new Error('Scalar and vector-derived fields are on different nodes; export them separately.');
+    }
+
+    const columns = fields.map(field => hydrotherm.getFieldAtTime(scalarStore, field, times ? times[0] : null, options));
+    const first = columns[0];
+
+    const lines = [
+        `# ${scalarStore.fileName} at ${first.time} years; all nodes`,
+        ['x_km', 'y_km', 'z_km', ...fields].join(',')
+    ];
+    for (let n = 0; n < first.values.length; n++) {
+        lines.push([first.x[n], first.y[n], first.z[n], ...columns.map(column => formatCsvNumber(column.values[n]))].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+async function runBalance(args) {
+    const store = await hydrotherm.loadFile(requireOption(args, 'file'), 'balance');
+    const terms = args.category
+        ? store.series.filter(term => term.category === args.category)
+        : store.series;
+    if (terms.length === 0) throw new Error(`No ${args.category} terms in ${store.fileName}.`);
+
+    const quote = text => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [
+        `# ${store.fileName}; time in years`,
+        ['time', ...terms.map(term => quote(term.unit ? `${term.key} (${term.unit})` : term.key))].join(',')
+    ];
+    store.times.forEach((time, t) => {
+        lines.push([time, ...terms.map(term => formatCsvNumber(term.values[t]))].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function runDeck(args) {
+    const deckStore = await hydrotherm.loadFile(requireOption(args, 'file'), 'deck');
+    const scalarStore = args['grid-file'] ? await hydrotherm.loadFile(args['grid-file'], 'scalar') : null;
+    const resolved = hydrotherm.resolveDeck(deckStore, scalarStore);
+    const { nx, ny } = resolved.dims;
+
+    const columns = resolved.properties.map(property => ({
+        name: property.unit ? `${property.name} (${property.unit})` : property.name,
+        values: property.values
+    }));
+    if (resolved.rockTypes) columns.unshift({ name: 'rock_type', values: resolved.rockTypes });
+
+    // Boundary keywords of each cell, ";"-separated.
+    const boundaries = new Map();
+    for (const boundary of resolved.boundaries) {
+        for (const cell of boundary.cells) {
+            boundaries.set(cell, (boundaries.has(cell) ? boundaries.get(cell) + ';' : '') + boundary.keyword);
+        }
+    }
+
+    const quote = text => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [
+        `# ${deckStore.fileName}; K = 1 is the bottom layer`,
+        ['i', 'j', 'k', ...columns.map(column => quote(column.name)), 'boundary'].join(',')
+    ];
+    for (let cell = 0; cell < nx * ny * resolved.dims.nz; cell++) {
+        const i = cell % nx;
+        const j = Math.floor(cell / nx) % ny;
+        const k = Math.floor(cell / (nx * ny));
+        lines.push([i + 1, j + 1, k + 1, ...columns.map(column => formatCsvNumber(column.values[cell])),
+            boundaries.get(cell) || ''].join(','));
+    }
+    for (const problem of resolved.problems) process.stderr.write(`hydrotherm-post: ${problem}\n`);
+    return lines.join('\n') + '\n';
+}
+
+const COMMANDS = {
+    times: runTimes,
+    fields: runFields,
+    probe: runProbe,
+    slice: runSlice,
+    nodes: runNodes,
+    balance: runBalance,
+    deck: runDeck
+};
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = COMMANDS[args._[0]];
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (!command) {
+        process.stderr.write(USAGE);
+        return 1;
+    }
+
+    process.stdout.write(await command(args));
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    status => { process.exitCode = status; },
+    error => {
+        process.stderr.write(`hydrotherm-post: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,385 @@
+// Headless HYDROTHERM postprocessing for Node.
+// Runs the page's DOM-free scripts (iapws97.js, hydro-parser.js,
+// hydro-model.js) in one VM context, as parse.worker.js does with
+// importScripts, and wraps them in a small API:
+//
+//   const hydrotherm = require('./hydrotherm');
+//   const scalar = await hydrotherm.loadFile('Plot_scalar', 'scalar');
+//   const vector = await hydrotherm.loadFile('Plot_vector', 'vector');
+//
+//   hydrotherm.listTimes(scalar);                      // [0, 10, ...]
+//   hydrotherm.listFields(scalar, vector);             // ['temperature', ...]
+//   hydrotherm.getFieldAtTime(scalar, 'temperature', 100);
+//   hydrotherm.probe(scalar, { x: 1.2, z: -0.5 }, 'heat_flux_proxy', { vectorStore: vector });
+//   hydrotherm.slice(scalar, 'pressure', 100, { orientation: 'xz', position: 0 });
+//
+//   hydrotherm.defineField('steam_fraction', 'xs/(xw+xs)');   // then use it like any field
+//   hydrotherm.setConductivity(scalar, 2.1);   // W/(m·K), for conductive_heat_flux and peclet_number
+//
+//   const balance = await hydrotherm.loadFile('Out_balance', 'balance');
+//   balance.series; // [{ key, unit, category, values }] over balance.times
+//
+//   const deck = await hydrotherm.loadFile('Input', 'deck');
+//   hydrotherm.resolveDeck(deck, scalar).properties; // [{ name, unit, values }] per cell
+//   hydrotherm.attachDeck(scalar, deck);               // ['deck_rock_type', 'deck_conductivity', ...]
+//   hydrotherm.setConductivity(scalar, 2.5, 'deck_conductivity'); // the deck's λ where it gives one
+//
+// Coordinates are in km and times in years, as in the files. Field
+// names are the stored Plot_scalar columns plus the derived fields
+// of the page; vector-derived fields need `options.vectorStore`.
+// Errors are thrown as Error objects with the page's messages.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SHARED_SCRIPTS = ['iapws97.js', 'hydro-parser.js', 'hydro-model.js'];
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+const model = vm.createContext({ console });
+for (const file of SHARED_SCRIPTS) {
+    const fileName = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(fileName, 'utf8'), model, { filename: fileName });
+}
+
+// Top-level consts are not properties of the context, so read them out once.
+const { DERIVED_SCALAR_FIELDS, DERIVED_VECTOR_FIELDS, SLICE_PLANES } = vm.runInContext(
+    '({ DERIVED_SCALAR_FIELDS, DERIVED_VECTOR_FIELDS, SLICE_PLANES })', model
+);
+
+const PROBE_MODES = ['nearest', 'bilinear', 'idw'];
+const VECTOR_TIME_MODES = ['nearest', 'linear'];
+
+// ============================================================
+// Loading
+// ============================================================
+
+const FILE_KINDS = ['scalar', 'vector', 'balance', 'printout', 'deck'];
+
+function checkKind(kind) {
+    if (!FILE_KINDS.includes(kind)) {
+        throw new Error(`Unknown file kind "${kind}"; use ${FILE_KINDS.join(', ')}.`);
+    }
+}
+
+// Store of a file held in a string: Plot_scalar ('scalar'), Plot_vector
+// ('vector'), Out_balance ('balance', { times, series }), an Out_* field
+// printout ('printout', { times, steps, nx, ny, nz }) or the run's input
+// deck ('deck', keyword blocks; see resolveDeck()).
+function parseText(text, kind = 'scalar', fileName = '') {
+    checkKind(kind);
+
+    const builder = model.createHydroBuilder(kind);
+    for (const line of model.splitHydroLines(text)) {
+        builder.pushLine(line);
+    }
+
+    const store = model.createHydroStore(
+        { name: fileName, size: text.length, lastModified: null }, builder.finish()
+    );
+    model.validateHydroStore(store);
+    return store;
+}
+
+// Store of a file of any kind parseText() takes, read in chunks so large
+// runs never sit in memory as one string.
+async function loadFile(filePath, kind = 'scalar') {
+    checkKind(kind);
+
+    const stat = await fs.promises.stat(filePath);
+    const builder = model.createHydroBuilder(kind);
+    const decoder = new TextDecoder('utf-8');
+    let carry = '';
+
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+        const lines = model.splitHydroLines(carry + decoder.decode(chunk, { stream: true }));
+
+        // The last piece may be a partial line; keep it for the next chunk.
+        carry = lines.pop();
+        for (const line of lines) {
+            builder.pushLine(line);
+        }
+    }
+
+    carry += decoder.decode();
+    if (carry !== '') builder.pushLine(carry);
+
+    const store = model.createHydroStore(
+        { name: path.basename(filePath), size: stat.size, lastModified: stat.mtimeMs }, builder.finish()
+    );
+    model.validateHydroStore(store);
+    return store;
+}
+
+// ============================================================
+// Times and fields
+// ============================================================
+
+function listTimes(store) {
+    return store.times ? Array.from(store.times) : [];
+}
+
+// Plot_scalar files of 8 columns have no Nusselt number; the column is NaN.
+function hasNusseltColumn(scalarStore) {
+    const step = scalarStore.steps.get(scalarStore.times[0]);
+    return !!step && step.nusselt.some(Number.isFinite);
+}
+
+// Fields getFieldAtTime() accepts for these stores.
+function listFields(scalarStore, vectorStore = null) {
+    const fields = scalarStore.fields.filter(name =>
+        !['x', 'y', 'z'].includes(name) && (name !== 'nusselt' || hasNusseltColumn(scalarStore))
+    );
+    fields.push(...DERIVED_SCALAR_FIELDS);
+    if (vectorStore) fields.push(...DERIVED_VECTOR_FIELDS);
+    for (const field of model.listExpressionFields()) {
+        if (vectorStore || !field.usesVector) fields.push(field.name);
+    }
+    return fields;
+}
+
+// Adds (or replaces) a calculated field, e.g. defineField('dT', 'temperature - 20').
+// Expressions are parsed by hydro-model.js, never passed to eval; a field
+// using a Plot_vector column is evaluated on the vector nodes. Unknown
+// field names throw; `scalarStore` adds the fields of that store.
+function defineField(name, expression, unit = '', scalarStore = null) {
+    const field = model.defineExpressionField(name, expression, unit, scalarStore ? scalarStore.fields : []);
+    return { name: field.name, expression: field.expression, unit: field.unit, variables: Array.from(field.variables) };
+}
+
+// Throws while other calculated fields use `name`.
+function removeField(name) {
+    model.removeExpressionField(name);
+}
+
+// Thermal conductivity in W/(m·K) of conductive_heat_flux and peclet_number
+// on `scalarStore` (default 2.5). `field` names a node field giving λ per node
+// where positive, such as the deck_conductivity of attachDeck(). Each store
+// keeps its own setting.
+function setConductivity(scalarStore, conductivity, field = null) {
+    model.setStoreConductivity(scalarStore, conductivity, field);
+}
+
+// Output time of `store` closest to `time`; the first time without one.
+function findTime(store, time = null) {
+    if (time === null || time === undefined) return store.times[0];
+    if (!Number.isFinite(time)) throw new Error(`Invalid time "${time}".`);
+    return model.getClosestTimeValue(time, store.times);
+}
+
+// Plot_vector data for scalar time `time`: { step, lower, upper, weight }.
+// 'linear' interpolates between the vector steps around `time`, like the
+// page's vector time matching; 'nearest' takes the closest vector step.
+function matchVectorStep(vectorStore, time, mode = 'nearest') {
+    if (!VECTOR_TIME_MODES.includes(mode)) {
+        throw new Error(`Unknown vector time mode "${mode}"; use ${VECTOR_TIME_MODES.join(' or ')}.`);
+    }
+
+    const times = vectorStore.times;
+    if (mode === 'linear') {
+        const upperIndex = times.findIndex(t => t >= time);
+        if (upperIndex > 0 && times[upperIndex] !== time) {
+            const lower = times[upperIndex - 1];
+            const upper = times[upperIndex];
+            const a = vectorStore.steps.get(lower);
+            const b = vectorStore.steps.get(upper);
+
+            if (model.hasSameNodeLayout(a, b)) {
+                const weight = (time - lower) / (upper - lower);
+                return { step: model.interpolateVectorSteps(a, b, weight, time), lower, upper, weight };
+            }
+        }
+    }
+
+    const nearest = model.getClosestTimeValue(time, times);
+    return { step: vectorStore.steps.get(nearest), lower: nearest, upper: nearest, weight: 0 };
+}
+
+// Node values of `field` for one step pair. Scalar fields are on the nodes
+// of `scalarStep`, vector-derived fields on those of `vectorStep`.
+function derive(field, scalarStore, scalarStep, vectorStore = null, vectorStep = null) {
+    if (model.isDerivedVectorField(field)) {
+        if (!vectorStore || !vectorStep) {
+            throw new Error(`Field "${field}" needs a Plot_vector file.`);
+        }
+        return model.deriveVectorStepField(vectorStore.grid, vectorStep, field, scalarStore.grid, scalarStep);
+    }
+
+    if (!model.isDerivedScalarField(field) && !scalarStore.fields.includes(field)) {
+        throw new Error(`Unknown field "${field}"; available: ${listFields(scalarStore, vectorStore).join(', ')}.`);
+    }
+    return model.getScalarStepFieldValues(scalarStep, field);
+}
+
+// The grid, step and node values behind getFieldAtTime(), probe() and slice().
+function resolveField(scalarStore, field, time, options) {
+    const scalarTime = findTime(scalarStore, time);
+    const scalarStep = scalarStore.steps.get(scalarTime);
+    const vectorStore = options.vectorStore || null;
+
+    if (!model.isDerivedVectorField(field)) {
+        return {
+            time: scalarTime,
+            vector: null,
+            grid: scalarStore.grid,
+            step: scalarStep,
+            values: derive(field, scalarStore, scalarStep, vectorStore)
+        };
+    }
+
+    if (!vectorStore) throw new Error(`Field "${field}" needs a Plot_vector file.`);
+
+    const match = matchVectorStep(vectorStore, scalarTime, options.vectorTimeMode);
+    return {
+        time: scalarTime,
+        vector: { lower: match.lower, upper: match.upper, weight: match.weight },
+        grid: vectorStore.grid,
+        step: match.step,
+        values: derive(field, scalarStore, scalarStep, vectorStore, match.step)
+    };
+}
+
+// Node values of `field` at the output time closest to `time`:
+// { field, time, vector, x, y, z, values }. `vector` gives the Plot_vector
+// times used ({ lower, upper, weight }), or null for scalar fields.
+// Options: vectorStore, vectorTimeMode ('nearest' | 'linear').
+function getFieldAtTime(scalarStore, field, time = null, options = {}) {
+    const resolved = resolveField(scalarStore, field, time, options);
+    return {
+        field,
+        time: resolved.time,
+        vector: resolved.vector,
+        x: resolved.step.x,
+        y: resolved.step.y,
+        z: resolved.step.z,
+        values: resolved.values
+    };
+}
+
+// ============================================================
+// Probes and slices
+// ============================================================
+
+// Value of a resolved field at `point`, sampled as the page's probes are.
+function sampleField(resolved, point, mode, toleranceKm) {
+    const { grid, step, values } = resolved;
+
+    if (mode === 'idw') {
+        return model.sampleStepInverseDistance(grid, step, values, point.x, point.y, point.z, toleranceKm).value;
+    }
+    if (mode === 'bilinear') {
+        return model.sampleStepTrilinear(grid, step, values, point.x, point.y, point.z);
+    }
+
+    const cell = model.findNearestGridCell(grid, point.x, point.y, point.z);
+    const n = model.getStepCellNodes(grid, step)[model.getCellIndex(grid, cell.i, cell.j, cell.k)];
+    return n >= 0 && cell.distance < toleranceKm ? values[n] : NaN;
+}
+
+// [{ time, value }] of `field` at `point` ({ x, y, z } km; y defaults to 0)
+// for every output time, or for `options.times` (snapped to output times).
+// Options: mode ('nearest' | 'bilinear' | 'idw'), toleranceKm (nearest-node
+// cutoff and inverse-distance radius, default 0.1), vectorStore,
+// vectorTimeMode. Values are NaN where nothing is in range.
+function probe(scalarStore, point, field, options = {}) {
+    const mode = options.mode || 'nearest';
+    const toleranceKm = options.toleranceKm === undefined ? 0.1 : options.toleranceKm;
+    const at = { x: point.x, y: point.y === undefined ? 0 : point.y, z: point.z };
+
+    if (!PROBE_MODES.includes(mode)) {
+        throw new Error(`Unknown probe mode "${mode}"; use ${PROBE_MODES.join(', ')}.`);
+    }
+    if (![at.x, at.y, at.z].every(Number.isFinite)) {
+        throw new Error('Probe coordinates x, y and z must be numbers.');
+    }
+    if (!(toleranceKm > 0)) throw new Error('The probe tolerance must be positive.');
+
+    const times = options.times ? options.times.map(time => findTime(scalarStore, time)) : scalarStore.times;
+    return times.map(time => {
+        const resolved = resolveField(scalarStore, field, time, options);
+        return { time: resolved.time, value: sampleField(resolved, at, mode, toleranceKm) };
+    });
+}
+
+// Values of `field` on one slice plane at the output time closest to
+// `time`: { field, time, orientation, position, h, v, hValues, vValues, z }
+// with z[b][a] at (hValues[a], vValues[b]) and NaN where there is no node.
+// Options: orientation ('xz' | 'xy' | 'yz', default 'xz'), position (km
+// along the plane normal, snapped to the nearest node; default 0),
+// vectorStore, vectorTimeMode.
+function slice(scalarStore, field, time = null, options = {}) {
+    const orientation = options.orientation || 'xz';
+    const plane = SLICE_PLANES[orientation];
+    if (!plane) {
+        throw new Error(`Unknown slice plane "${orientation}"; use ${Object.keys(SLICE_PLANES).join(', ')}.`);
+    }
+
+    const resolved = resolveField(scalarStore, field, time, options);
+    const normalAxis = model.getGridAxis(resolved.grid, plane.normal);
+    const position = normalAxis[model.findNearestAxisIndex(normalAxis, options.position || 0)];
+    const mesh = model.buildFieldGrid(resolved.grid, resolved.step, resolved.values, { orientation, position });
+
+    return {
+        field,
+        time: resolved.time,
+        orientation,
+        position,
+        h: plane.h,
+        v: plane.v,
+        hValues: mesh.x,
+        vValues: mesh.y,
+        z: mesh.z
+    };
+}
+
+// ============================================================
+// Input deck
+// ============================================================
+
+// Deck blocks on grid cells (see resolveDeck in hydro-model.js), cell index
+// (k·ny + j)·nx + i with K = 1 the bottom layer. The grid size comes from
+// the deck, or from `scalarStore` when the deck gives none.
+function resolveDeck(deckStore, scalarStore = null) {
+    const deckDims = model.getDeckDimensions(deckStore);
+    const grid = scalarStore ? scalarStore.grid : null;
+    if (deckDims && grid && (deckDims.nx !== grid.nx || deckDims.ny !== grid.ny || deckDims.nz !== grid.nz)) {
+        throw new Error(`${deckStore.fileName} is a ${deckDims.nx}×${deckDims.ny}×${deckDims.nz} grid, ` +
+            `${scalarStore.fileName} ${grid.nx}×${grid.ny}×${grid.nz}.`);
+    }
+
+    const dims = deckDims || (grid ? { nx: grid.nx, ny: grid.ny, nz: grid.nz } : null);
+    if (!dims) throw new Error(`No grid dimensions in ${deckStore.fileName}; give a Plot_scalar file for them.`);
+    return model.resolveDeck(deckStore, dims);
+}
+
+// Copies the deck's rock types and properties onto the nodes of every step of
+// `scalarStore` as fields deck_rock_type, deck_porosity, deck_conductivity
+// (W/(m·K)) and so on, as the page does; returns their names.
+function attachDeck(scalarStore, deckStore) {
+    return model.attachDeckFieldsToStore(scalarStore, resolveDeck(deckStore, scalarStore)).map(field => field.name);
+}
+
+module.exports = {
+    FILE_KINDS,
+    DERIVED_SCALAR_FIELDS,
+    DERIVED_VECTOR_FIELDS,
+    PROBE_MODES,
+    VECTOR_TIME_MODES,
+    SLICE_PLANES,
+    model,
+    parseText,
+    loadFile,
+    listTimes,
+    listFields,
+    defineField,
+    removeField,
+    setConductivity,
+    findTime,
+    matchVectorStep,
+    derive,
+    getFieldAtTime,
+    probe,
+    slice,
+    resolveDeck,
+    attachDeck
+};
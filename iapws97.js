@@ -0,0 +1,413 @@
+// IAPWS-IF97 water / steam properties.
+// Plain functions with SI-ish IF97 units (T in K, p in MPa); script.js wraps
+// them for HYDROTHERM units (°C, bar). Nothing in here touches the DOM.
+
+// ============================================================
+// Constants
+// ============================================================
+
+const IF97_CRITICAL_TEMPERATURE_K = 647.096;
+const IF97_CRITICAL_PRESSURE_MPA = 22.064;
+const IF97_TRIPLE_TEMPERATURE_K = 273.15;
+const IF97_TRIPLE_PRESSURE_MPA = 611.213e-6;
+
+// ============================================================
+// Region 4: saturation line
+// ============================================================
+
+const IF97_REGION4_N = [
+    0.11670521452767e4,
+    -0.72421316598338e6,
+    -0.17073846940092e2,
+    0.12020824702470e5,
+    -0.32325550322333e7,
+    0.14915108613530e2,
+    -0.48232657361591e4,
+    0.40511340542057e6,
+    -0.23855557567849,
+    0.65017534844798e3
+];
+
+// Saturation pressure (MPa) at temperature T (K); NaN outside 273.15 K – Tc.
+function if97SaturationPressure(T) {
+    if (!(T >= IF97_TRIPLE_TEMPERATURE_K && T <= IF97_CRITICAL_TEMPERATURE_K)) return NaN;
+
+    const n = IF97_REGION4_N;
+    const theta = T + n[8] / (T - n[9]);
+    const A = theta * theta + n[0] * theta + n[1];
+    const B = n[2] * theta * theta + n[3] * theta + n[4];
+    const C = n[5] * theta * theta + n[6] * theta + n[7];
+
+    return Math.pow((2 * C) / (-B + Math.sqrt(B * B - 4 * A * C)), 4);
+}
+
+// Saturation temperature (K) at pressure p (MPa); NaN outside the triple – critical range.
+function if97SaturationTemperature(p) {
+    if (!(p >= IF97_TRIPLE_PRESSURE_MPA && p <= IF97_CRITICAL_PRESSURE_MPA)) return NaN;
+
+    const n = IF97_REGION4_N;
+    const beta = Math.pow(p, 0.25);
+    const E = beta * beta + n[2] * beta + n[5];
+    const F = n[0] * beta * beta + n[3] * beta + n[6];
+    const G = n[1] * beta * beta + n[4] * beta + n[7];
+    const D = (2 * G) / (-F - Math.sqrt(F * F - 4 * E * G));
+
+    return (n[9] + D - Math.sqrt(Math.pow(n[9] + D, 2) - 4 * (n[8] + n[9] * D))) / 2;
+}
+
+// ============================================================
+// Region boundaries
+// ============================================================
+
+const IF97_R = 0.461526; // kJ kg^-1 K^-1
+
+// Boundary between regions 2 and 3: pressure (MPa) at 623.15 K <= T <= 863.15 K.
+function if97B23Pressure(T) {
+    return 0.34805185628969e3 - 0.11671859879975e1 * T + 0.10192970039326e-2 * T * T;
+}
+
+// Region number for (p MPa, T K), or 0 outside the IF97 range.
+// Points on the saturation line below 623.15 K are given to region 1.
+function if97Region(p, T) {
+    if (!(p > 0) || !(T >= IF97_TRIPLE_TEMPERATURE_K)) return 0;
+
+    if (T <= 623.15) {
+        if (p > 100) return 0;
+        return p >= if97SaturationPressure(T) ? 1 : 2;
+    }
+    if (T <= 863.15) {
+        if (p > 100) return 0;
+        return p > if97B23Pressure(T) ? 3 : 2;
+    }
+    if (T <= 1073.15) return p <= 100 ? 2 : 0;
+    if (T <= 2273.15) return p <= 50 ? 5 : 0;
+    return 0;
+}
+
+// ============================================================
+// Region 1: compressed liquid (Gibbs free energy)
+// ============================================================
+
+const IF97_REGION1_I = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 2, 2, 2,
+    2, 2, 3, 3, 3, 4, 4, 4, 5, 8, 8, 21, 23, 29, 30, 31, 32
+];
+const IF97_REGION1_J = [
+    -2, -1, 0, 1, 2, 3, 4, 5, -9, -7, -1, 0, 1, 3, -3, 0, 1,
+    3, 17, -4, 0, 6, -5, -2, 10, -8, -11, -6, -29, -31, -38, -39, -40, -41
+];
+const IF97_REGION1_N = [
+    0.14632971213167, -0.84548187169114, -0.37563603672040e1, 0.33855169168385e1,
+    -0.95791963387872, 0.15772038513228, -0.16616417199501e-1, 0.81214629983568e-3,
+    0.28319080123804e-3, -0.60706301565874e-3, -0.18990068218419e-1, -0.32529748770505e-1,
+    -0.21841717175414e-1, -0.52838357969930e-4, -0.47184321073267e-3, -0.30001780793026e-3,
+    0.47661393906987e-4, -0.44141845330846e-5, -0.72694996297594e-15, -0.31679644845054e-4,
+    -0.28270797985312e-5, -0.85205128120103e-9, -0.22425281908000e-5, -0.65171222895601e-6,
+    -0.14341729937924e-12, -0.40516996860117e-6, -0.12734301741641e-8, -0.17424871230634e-9,
+    -0.68762131295531e-18, 0.14478307828521e-19, 0.26335781662795e-22, -0.11947622640071e-22,
+    0.18228094581404e-23, -0.93537087292458e-25
+];
+
+function if97Region1(p, T) {
+    const pi = p / 16.53;
+    const tau = 1386 / T;
+    const a = 7.1 - pi;
+    const b = tau - 1.222;
+    let gPi = 0;
+    let gTau = 0;
+    let gTauTau = 0;
+
+    for (let k = 0; k < IF97_REGION1_N.length; k++) {
+        const n = IF97_REGION1_N[k];
+        const I = IF97_REGION1_I[k];
+        const J = IF97_REGION1_J[k];
+        gPi -= n * I * Math.pow(a, I - 1) * Math.pow(b, J);
+        gTau += n * Math.pow(a, I) * J * Math.pow(b, J - 1);
+        gTauTau += n * Math.pow(a, I) * J * (J - 1) * Math.pow(b, J - 2);
+    }
+
+    return {
+        region: 1,
+        rho: 1 / ((IF97_R * T / (p * 1000)) * pi * gPi),
+        h: IF97_R * T * tau * gTau,
+        cp: -IF97_R * tau * tau * gTauTau
+    };
+}
+
+// ============================================================
+// Region 2: superheated steam (Gibbs free energy)
+// ============================================================
+
+const IF97_REGION2_J0 = [0, 1, -5, -4, -3, -2, -1, 2, 3];
+const IF97_REGION2_N0 = [
+    -0.96927686500217e1, 0.10086655968018e2, -0.56087911283020e-2,
+    0.71452738081455e-1, -0.40710498223928, 0.14240819171444e1,
+    -0.43839511319450e1, -0.28408632460772, 0.21268463753307e-1
+];
+const IF97_REGION2_I = [
+    1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 3, 3, 3, 3, 3, 4, 4, 4, 5, 6, 6, 6,
+    7, 7, 7, 8, 8, 9, 10, 10, 10, 16, 16, 18, 20, 20, 20, 21, 22, 23, 24, 24, 24
+];
+const IF97_REGION2_J = [
+    0, 1, 2, 3, 6, 1, 2, 4, 7, 36, 0, 1, 3, 6, 35, 1, 2, 3, 7, 3, 16, 35,
+    0, 11, 25, 8, 36, 13, 4, 10, 14, 29, 50, 57, 20, 35, 48, 21, 53, 39, 26, 40, 58
+];
+const IF97_REGION2_N = [
+    -0.17731742473213e-2, -0.17834862292358e-1, -0.45996013696365e-1, -0.57581259083432e-1,
+    -0.50325278727930e-1, -0.33032641670203e-4, -0.18948987516315e-3, -0.39392777243355e-2,
+    -0.43797295650573e-1, -0.26674547914087e-4, 0.20481737692309e-7, 0.43870667284435e-6,
+    -0.32277677238570e-4, -0.15033924542148e-2, -0.40668253562649e-1, -0.78847309559367e-9,
+    0.12790717852285e-7, 0.48225372718507e-6, 0.22922076337661e-5, -0.16714766451061e-10,
+    -0.21171472321355e-2, -0.23895741934104e2, -0.59059564324270e-17, -0.12621808899101e-5,
+    -0.38946842435739e-1, 0.11256211360459e-10, -0.82311340897998e1, 0.19809712802088e-7,
+    0.10406965210174e-18, -0.10234747095929e-12, -0.10018179379511e-8, -0.80882908646985e-10,
+    0.10693031879409, -0.33662250574171, 0.89185845355421e-24, 0.30629316876232e-12,
+    -0.42002467698208e-5, -0.59056029685639e-25, 0.37826947613457e-5, -0.12768608934681e-14,
+    0.73087610595061e-28, 0.55414715350778e-16, -0.94369707241210e-6
+];
+
+function if97Region2(p, T) {
+    const pi = p;
+    const tau = 540 / T;
+    const b = tau - 0.5;
+    let gPi = 1 / pi;
+    let gTau = 0;
+    let gTauTau = 0;
+
+    for (let k = 0; k < IF97_REGION2_N0.length; k++) {
+        const n = IF97_REGION2_N0[k];
+        const J = IF97_REGION2_J0[k];
+        gTau += n * J * Math.pow(tau, J - 1);
+        gTauTau += n * J * (J - 1) * Math.pow(tau, J - 2);
+    }
+
+    for (let k = 0; k < IF97_REGION2_N.length; k++) {
+        const n = IF97_REGION2_N[k];
+        const I = IF97_REGION2_I[k];
+        const J = IF97_REGION2_J[k];
+        gPi += n * I * Math.pow(pi, I - 1) * Math.pow(b, J);
+        gTau += n * Math.pow(pi, I) * J * Math.pow(b, J - 1);
+        gTauTau += n * Math.pow(pi, I) * J * (J - 1) * Math.pow(b, J - 2);
+    }
+
+    return {
+        region: 2,
+        rho: 1 / ((IF97_R * T / (p * 1000)) * pi * gPi),
+        h: IF97_R * T * tau * gTau,
+        cp: -IF97_R * tau * tau * gTauTau
+    };
+}
+
+// ============================================================
+// Region 3: near-critical fluid (Helmholtz free energy in ρ, T)
+// ============================================================
+
+const IF97_REGION3_N1 = 0.10658070028513e1;
+const IF97_REGION3_I = [
+    0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2, 3, 3, 3,
+    3, 3, 4, 4, 4, 4, 5, 5, 5, 6, 6, 6, 7, 8, 9, 9, 10, 10, 11
+];
+const IF97_REGION3_J = [
+    0, 1, 2, 7, 10, 12, 23, 2, 6, 15, 17, 0, 2, 6, 7, 22, 26, 0, 2, 4,
+    16, 26, 0, 2, 4, 26, 1, 3, 26, 0, 2, 26, 2, 26, 2, 26, 0, 1, 26
+];
+const IF97_REGION3_N = [
+    -0.15732845290239e2, 0.20944396974307e2, -0.76867707878716e1, 0.26185947787954e1,
+    -0.28080781148620e1, 0.12053369696517e1, -0.84566812812502e-2, -0.12654315477714e1,
+    -0.11524407806681e1, 0.88521043984318, -0.64207765181607, 0.38493460186671,
+    -0.85214708824206, 0.48972281541877e1, -0.30502617256965e1, 0.39420536879154e-1,
+    0.12558408424308, -0.27999329698710, 0.13899799569460e1, -0.20189915023570e1,
+    -0.82147637173963e-2, -0.47596035734923, 0.43984074473500e-1, -0.44476435428739,
+    0.90572070719733, 0.70522450087967, 0.10770512626332, -0.32913623258954,
+    -0.50871062041158, -0.22175400873096e-1, 0.94260751665092e-1, 0.16436278447961,
+    -0.13503372241348e-1, -0.14834345352472e-1, 0.57922953628084e-3, 0.32308904703711e-2,
+    0.80964802996215e-4, -0.16557679795037e-3, -0.44923899061815e-4
+];
+
+// Pressure (MPa) and derivatives of φ = f/RT at density rho (kg/m³) and T (K).
+function if97Region3State(rho, T) {
+    const delta = rho / 322;
+    const tau = IF97_CRITICAL_TEMPERATURE_K / T;
+    let fD = IF97_REGION3_N1 / delta;
+    let fDD = -IF97_REGION3_N1 / (delta * delta);
+    let fT = 0;
+    let fTT = 0;
+    let fDT = 0;
+
+    for (let k = 0; k < IF97_REGION3_N.length; k++) {
+        const n = IF97_REGION3_N[k];
+        const I = IF97_REGION3_I[k];
+        const J = IF97_REGION3_J[k];
+        fD += n * I * Math.pow(delta, I - 1) * Math.pow(tau, J);
+        fDD += n * I * (I - 1) * Math.pow(delta, I - 2) * Math.pow(tau, J);
+        fT += n * Math.pow(delta, I) * J * Math.pow(tau, J - 1);
+        fTT += n * Math.pow(delta, I) * J * (J - 1) * Math.pow(tau, J - 2);
+        fDT += n * I * Math.pow(delta, I - 1) * J * Math.pow(tau, J - 1);
+    }
+
+    return {
+        p: rho * IF97_R * T * delta * fD / 1000,
+        dpdrho: IF97_R * T * (2 * delta * fD + delta * delta * fDD) / 1000,
+        delta, tau, fD, fDD, fT, fTT, fDT
+    };
+}
+
+// Region 3 is explicit in density, so (p, T) needs a root solve. Below the
+// critical temperature p(ρ) has a liquid and a vapour branch; Newton started
+// from the dense or the dilute side stays on that branch. Steps that leave
+// the bracket fall back to bisection. Region 3 densities stay below about
+// 765 kg/m³; the equation turns over well above that.
+function if97Region3Density(p, T, liquid) {
+    let lo = 1;
+    let hi = 900;
+    let rho = liquid ? 800 : Math.min(600, p * 1000 / (IF97_R * T));
+
+    for (let iter = 0; iter < 100; iter++) {
+        const state = if97Region3State(rho, T);
+        const diff = state.p - p;
+
+        if (Math.abs(diff) < 1e-9 * p) return rho;
+        if (diff > 0) hi = Math.min(hi, rho); else lo = Math.max(lo, rho);
+
+        let next = rho - diff / state.dpdrho;
+        if (!(state.dpdrho > 0) || !(next > lo && next < hi)) next = (lo + hi) / 2;
+        if (Math.abs(next - rho) < 1e-10 * rho) return next;
+        rho = next;
+    }
+
+    return rho;
+}
+
+function if97Region3(p, T, liquid) {
+    const rho = if97Region3Density(p, T, liquid);
+    const s = if97Region3State(rho, T);
+    const cross = s.delta * s.fD - s.delta * s.tau * s.fDT;
+
+    return {
+        region: 3,
+        rho,
+        h: IF97_R * T * (s.tau * s.fT + s.delta * s.fD),
+        cp: IF97_R * (-s.tau * s.tau * s.fTT + cross * cross / (2 * s.delta * s.fD + s.delta * s.delta * s.fDD))
+    };
+}
+
+// ============================================================
+// Region 5: high-temperature steam (Gibbs free energy)
+// ============================================================
+
+const IF97_REGION5_J0 = [0, 1, -3, -2, -1, 2];
+const IF97_REGION5_N0 = [
+    -0.13179983674201e2, 0.68540841634434e1, -0.24805148933466e-1,
+    0.36901534980333, -0.31161318213925e1, -0.32961626538917
+];
+const IF97_REGION5_I = [1, 1, 1, 2, 2, 3];
+const IF97_REGION5_J = [1, 2, 3, 3, 9, 7];
+const IF97_REGION5_N = [
+    0.15736404855259e-2, 0.90153761673944e-3, -0.50270077677648e-2,
+    0.22440037409485e-5, -0.41163275453471e-5, 0.37918514207808e-7
+];
+
+function if97Region5(p, T) {
+    const pi = p;
+    const tau = 1000 / T;
+    let gPi = 1 / pi;
+    let gTau = 0;
+    let gTauTau = 0;
+
+    for (let k = 0; k < IF97_REGION5_N0.length; k++) {
+        const n = IF97_REGION5_N0[k];
+        const J = IF97_REGION5_J0[k];
+        gTau += n * J * Math.pow(tau, J - 1);
+        gTauTau += n * J * (J - 1) * Math.pow(tau, J - 2);
+    }
+
+    for (let k = 0; k < IF97_REGION5_N.length; k++) {
+        const n = IF97_REGION5_N[k];
+        const I = IF97_REGION5_I[k];
+        const J = IF97_REGION5_J[k];
+        gPi += n * I * Math.pow(pi, I - 1) * Math.pow(tau, J);
+        gTau += n * Math.pow(pi, I) * J * Math.pow(tau, J - 1);
+        gTauTau += n * Math.pow(pi, I) * J * (J - 1) * Math.pow(tau, J - 2);
+    }
+
+    return {
+        region: 5,
+        rho: 1 / ((IF97_R * T / (p * 1000)) * pi * gPi),
+        h: IF97_R * T * tau * gTau,
+        cp: -IF97_R * tau * tau * gTauTau
+    };
+}
+
+// ============================================================
+// Viscosity (IAPWS 2008, industrial form without critical enhancement)
+// ============================================================
+
+const IAPWS_VISCOSITY_H0 = [1.67752, 2.20462, 0.6366564, -0.241605];
+const IAPWS_VISCOSITY_H1 = [
+    [5.20094e-1, 2.22531e-1, -2.81378e-1, 1.61913e-1, -3.25372e-2, 0, 0],
+    [8.50895e-2, 9.99115e-1, -9.06851e-1, 2.57399e-1, 0, 0, 0],
+    [-1.08374, 1.88797, -7.72479e-1, 0, 0, 0, 0],
+    [-2.89555e-1, 1.26613, -4.89837e-1, 0, 6.98452e-2, 0, -4.35673e-3],
+    [0, 0, -2.57040e-1, 0, 0, 8.72102e-3, 0],
+    [0, 1.20573e-1, 0, 0, 0, 0, -5.93264e-4]
+];
+
+// Dynamic viscosity (Pa s) at density rho (kg/m³) and T (K).
+function iapwsViscosity(rho, T) {
+    const t = T / IF97_CRITICAL_TEMPERATURE_K;
+    const d = rho / 322;
+
+    let sum0 = 0;
+    for (let i = 0; i < IAPWS_VISCOSITY_H0.length; i++) {
+        sum0 += IAPWS_VISCOSITY_H0[i] / Math.pow(t, i);
+    }
+    const mu0 = 100 * Math.sqrt(t) / sum0;
+
+    let sum1 = 0;
+    for (let i = 0; i < IAPWS_VISCOSITY_H1.length; i++) {
+        for (let j = 0; j < IAPWS_VISCOSITY_H1[i].length; j++) {
+            const H = IAPWS_VISCOSITY_H1[i][j];
+            if (H !== 0) sum1 += H * Math.pow(1 / t - 1, i) * Math.pow(d - 1, j);
+        }
+    }
+    const mu1 = Math.exp(d * sum1);
+
+    return mu0 * mu1 * 1e-6;
+}
+
+// ============================================================
+// Public entry points
+// ============================================================
+
+function withViscosity(state, T) {
+    state.mu = iapwsViscosity(state.rho, T);
+    return state;
+}
+
+// Properties at (p MPa, T K): { region, rho (kg/m³), h (kJ/kg), cp (kJ/kg/K), mu (Pa s) },
+// or null outside the IF97 range.
+function if97Properties(p, T) {
+    const region = if97Region(p, T);
+
+    if (region === 1) return withViscosity(if97Region1(p, T), T);
+    if (region === 2) return withViscosity(if97Region2(p, T), T);
+    if (region === 3) {
+        const liquid = T < IF97_CRITICAL_TEMPERATURE_K && p >= if97SaturationPressure(T);
+        return withViscosity(if97Region3(p, T, liquid), T);
+    }
+    if (region === 5) return withViscosity(if97Region5(p, T), T);
+    return null;
+}
+
+// Saturated liquid / vapour at pressure p (MPa); null above the critical pressure.
+function if97SaturatedLiquid(p) {
+    const T = if97SaturationTemperature(p);
+    if (!Number.isFinite(T)) return null;
+    return withViscosity(T <= 623.15 ? if97Region1(p, T) : if97Region3(p, T, true), T);
+}
+
+function if97SaturatedVapour(p) {
+    const T = if97SaturationTemperature(p);
+    if (!Number.isFinite(T)) return null;
+    return withViscosity(T <= 623.15 ? if97Region2(p, T) : if97Region3(p, T, false), T);
+}
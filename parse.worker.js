@@ -0,0 +1,60 @@
+// Background parser for HYDROTHERM Plot_scalar / Plot_vector, Out_* and input files.
+// Reads the File in chunks, feeds complete lines to the builder for its kind
+// and posts back typed arrays (transferred, not copied).
+//
+// Messages in:  { file: File, kind: 'scalar' | 'vector' | 'balance' | 'printout' | 'deck' }
+// Messages out: { type: 'progress', loaded, total }
+//               { type: 'done', result }
+//               { type: 'error', message }
+
+importScripts('hydro-parser.js');
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+self.onmessage = async function (e) {
+    const { file, kind } = e.data;
+
+    try {
+        const builder = createHydroBuilder(kind);
+        const decoder = new TextDecoder('utf-8');
+        let carry = '';
+
+        for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+            const buffer = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+            const lines = splitHydroLines(carry + decoder.decode(buffer, { stream: true }));
+
+            // The last piece may be a partial line; keep it for the next chunk.
+            carry = lines.pop();
+            for (const line of lines) {
+                builder.pushLine(line);
+            }
+
+            self.postMessage({
+                type: 'progress',
+                loaded: Math.min(offset + CHUNK_SIZE, file.size),
+                total: file.size
+            });
+        }
+
+        carry += decoder.decode();
+        if (carry !== '') builder.pushLine(carry);
+
+        const result = builder.finish();
+        const transfer = [];
+        if (kind === 'balance') {
+            for (const term of result.series) transfer.push(term.values.buffer);
+        } else if (kind === 'printout') {
+            for (const step of result.steps) transfer.push(step.values.buffer);
+        } else if (kind === 'scalar' || kind === 'vector') {
+            for (const step of result.steps) {
+                for (const name of getStoredFields(kind)) {
+                    transfer.push(step[name].buffer);
+                }
+            }
+        }
+
+        self.postMessage({ type: 'done', result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
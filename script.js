@@ -1,6 +1,5 @@
 // --- GLOBALS ---
-let fileText = null;
-let timeIndex = {};
+let scalarStore = null; // parsed Plot_scalar time steps (see "File loading")
 let timePoints = [];
 let currentTimeIndex = 0;
 let currentDataRange = { min: 0, max: 100 };
@@ -9,439 +8,237 @@ let currentXRange = { min: 0, max: 100 };
 let currentZRange = { min: 0, max: 100 };
 let customXRange = null;
 let customZRange = null;
-let plottedPoints = []; // [{id, x, z, color}]
-let vectorData = null; // current timestep vector data
-let vectorFileText = null;
-let vectorTimeIndex = {};
+// currentXRange/customXRange and currentZRange/customZRange hold the
+// horizontal and vertical axes of the current slice plane.
+let sliceOrientation = 'xz'; // key of SLICE_PLANES
+let slicePosition = 0; // km along the slice normal
+let probes = []; // [{ id, name, x, y, z, color, visible }] (see "Probes")
+let nextProbeId = 1;
+let probeSampling = {
+    mode: 'nearest', // 'nearest' | 'bilinear' | 'idw'
+    toleranceKm: 0.1 // nearest-node cutoff and inverse-distance radius
+};
+let vectorData = null; // current vector time step (see "File loading")
+let vectorStore = null; // parsed Plot_vector time steps
 let vectorTimePoints = [];
+let vectorTimeMatching = {
+    mode: 'nearest', // 'nearest' | 'linear' (see "Vector time matching")
+    toleranceYears: null, // largest accepted gap to vector data, null for any
+    gapAction: 'warn' // 'warn' | 'refuse' beyond the tolerance
+};
 let vectorType = 'water';
 let arrowScale = -2.0; // log10 scale
 let currentTheme = 'dark';
 let arrowColor = '#ffffff';
-let nextPointSlot = 1; // for click-to-select
-
-const DERIVED_VECTOR_FIELDS = [
-    'water_flux_mag',
-    'steam_flux_mag',
-    'total_flux_mag',
-    'heat_flux_proxy',
-    'heat_flux_total'
+let activeFileParse = null; // { cancel } while a parse worker is running
+let contourOverlay = {
+    enabled: false,
+    variable: 'temperature',
+    levels: '100, 200, 300',
+    color: '#ffffff',
+    width: 1.5,
+    dash: 'solid',
+    showLabels: true
+};
+let phaseDiagnostics = {
+    flagOffCurve: false,
+    toleranceC: 2.0 // allowed |T − Tsat(P)| before a cell is flagged
+};
+let flowTracing = {
+    mode: 'off', // 'off' | 'streamlines' | 'pathlines'
+    seedMode: 'even', // 'even' | 'line' | 'points'
+    seedCount: 20,
+    porosity: 0.1,
+    useDeckPorosity: true, // input-deck porosity where it has one
+    seedLine: null, // { h0, v0, h1, v1 } in km on the slice plane
+    seedPoints: [] // [{ h, v }]
+};
+let sectionLine = {
+    vertices: [], // [{ h, v }] in km on the slice plane
+    thicknessM: 1.0 // out-of-plane width for 2-D sections
+};
+let profileLine = {
+    vertices: [], // [{ h, v }] end points in km on the slice plane
+    variable: 'temperature',
+    samples: 200,
+    times: '' // overlaid time steps; blank for the current step
+};
+let statisticsSettings = {
+    variable: 'temperature',
+    region: 'domain', // 'domain' | 'zoom' (main plot zoom window)
+    bins: 30,
+    histogramWeight: 'count', // 'count' | 'volume'
+    historyMeasures: ['min', 'max', 'weightedMean']
+};
+let regions = []; // [{ id, name, orientation, vertices: [{ h, v }], color }] (see "Regions of interest")
+let nextRegionId = 1;
+let regionSettings = {
+    activeId: null, // region used for the heatmap mask and export limit
+    maskHeatmap: false,
+    limitExports: false
+};
+let flowPathlines = null; // last particle trace (see "Streamlines and pathlines")
+let compareStore = null; // second Plot_scalar run (see "Run comparison")
+let comparisonMode = 'off'; // 'off' | 'side' | 'difference' | 'relative'
+let balanceStore = null; // parsed Out_balance (see "Out_* files and balance")
+let printoutStores = []; // parsed Out_* field printouts
+let deckStore = null; // parsed input deck (see "Input deck")
+let deckOverlay = {
+    showZones: true, // rock-zone outlines on the main plot
+    showBoundaries: true // specified-value and flux boundary cells
+};
+let thermalConductivity = {
+    value: 2.5, // W/(m·K), for conductive_heat_flux and peclet_number
+    useDeck: true // the input deck's conductivity where it gives one
+};
+let extraFieldLabels = new Map(); // field -> label of fields added at run time
+let plotClickAction = null; // { owner, onClick(h, v) } while picking on the plot instead of filling probes
+
+const PROBE_COLORS = [
+    '#20bf6b', '#0fb9b1', '#26de81', '#45aaf2', '#fd9644', '#a55eea',
+    '#fc5c65', '#fed330', '#4b7bec', '#2bcbba', '#eb3b5a', '#778ca3'
 ];
 
-const POINT_COLORS = ['#20bf6b', '#0fb9b1', '#26de81', '#45aaf2'];
-
 // ============================================================
-// Thermodynamic lookup tables for pure water / steam
-// Cp in J kg^-1 K^-1 as a function of temperature (°C)
+// Grid model
+// The grid model and field derivations live in hydro-model.js;
+// these helpers bind them to the loaded stores.
 // ============================================================
 
-const WATER_CP_TABLE = [
-    { T: 0, cp: 4217 },
-    { T: 25, cp: 4181 },
-    { T: 50, cp: 4180 },
-    { T: 100, cp: 4216 },
-    { T: 150, cp: 4300 },
-    { T: 200, cp: 4450 },
-    { T: 250, cp: 4700 },
-    { T: 300, cp: 5100 },
-    { T: 350, cp: 6000 }
-];
-
-const STEAM_CP_TABLE = [
-    { T: 100, cp: 2080 },
-    { T: 150, cp: 2010 },
-    { T: 200, cp: 1990 },
-    { T: 250, cp: 2010 },
-    { T: 300, cp: 2050 },
-    { T: 350, cp: 2120 },
-    { T: 400, cp: 2210 },
-    { T: 500, cp: 2470 },
-    { T: 600, cp: 2740 }
-];
-
-function interpolateCp(T, table) {
-    if (T <= table[0].T) return table[0].cp;
-    if (T >= table[table.length - 1].T) return table[table.length - 1].cp;
-
-    for (let i = 0; i < table.length - 1; i++) {
-        const a = table[i];
-        const b = table[i + 1];
-        if (T >= a.T && T <= b.T) {
-            const f = (T - a.T) / (b.T - a.T);
-            return a.cp + f * (b.cp - a.cp);
-        }
-    }
-    return table[table.length - 1].cp;
-}
-
-function getWaterCp(tempC) {
-    return interpolateCp(tempC, WATER_CP_TABLE);
-}
-
-function getSteamCp(tempC) {
-    return interpolateCp(tempC, STEAM_CP_TABLE);
-}
-
-// ============================================================
-// Basic helpers
-// ============================================================
+function getVectorComponent(step, n, type, axis) {
+    const water = step[`${axis}w`][n];
+    const steam = step[`${axis}s`][n];
 
-function mag3(a, b, c) {
-    return Math.sqrt(a * a + b * b + c * c);
+    if (type === 'steam') return steam;
+    if (type === 'total') return water + steam;
+    return water;
 }
 
-function isDerivedVectorField(variable) {
-    return DERIVED_VECTOR_FIELDS.includes(variable);
+// Vector projected onto the slice plane.
+function getVectorComponentsForPlot(step, n, type, orientation) {
+    const plane = SLICE_PLANES[orientation];
+    return {
+        u: getVectorComponent(step, n, type, plane.h),
+        w: getVectorComponent(step, n, type, plane.v)
+    };
 }
 
-function getClosestTimeValue(targetTime, availableTimes) {
-    if (!availableTimes || availableTimes.length === 0) return null;
-    return availableTimes.reduce((prev, curr) =>
-        Math.abs(curr - targetTime) < Math.abs(prev - targetTime) ? curr : prev
+// Vector-derived field for a Plot_vector step of the loaded files.
+function deriveVectorField(vectorStep, fieldName, scalarStep = null) {
+    return deriveVectorStepField(
+        vectorStore.grid, vectorStep, fieldName, scalarStore ? scalarStore.grid : null, scalarStep
     );
 }
 
-function buildTemperatureLookup(timeData) {
-    const lookup = new Map();
-    for (const row of timeData) {
-        lookup.set(`${row.x}|${row.z}`, row.temperature);
-    }
-    return lookup;
-}
-
-function createMeshGridFromXYZ(rows) {
-    const xVals = [...new Set(rows.map(d => d.x))].sort((a, b) => a - b);
-    const yVals = [...new Set(rows.map(d => d.y))].sort((a, b) => a - b);
-
-    const xIndex = new Map(xVals.map((v, i) => [v, i]));
-    const yIndex = new Map(yVals.map((v, i) => [v, i]));
-
-    const zGrid = Array.from({ length: yVals.length }, () => Array(xVals.length).fill(NaN));
-
-    for (const row of rows) {
-        const ix = xIndex.get(row.x);
-        const iy = yIndex.get(row.y);
-        if (ix !== undefined && iy !== undefined) {
-            zGrid[iy][ix] = row.z;
-        }
-    }
-
-    return { x: xVals, y: yVals, z: zGrid };
+function findClosestScalarPoint(step, x, y, z) {
+    return findClosestStepPoint(scalarStore, step, x, y, z);
 }
 
-function getVectorComponentsForPlot(row, type) {
-    if (type === 'steam') {
-        return { u: row.xs, w: row.zs };
-    } else if (type === 'total') {
-        return { u: row.xw + row.xs, w: row.zw + row.zs };
-    }
-    return { u: row.xw, w: row.zw };
+function findClosestVectorPoint(step, x, y, z) {
+    return findClosestStepPoint(vectorStore, step, x, y, z);
 }
 
-function computeTypicalCellAreaM2FromVectorRows(vectorRows) {
-    if (!vectorRows || vectorRows.length === 0) return 1.0;
-
-    const xVals = [...new Set(vectorRows.map(r => r.x))].sort((a, b) => a - b);
-    const zVals = [...new Set(vectorRows.map(r => r.z))].sort((a, b) => a - b);
-
-    let dxKm = null;
-    let dzKm = null;
+// ============================================================
+// File loading
+// Files are parsed once, in parse.worker.js, into a time-step store
+// (see "Time-step stores" in hydro-model.js).
+// ============================================================
 
-    for (let i = 1; i < xVals.length; i++) {
-        const d = Math.abs(xVals[i] - xVals[i - 1]);
-        if (d > 0) {
-            dxKm = d;
-            break;
-        }
-    }
+function parseHydroFileInWorker(file, kind, onProgress) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('parse.worker.js');
 
-    for (let i = 1; i < zVals.length; i++) {
-        const d = Math.abs(zVals[i] - zVals[i - 1]);
-        if (d > 0) {
-            dzKm = d;
-            break;
+        function finish() {
+            worker.terminate();
+            activeFileParse = null;
         }
-    }
-
-    if (dxKm === null || dzKm === null) return 1.0;
-
-    const dxM = dxKm * 1000.0;
-    const dzM = dzKm * 1000.0;
-
-    return dxM * dzM;
-}
-
-function computeHeatFluxDensityWm2(waterMag, steamMag, tempC) {
-    const waterFluxSI = waterMag * 10.0; // g/s/cm^2 -> kg/s/m^2
-    const steamFluxSI = steamMag * 10.0;
-
-    const cpWater = getWaterCp(tempC);
-    const cpSteam = getSteamCp(tempC);
-    const tempK = tempC + 273.15;
-
-    return (waterFluxSI * cpWater * tempK) + (steamFluxSI * cpSteam * tempK);
-}
-
-function deriveVectorField(vectorRows, fieldName, tempLookup = null) {
-    const cellAreaM2 = computeTypicalCellAreaM2FromVectorRows(vectorRows);
-
-    return vectorRows.map(row => {
-        const waterMag = mag3(row.xw, row.yw, row.zw);
-        const steamMag = mag3(row.xs, row.ys, row.zs);
-        const totalMag = waterMag + steamMag;
-
-        let value = NaN;
-
-        if (fieldName === 'water_flux_mag') {
-            value = waterMag;
-        } else if (fieldName === 'steam_flux_mag') {
-            value = steamMag;
-        } else if (fieldName === 'total_flux_mag') {
-            value = totalMag;
-        } else if (fieldName === 'heat_flux_proxy' || fieldName === 'heat_flux_total') {
-            const key = `${row.x}|${row.z}`;
-            const tempC = tempLookup ? tempLookup.get(key) : undefined;
-
-            if (tempC !== undefined && !isNaN(tempC)) {
-                const heatFluxDensityWm2 = computeHeatFluxDensityWm2(waterMag, steamMag, tempC);
 
-                if (fieldName === 'heat_flux_proxy') {
-                    value = heatFluxDensityWm2 * 1000.0; // mW/m^2
-                } else {
-                    value = (heatFluxDensityWm2 * cellAreaM2) / 1.0e6; // MW
-                }
+        activeFileParse = {
+            cancel() {
+                finish();
+                const error = new Error('File loading was cancelled.');
+                error.name = 'AbortError';
+                reject(error);
             }
-        }
-
-        return {
-            x: row.x,
-            y: row.z,
-            z: value
         };
-    });
-}
-
-function findClosestScalarPoint(timeData, x, z) {
-    let closestPoint = null;
-    let minDistance = Infinity;
-
-    for (const dataPoint of timeData) {
-        const distance = Math.sqrt(
-            Math.pow(dataPoint.x - x, 2) +
-            Math.pow(dataPoint.z - z, 2)
-        );
-
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestPoint = dataPoint;
-        }
-    }
-
-    return { closestPoint, minDistance };
-}
-
-function findClosestVectorPoint(vectorRows, x, z) {
-    let closestPoint = null;
-    let minDistance = Infinity;
 
-    for (const dataPoint of vectorRows) {
-        const distance = Math.sqrt(
-            Math.pow(dataPoint.x - x, 2) +
-            Math.pow(dataPoint.z - z, 2)
-        );
-
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestPoint = dataPoint;
-        }
-    }
-
-    return { closestPoint, minDistance };
-}
-
-function computeDerivedValueAtPoint(fieldName, vectorPoint, scalarPoint, cellAreaM2 = 1.0) {
-    if (!vectorPoint) return NaN;
-
-    const waterMag = mag3(vectorPoint.xw, vectorPoint.yw, vectorPoint.zw);
-    const steamMag = mag3(vectorPoint.xs, vectorPoint.ys, vectorPoint.zs);
-    const totalMag = waterMag + steamMag;
+        worker.onmessage = function (e) {
+            const message = e.data;
 
-    if (fieldName === 'water_flux_mag') return waterMag;
-    if (fieldName === 'steam_flux_mag') return steamMag;
-    if (fieldName === 'total_flux_mag') return totalMag;
-
-    if (fieldName === 'heat_flux_proxy' || fieldName === 'heat_flux_total') {
-        if (!scalarPoint) return NaN;
-
-        const tempC = scalarPoint.temperature;
-        const heatFluxDensityWm2 = computeHeatFluxDensityWm2(waterMag, steamMag, tempC);
-
-        if (fieldName === 'heat_flux_proxy') {
-            return heatFluxDensityWm2 * 1000.0; // mW/m^2
-        }
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.loaded, message.total);
+                return;
+            }
 
-        return (heatFluxDensityWm2 * cellAreaM2) / 1.0e6; // MW
-    }
+            finish();
 
-    return NaN;
-}
+            if (message.type === 'done') {
+                resolve(createHydroStore(file, message.result));
+            } else {
+                reject(new Error(message.message));
+            }
+        };
 
-// ============================================================
-// Robust HYDROTHERM parsing helpers
-// Heading-independent parser:
-// - ignores title/comment/header/unit lines
-// - accepts arbitrary run names like .Heap12, .ht10, .convectMars
-// - detects scalar rows from numeric structure
-// - detects vector rows from numeric structure
-// ============================================================
+        worker.onerror = function (e) {
+            finish();
+            reject(new Error(e.message || 'File parsing worker failed.'));
+        };
 
-function splitHydroLines(text) {
-    return String(text || '').split(/\r\n|\n|\r/);
+        worker.postMessage({ file, kind });
+    });
 }
 
-function parseHydroNumber(value) {
-    if (value === undefined || value === null) return NaN;
-
-    const normalized = String(value)
-        .replace(/\u0000/g, '')
-        .replace(/\u00A0/g, ' ')
-        .replace(/−/g, '-')
-        .replace(/[dD]/g, 'E')
-        .replace(/,/g, '')
-        .trim();
-
-    if (normalized === '') return NaN;
-
-    // Require the token to begin like a number, not merely contain a number.
-    // This prevents things like "x", "(km)", "phase", or "conduit" from passing.
-    if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[Ee][+-]?\d+)?$/.test(normalized)) {
-        return NaN;
-    }
-
-    const n = Number(normalized);
-    return Number.isFinite(n) ? n : NaN;
+function cancelFileLoading() {
+    if (activeFileParse) activeFileParse.cancel();
 }
 
-function splitHydroFields(line) {
-    return String(line || '')
-        .replace(/\u0000/g, '')
-        .replace(/\u00A0/g, ' ')
-        .trim()
-        .split(/[\t ]+/)
-        .filter(Boolean);
+function getScalarTimeStep(time) {
+    return scalarStore ? scalarStore.steps.get(time) || null : null;
 }
 
-function getNumericParts(line) {
-    const parts = splitHydroFields(line);
-    const nums = parts.map(parseHydroNumber);
-
-    // A real data row should be all numeric tokens.
-    // Header/unit/title lines will fail here.
-    if (parts.length === 0) return null;
-    if (nums.some(v => Number.isNaN(v))) return null;
-
-    return nums;
+function getVectorTimeStep(time) {
+    return vectorStore ? vectorStore.steps.get(time) || null : null;
 }
 
-function looksLikeHydroDataLine(line, minCols) {
-    const nums = getNumericParts(line);
-    return nums && nums.length >= minCols;
+function hasVectorStore() {
+    return vectorStore !== null && vectorTimePoints.length > 0;
 }
 
-function detectHydroFileKind(text) {
-    const lines = splitHydroLines(text);
-
-    let scalarRows = 0;
-    let vectorRows = 0;
-    let firstScalarLine = null;
-    let firstVectorLine = null;
-
-    for (let i = 0; i < lines.length; i++) {
-        const nums = getNumericParts(lines[i]);
-        if (!nums) continue;
-
-        // Vector output has at least 10 numeric columns:
-        // x y z time xw yw zw xs ys zs
-        if (nums.length >= 10) {
-            vectorRows++;
-            if (firstVectorLine === null) firstVectorLine = i;
-        }
-
-        // Scalar output has at least 8 numeric columns:
-        // x y z time temperature pressure saturation phase
-        // It may have a 9th field, e.g., Cell Nusselt No.
-        if (nums.length >= 8) {
-            scalarRows++;
-            if (firstScalarLine === null) firstScalarLine = i;
-        }
-    }
+// Parses and validates one Plot_scalar / Plot_vector or Out_* file.
+async function loadHydroStore(file, kind) {
+    const store = await parseHydroFileInWorker(file, kind, updateLoadingProgress);
 
-    // Prefer vector when many rows have 10 columns, because vector rows
-    // also technically satisfy ">= 8".
-    let kind = 'unknown';
-    if (vectorRows > 0 && vectorRows >= scalarRows * 0.5) {
-        kind = 'vector';
-    } else if (scalarRows > 0) {
-        kind = 'scalar';
-    }
+    console.log(`HYDROTHERM ${kind} parse summary:`, {
+        fileName: file.name,
+        fileSize: file.size,
+        timeSteps: store.times ? store.times.length : 0,
+        ...store.stats
+    });
 
-    return {
-        kind,
-        scalarRows,
-        vectorRows,
-        firstScalarLine,
-        firstVectorLine
-    };
+    validateHydroStore(store);
+    return store;
 }
 
-function tryParseScalarRow(line) {
-    const nums = getNumericParts(line);
-    if (!nums || nums.length < 8) return null;
+function activateScalarStore(store) {
+    scalarStore = store;
+    timePoints = store.times;
+    currentTimeIndex = 0;
 
-    // Do not accidentally parse vector rows as scalar rows.
-    // Vector files have 10 columns where columns 5-10 are fluxes.
-    // Scalar files usually have 8 or 9 columns.
-    if (nums.length >= 10) return null;
-
-    const [x, y, z, time, temperature, pressure, saturation, phase] = nums;
-
-    return {
-        x,
-        y,
-        z,
-        time,
-        temperature,
-        pressure,
-        saturation,
-        phase,
-        nusselt: nums.length >= 9 ? nums[8] : NaN
-    };
+    attachPrintoutFields();
+    attachDeckFields();
+    applyThermalConductivity();
+    setupTimeSlider();
 }
 
-function tryParseVectorRow(line) {
-    const nums = getNumericParts(line);
-    if (!nums || nums.length < 10) return null;
+function activateVectorStore(store) {
+    vectorStore = store;
+    vectorTimePoints = store.times;
+    interpolatedVectorSteps = new Map();
+    flowPathlines = null;
 
-    const [x, y, z, time, xw, yw, zw, xs, ys, zs] = nums;
-
-    return {
-        x,
-        y,
-        z,
-        time,
-        xw,
-        yw,
-        zw,
-        xs,
-        ys,
-        zs
-    };
+    vectorData = getVectorStepForTime(timePoints[currentTimeIndex]);
 }
 
-// ============================================================
-// File loading and validation
-// ============================================================
-
 async function loadAndProcessFile() {
     const fileInput = document.getElementById('fileInput');
     const file = fileInput.files[0];
@@ -454,140 +251,22 @@ async function loadAndProcessFile() {
         console.warn('Filename does not match expected Plot_scalar pattern:', file.name);
     }
 
-    showLoading(true);
+    showLoading(true, `Parsing ${file.name}...`);
 
     try {
-        fileText = await readFileAsText(file);
-
-        console.log('file name:', file.name);
-        console.log('fileText length:', fileText.length);
-        console.log('fileText first 200 chars:', JSON.stringify(fileText.slice(0, 200)));
-        console.log('newline counts:', {
-            lf: (fileText.match(/\n/g) || []).length,
-            cr: (fileText.match(/\r/g) || []).length
-        });
-        console.log('first split length:', splitHydroLines(fileText).length);
-
-        const formatValidation = validateFileFormat(fileText);
-        if (!formatValidation.isValid) {
-            throw new Error(`Invalid file format: ${formatValidation.error}`);
-        }
-
-        await buildTimeIndex(fileText);
-
-        if (timePoints.length > 0) {
-            setupTimeSlider();
-            await plotData();
-            showTimeSeriesSection();
-            showLoading(false);
-        } else {
-            throw new Error('No valid time-indexed data found in file.');
-        }
+        activateScalarStore(await loadHydroStore(file, 'scalar'));
+        showTimeSeriesSection();
+        await plotData();
+        showLoading(false);
     } catch (error) {
-        console.error('Error processing file:', error);
-        alert('Error processing file: ' + error.message);
         showLoading(false);
-    }
-}
-
-function validateFileFormat(text) {
-    const lines = splitHydroLines(text);
-    let validDataLines = 0;
-    const examples = [];
-
-    for (let i = 0; i < lines.length; i++) {
-        const parsed = tryParseScalarRow(lines[i]);
-        if (parsed) {
-            validDataLines++;
-            if (examples.length < 5) {
-                examples.push({ lineNumber: i + 1, raw: lines[i], parsed });
-            }
-        }
-    }
-
-    const detected = detectHydroFileKind(text);
-
-    console.log('HYDROTHERM scalar validation summary:', {
-        totalLines: lines.length,
-        validDataLines,
-        detected,
-        examples
-    });
-
-    if (validDataLines === 0) {
-        console.log('First 30 raw lines:', lines.slice(0, 30));
-        return {
-            isValid: false,
-            error:
-                `No valid scalar data rows were found. ` +
-                `Detected kind: ${detected.kind}; ` +
-                `scalar-like rows: ${detected.scalarRows}; ` +
-                `vector-like rows: ${detected.vectorRows}.`
-        };
-    }
-
-    return {
-        isValid: true,
-        error: null,
-        stats: {
-            totalLines: lines.length,
-            validDataLines,
-            detected
-        }
-    };
-}
-
-async function buildTimeIndex(text) {
-    timeIndex = {};
-    timePoints = [];
-
-    const lines = splitHydroLines(text);
-    let currentTime = null;
-    let startLine = null;
-
-    for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-        const row = tryParseScalarRow(lines[lineNum]);
-        if (!row) continue;
-
-        const time = row.time;
-
-        if (currentTime === null) {
-            currentTime = time;
-            startLine = lineNum;
-        } else if (time !== currentTime) {
-            timeIndex[currentTime] = [startLine, lineNum - 1];
-            timePoints.push(currentTime);
-            currentTime = time;
-            startLine = lineNum;
-        }
-    }
-
-    if (currentTime !== null && startLine !== null) {
-        timeIndex[currentTime] = [startLine, lines.length - 1];
-        timePoints.push(currentTime);
-    }
-
-    timePoints = Array.from(new Set(timePoints)).sort((a, b) => a - b);
-}
-
-function parseTimeStepData(text, time) {
-    const range = timeIndex[time];
-    if (!range) return [];
-
-    const [start, end] = range;
-    const lines = splitHydroLines(text).slice(start, end + 1);
-    const data = [];
-
-    for (const line of lines) {
-        const row = tryParseScalarRow(line);
-        if (!row) continue;
-
-        if (row.time === time) {
-            data.push(row);
+        if (error.name === 'AbortError') {
+            console.log('Scalar file loading cancelled:', file.name);
+            return;
         }
+        console.error('Error processing file:', error);
+        alert('Error processing file: ' + error.message);
     }
-
-    return data;
 }
 
 // ============================================================
@@ -609,144 +288,204 @@ async function loadVectorFile() {
         console.warn('Filename does not match expected Plot_vector pattern:', file.name);
     }
 
-    try {
-        vectorFileText = await readFileAsText(file);
-
-        console.log('vector file name:', file.name);
-        console.log('vector fileText length:', vectorFileText.length);
-        console.log('vector fileText first 200 chars:', JSON.stringify(vectorFileText.slice(0, 200)));
-        console.log('vector newline counts:', {
-            lf: (vectorFileText.match(/\n/g) || []).length,
-            cr: (vectorFileText.match(/\r/g) || []).length
-        });
-        console.log('vector first split length:', splitHydroLines(vectorFileText).length);
-
-        const formatValidation = validateVectorFileFormat(vectorFileText);
-        if (!formatValidation.isValid) {
-            throw new Error(`Invalid vector file format: ${formatValidation.error}`);
-        }
-
-        await buildVectorTimeIndex(vectorFileText);
+    showLoading(true, `Parsing ${file.name}...`);
 
-        const currentTime = timePoints[currentTimeIndex];
-        const bestVectorTime = getClosestTimeValue(currentTime, vectorTimePoints);
-        vectorData = bestVectorTime !== null ? parseVectorTimeStepData(vectorFileText, bestVectorTime) : [];
+    try {
+        activateVectorStore(await loadHydroStore(file, 'vector'));
 
         vectorType = vectorTypeSelect.value;
         arrowScale = parseFloat(arrowScaleSlider.value);
 
+        showLoading(false);
         plotData();
     } catch (error) {
+        showLoading(false);
+        if (error.name === 'AbortError') {
+            console.log('Vector file loading cancelled:', file.name);
+            return;
+        }
         console.error('Error processing vector file:', error);
         alert('Error processing vector file: ' + error.message);
     }
 }
 
-function validateVectorFileFormat(text) {
-    const lines = splitHydroLines(text);
-    let validDataLines = 0;
-    const examples = [];
+function clearVectors() {
+    vectorData = null;
+    vectorStore = null;
+    vectorTimePoints = [];
+    interpolatedVectorSteps = new Map();
+    flowPathlines = null;
+    plotData();
+}
 
-    for (let i = 0; i < lines.length; i++) {
-        const parsed = tryParseVectorRow(lines[i]);
-        if (parsed) {
-            validDataLines++;
-            if (examples.length < 5) {
-                examples.push({ lineNumber: i + 1, raw: lines[i], parsed });
-            }
-        }
-    }
+// ============================================================
+// Vector time matching
+// Plot_vector is often written at other times than Plot_scalar.
+// A scalar time either takes the closest vector step or a step
+// interpolated linearly between the two vector steps around it.
+// The gap to the vector data is reported for every frame, and a
+// gap above the tolerance gives a warning or no vector data.
+// ============================================================
 
-    const detected = detectHydroFileKind(text);
+const INTERPOLATED_VECTOR_CACHE_SIZE = 4;
+let interpolatedVectorSteps = new Map(); // time -> interpolated vector step
 
-    console.log('HYDROTHERM vector validation summary:', {
-        totalLines: lines.length,
-        validDataLines,
-        detected,
-        examples
-    });
+// Vector steps around `time`: { lower, upper } times, equal when `time`
+// is a vector time or outside the vector times. Null without vectors.
+function findVectorTimeBracket(time) {
+    if (vectorTimePoints.length === 0) return null;
 
-    if (validDataLines === 0) {
-        console.log('First 30 raw vector lines:', lines.slice(0, 30));
-        return {
-            isValid: false,
-            error:
-                `No valid vector data rows were found. ` +
-                `Detected kind: ${detected.kind}; ` +
-                `scalar-like rows: ${detected.scalarRows}; ` +
-                `vector-like rows: ${detected.vectorRows}.`
-        };
-    }
+    const first = vectorTimePoints[0];
+    const last = vectorTimePoints[vectorTimePoints.length - 1];
+    if (time <= first) return { lower: first, upper: first };
+    if (time >= last) return { lower: last, upper: last };
 
-    return {
-        isValid: true,
-        error: null,
-        stats: {
-            totalLines: lines.length,
-            validDataLines,
-            detected
-        }
-    };
+    let upperIndex = vectorTimePoints.findIndex(t => t >= time);
+    const upper = vectorTimePoints[upperIndex];
+    if (upper === time) return { lower: upper, upper };
+    return { lower: vectorTimePoints[upperIndex - 1], upper };
 }
 
-async function buildVectorTimeIndex(text) {
-    vectorTimeIndex = {};
-    vectorTimePoints = [];
+// How the vector data for scalar `time` is found:
+// { time, mode, lower, upper, weight, offset, gap, exceeded, refused }.
+// `weight` is the share of the upper step; `offset` is nearest vector
+// time minus `time`; `gap` is the distance to the farthest vector step used.
+function matchVectorTime(time) {
+    const bracket = findVectorTimeBracket(time);
+    if (!bracket) return null;
+
+    let match;
+    const canInterpolate = vectorTimeMatching.mode === 'linear' &&
+        bracket.lower !== bracket.upper &&
+        hasSameNodeLayout(getVectorTimeStep(bracket.lower), getVectorTimeStep(bracket.upper));
+
+    if (canInterpolate) {
+        const weight = (time - bracket.lower) / (bracket.upper - bracket.lower);
+        match = {
+            mode: 'linear',
+            lower: bracket.lower,
+            upper: bracket.upper,
+            weight,
+            offset: (weight < 0.5 ? bracket.lower : bracket.upper) - time,
+            gap: Math.max(time - bracket.lower, bracket.upper - time)
+        };
+    } else {
+        const nearest = getClosestTimeValue(time, vectorTimePoints);
+        match = {
+            mode: 'nearest',
+            lower: nearest,
+            upper: nearest,
+            weight: 0,
+            offset: nearest - time,
+            gap: Math.abs(nearest - time)
+        };
+    }
 
-    const lines = splitHydroLines(text);
-    let currentTime = null;
-    let startLine = null;
+    const tolerance = vectorTimeMatching.toleranceYears;
+    match.time = time;
+    match.exceeded = Number.isFinite(tolerance) && match.gap > tolerance * (1 + 1e-9);
+    match.refused = match.exceeded && vectorTimeMatching.gapAction === 'refuse';
+    return match;
+}
 
-    for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-        const row = tryParseVectorRow(lines[lineNum]);
-        if (!row) continue;
+// Vector data for scalar `time`, following vectorTimeMatching, or null
+// (no vectors, or refused for a gap above the tolerance).
+function getVectorStepForTime(time) {
+    const match = matchVectorTime(time);
+    if (!match || match.refused) return null;
+    if (match.lower === match.upper || match.weight === 0) return getVectorTimeStep(match.lower);
+    if (match.weight === 1) return getVectorTimeStep(match.upper);
+
+    if (!interpolatedVectorSteps.has(time)) {
+        if (interpolatedVectorSteps.size >= INTERPOLATED_VECTOR_CACHE_SIZE) {
+            interpolatedVectorSteps.delete(interpolatedVectorSteps.keys().next().value);
+        }
+        interpolatedVectorSteps.set(time, interpolateVectorSteps(
+            getVectorTimeStep(match.lower), getVectorTimeStep(match.upper), match.weight, time
+        ));
+    }
+    return interpolatedVectorSteps.get(time);
+}
 
-        const time = row.time;
+function formatTimeOffset(offset) {
+    return `${offset >= 0 ? '+' : '−'}${Math.abs(offset).toPrecision(3)} yr`;
+}
 
-        if (currentTime === null) {
-            currentTime = time;
-            startLine = lineNum;
-        } else if (time !== currentTime) {
-            vectorTimeIndex[currentTime] = [startLine, lineNum - 1];
-            vectorTimePoints.push(currentTime);
-            currentTime = time;
-            startLine = lineNum;
-        }
+// One-line description of a match from matchVectorTime().
+function describeVectorTimeMatch(match) {
+    let text;
+    if (match.mode === 'linear') {
+        text = `Vectors interpolated between ${match.lower.toFixed(5)} and ${match.upper.toFixed(5)} years ` +
+            `(${Math.round((1 - match.weight) * 100)} / ${Math.round(match.weight * 100)} %)`;
+    } else if (match.offset === 0) {
+        text = `Vectors at ${match.lower.toFixed(5)} years (same time)`;
+    } else {
+        text = `Vectors at ${match.lower.toFixed(5)} years (offset ${formatTimeOffset(match.offset)})`;
     }
 
-    if (currentTime !== null && startLine !== null) {
-        vectorTimeIndex[currentTime] = [startLine, lines.length - 1];
-        vectorTimePoints.push(currentTime);
+    if (match.exceeded) {
+        const tolerance = `${vectorTimeMatching.toleranceYears} yr tolerance`;
+        text += match.refused
+            ? ` ⚠ gap ${match.gap.toPrecision(3)} yr exceeds the ${tolerance}; vector data not shown`
+            : ` ⚠ gap ${match.gap.toPrecision(3)} yr exceeds the ${tolerance}`;
     }
+    return text;
+}
 
-    vectorTimePoints = Array.from(new Set(vectorTimePoints)).sort((a, b) => a - b);
+// Short form for the main plot title, or '' when scalar and vector times agree.
+function getVectorTimeTitleSuffix(match) {
+    if (!match || (match.mode === 'nearest' && match.offset === 0)) return '';
+    if (match.refused) return ' (no vectors within tolerance)';
+    if (match.mode === 'linear') return ` (vectors interpolated, gap ${match.gap.toPrecision(3)} yr)`;
+    return ` (vectors ${formatTimeOffset(match.offset)})`;
 }
 
-function parseVectorTimeStepData(text, time) {
-    if (!vectorTimeIndex[time]) return [];
+function updateVectorTimeStatus() {
+    const status = document.getElementById('vectorTimeStatus');
+    const match = hasVectorStore() ? matchVectorTime(timePoints[currentTimeIndex]) : null;
 
-    const [start, end] = vectorTimeIndex[time];
-    const lines = splitHydroLines(text).slice(start, end + 1);
-    const data = [];
+    status.textContent = match ? describeVectorTimeMatch(match) : '';
+    status.classList.toggle('text-warning', Boolean(match && match.exceeded));
+}
 
-    for (const line of lines) {
-        const row = tryParseVectorRow(line);
-        if (!row) continue;
+function setupVectorTimeControls() {
+    const modeSelect = document.getElementById('vectorTimeModeSelect');
+    const toleranceInput = document.getElementById('vectorTimeToleranceInput');
+    const gapActionSelect = document.getElementById('vectorTimeGapActionSelect');
 
-        if (row.time === time) {
-            data.push(row);
-        }
-    }
+    modeSelect.onchange = function () {
+        vectorTimeMatching.mode = this.value;
+        refreshVectorTimeMatch();
+    };
+
+    toleranceInput.onchange = function () {
+        const tolerance = parseFloat(this.value);
+        vectorTimeMatching.toleranceYears = tolerance >= 0 ? tolerance : null;
+        if (vectorTimeMatching.toleranceYears === null) this.value = '';
+        refreshVectorTimeMatch();
+    };
+
+    gapActionSelect.onchange = function () {
+        vectorTimeMatching.gapAction = this.value;
+        refreshVectorTimeMatch();
+    };
 
-    return data;
+    updateVectorTimeControlsFromState();
 }
 
-function clearVectors() {
-    vectorData = null;
-    vectorFileText = null;
-    vectorTimeIndex = {};
-    vectorTimePoints = [];
-    plotData();
+function updateVectorTimeControlsFromState() {
+    document.getElementById('vectorTimeModeSelect').value = vectorTimeMatching.mode;
+    document.getElementById('vectorTimeToleranceInput').value =
+        vectorTimeMatching.toleranceYears === null ? '' : vectorTimeMatching.toleranceYears;
+    document.getElementById('vectorTimeGapActionSelect').value = vectorTimeMatching.gapAction;
+}
+
+function refreshVectorTimeMatch() {
+    if (hasVectorStore()) {
+        plotData();
+    } else {
+        updateVectorTimeStatus();
+    }
 }
 
 // ============================================================
@@ -763,42 +502,169 @@ function setupTimeSlider() {
         currentTimeIndex = parseInt(this.value, 10);
         updateTimeDisplay();
         await plotData();
+        if (document.getElementById('statisticsHistogramContainer').data) plotStatistics();
+        updateBalanceTimeMarker();
     };
 
     updateTimeDisplay();
     timeSlider.style.display = 'block';
 
+    setupSliceControls();
     setupColorbarControls();
     setupAxisControls();
     setupVectorControls();
+    setupContourControls();
+    setupPhaseDiagnosticsControls();
+    setupFlowControls();
+    setupSectionControls();
+    setupAnimationControls();
+    setupComparisonControls();
+    setupProfileControls();
+    setupStatisticsControls();
+    setupRegionControls();
+    setupVtkExportControls();
+    setupDeckControls();
+    setupConductivityControls();
+    setupFieldCalculatorControls();
 }
 
-function setupColorbarControls() {
-    const colorbarControls = document.getElementById('colorbarControls');
+// Selects that offer the main plot's fields.
+const FIELD_SELECT_IDS = [
+    'variableSelect',
+    'contourVariableSelect',
+    'profileVariable',
+    'statisticsVariable',
+    'timeSeriesVariable',
+    'timeSeriesExtraVariables'
+];
 
-    $("#slider-range").slider({
-        range: true,
-        min: 0,
-        max: 100,
-        values: [0, 100],
-        slide: function (event, ui) {
-            const minPercent = ui.values[0];
-            const maxPercent = ui.values[1];
-            const dataRange = currentDataRange.max - currentDataRange.min;
+// Replaces option group `groupId` in every field select with `fields`
+// ([{ value, label }]); no fields removes the group. Selects still empty
+// copy their options from the main select when their panel opens.
+function setFieldOptionGroup(groupId, groupLabel, fields) {
+    for (const field of fields) extraFieldLabels.set(field.value, field.label);
+
+    for (const id of FIELD_SELECT_IDS) {
+        const select = document.getElementById(id);
+        if (!select || select.options.length === 0) continue;
+
+        const selected = Array.from(select.selectedOptions).map(option => option.value);
+        const old = select.querySelector(`optgroup[data-group="${groupId}"]`);
+        if (old) old.remove();
+        if (fields.length === 0) continue;
+
+        const group = document.createElement('optgroup');
+        group.label = groupLabel;
+        group.dataset.group = groupId;
+        for (const field of fields) {
+            const option = document.createElement('option');
+            option.value = field.value;
+            option.textContent = field.label;
+            option.selected = selected.includes(field.value);
+            group.appendChild(option);
+        }
+        select.appendChild(group);
+    }
+}
 
-            customColorbarRange = {
-                min: currentDataRange.min + (dataRange * minPercent / 100),
-                max: currentDataRange.min + (dataRange * maxPercent / 100)
-            };
+function setupSliceControls() {
+    const sliceControls = document.getElementById('sliceControls');
+    const orientationSelect = document.getElementById('sliceOrientationSelect');
+    const positionRange = document.getElementById('slicePositionRange');
+    const grid = scalarStore.grid;
+    const is3D = isGrid3D(grid);
 
-            updateRangeDisplay();
-            plotData();
-        }
-    });
+    sliceOrientation = getDefaultSliceOrientation(grid);
+    orientationSelect.value = sliceOrientation;
+    setSlicePositionIndex(0);
 
-    updateRangeDisplay();
-    colorbarControls.style.display = 'block';
-}
+    orientationSelect.onchange = function () {
+        sliceOrientation = this.value;
+
+        const normalAxis = getGridAxis(scalarStore.grid, SLICE_PLANES[sliceOrientation].normal);
+        setSlicePositionIndex(Math.floor(normalAxis.length / 2));
+
+        customXRange = null;
+        customZRange = null;
+        $("#x-slider-range").slider("values", [0, 100]);
+        $("#z-slider-range").slider("values", [0, 100]);
+        updateAxisLabels();
+        plotData();
+    };
+
+    positionRange.oninput = function () {
+        setSlicePositionIndex(parseInt(this.value, 10));
+        plotData();
+    };
+
+    document.querySelectorAll('.point-y-input').forEach(el => {
+        el.style.display = is3D ? '' : 'none';
+    });
+
+    updateAxisLabels();
+    sliceControls.style.display = is3D ? 'block' : 'none';
+}
+
+function setSlicePositionIndex(index) {
+    const positionRange = document.getElementById('slicePositionRange');
+    const normalAxis = getGridAxis(scalarStore.grid, SLICE_PLANES[sliceOrientation].normal);
+    const clamped = Math.max(0, Math.min(index, normalAxis.length - 1));
+
+    positionRange.max = normalAxis.length - 1;
+    positionRange.value = clamped;
+    slicePosition = normalAxis[clamped];
+    updateSliceDisplay();
+}
+
+function updateSliceDisplay() {
+    const sliceDisplay = document.getElementById('slicePositionDisplay');
+    const plane = SLICE_PLANES[sliceOrientation];
+    sliceDisplay.textContent = `${plane.label} plane at ${plane.normal.toUpperCase()} = ${slicePosition.toFixed(3)} km`;
+}
+
+function updateAxisLabels() {
+    const plane = SLICE_PLANES[sliceOrientation];
+    document.getElementById('xRangeLabel').textContent = `${plane.h.toUpperCase()}-Axis Range`;
+    document.getElementById('zRangeLabel').textContent = `${plane.v.toUpperCase()}-Axis Range`;
+}
+
+function getCurrentSlice() {
+    return { orientation: sliceOrientation, position: slicePosition };
+}
+
+// True when `point` lies on the slice plane currently shown.
+function isPointOnCurrentSlice(point) {
+    const normal = SLICE_PLANES[sliceOrientation].normal;
+    const normalAxis = getGridAxis(scalarStore.grid, normal);
+    return findNearestAxisIndex(normalAxis, point[normal]) === findNearestAxisIndex(normalAxis, slicePosition);
+}
+
+function setupColorbarControls() {
+    const colorbarControls = document.getElementById('colorbarControls');
+
+    $("#slider-range").slider({
+        range: true,
+        min: 0,
+        max: 100,
+        values: [0, 100],
+        slide: function (event, ui) {
+            const minPercent = ui.values[0];
+            const maxPercent = ui.values[1];
+            const dataRange = currentDataRange.max - currentDataRange.min;
+
+            customColorbarRange = {
+                min: currentDataRange.min + (dataRange * minPercent / 100),
+                max: currentDataRange.min + (dataRange * maxPercent / 100)
+            };
+
+            updateRangeDisplay();
+            plotData();
+        }
+    });
+
+    updateRangeDisplay();
+    colorbarControls.style.display = 'block';
+}
 
 function setupAxisControls() {
     const axisControls = document.getElementById('axisControls');
@@ -820,7 +686,8 @@ function setupAxisControls() {
 
             updateXRangeDisplay();
             plotData();
-        }
+        },
+        stop: refreshZoomStatistics
     });
 
     $("#z-slider-range").slider({
@@ -840,7 +707,8 @@ function setupAxisControls() {
 
             updateZRangeDisplay();
             plotData();
-        }
+        },
+        stop: refreshZoomStatistics
     });
 
     updateXRangeDisplay();
@@ -855,11 +723,12 @@ function setupVectorControls() {
     const arrowColorSelect = document.getElementById('arrowColorSelect');
 
     arrowScaleSlider.value = -2.0;
+    setupVectorTimeControls();
 
     arrowScaleSlider.oninput = function () {
         arrowScale = parseFloat(this.value);
         updateArrowScaleDisplay(arrowScaleDisplay);
-        if (vectorFileText && Object.keys(vectorTimeIndex).length > 0) {
+        if (hasVectorStore()) {
             plotData();
         }
     };
@@ -868,10 +737,8 @@ function setupVectorControls() {
 
     vectorTypeSelect.addEventListener('change', function () {
         vectorType = this.value;
-        if (vectorFileText && Object.keys(vectorTimeIndex).length > 0) {
-            const currentTime = timePoints[currentTimeIndex];
-            const bestVectorTime = getClosestTimeValue(currentTime, vectorTimePoints);
-            vectorData = bestVectorTime !== null ? parseVectorTimeStepData(vectorFileText, bestVectorTime) : [];
+        if (hasVectorStore()) {
+            vectorData = getVectorStepForTime(timePoints[currentTimeIndex]);
             plotData();
         }
     });
@@ -879,7 +746,7 @@ function setupVectorControls() {
     arrowColor = arrowColorSelect.value;
     arrowColorSelect.addEventListener('change', function () {
         arrowColor = this.value;
-        if (vectorFileText && Object.keys(vectorTimeIndex).length > 0) {
+        if (hasVectorStore()) {
             plotData();
         }
     });
@@ -944,6 +811,7 @@ function resetAxes() {
     updateXRangeDisplay();
     updateZRangeDisplay();
     plotData();
+    refreshZoomStatistics();
 }
 
 function updateTimeDisplay() {
@@ -955,691 +823,5434 @@ function updateTimeDisplay() {
 }
 
 // ============================================================
-// Plotting
+// Contour overlays
+// Isolines of any scalar or derived field drawn over the heatmap.
+// Levels are either a list ("100, 200, 300") or an interval
+// written start:step:end ("0:50:400").
 // ============================================================
 
-async function plotData() {
-    if (!fileText || timePoints.length === 0) return;
+const CONTOUR_PRESETS = {
+    isotherms: { variable: 'temperature', levels: '100, 200, 300' },
+    // Exactly 0 and 1 sit on the edge of the data range, so the
+    // boundaries are traced just inside it.
+    saturation: { variable: 'saturation', levels: '0.001, 0.999' },
+    pressure: { variable: 'pressure', levels: '0:50:1000' }
+};
 
-    const variableSelect = document.getElementById('variableSelect');
-    const colormapSelect = document.getElementById('colormapSelect');
-    const selectedVariable = variableSelect.value;
-    const selectedColormap = colormapSelect.value;
-    const currentTime = timePoints[currentTimeIndex];
+function parseContourLevels(text) {
+    const trimmed = String(text || '').trim();
+    if (trimmed === '') return null;
 
-    const timeData = parseTimeStepData(fileText, currentTime);
-    if (timeData.length === 0) return;
+    if (trimmed.includes(':')) {
+        const parts = trimmed.split(':').map(parseHydroNumber);
+        if (parts.length !== 3 || parts.some(v => Number.isNaN(v))) return null;
 
-    if (vectorFileText && Object.keys(vectorTimeIndex).length > 0) {
-        const bestVectorTime = getClosestTimeValue(currentTime, vectorTimePoints);
-        vectorData = bestVectorTime !== null ? parseVectorTimeStepData(vectorFileText, bestVectorTime) : [];
+        const [start, size, end] = parts;
+        if (!(size > 0) || end < start) return null;
+
+        return { type: 'interval', start, size, end };
     }
 
-    let meshData;
-    if (isDerivedVectorField(selectedVariable)) {
-        if (!vectorData || vectorData.length === 0) {
-            alert('Please load a vector file to plot vector-derived quantities.');
-            return;
-        }
+    const values = trimmed.split(/[\s,;]+/).filter(Boolean).map(parseHydroNumber);
+    if (values.length === 0 || values.some(v => Number.isNaN(v))) return null;
 
-        const tempLookup = buildTemperatureLookup(timeData);
-        const derivedRows = deriveVectorField(vectorData, selectedVariable, tempLookup);
-        meshData = createMeshGridFromXYZ(derivedRows);
-    } else {
-        meshData = createMeshGrid(timeData, selectedVariable);
+    return { type: 'list', values: Array.from(new Set(values)).sort((a, b) => a - b) };
+}
+
+function buildContourOverlayTraces(timeData, slice) {
+    const status = document.getElementById('contourStatus');
+    const levels = parseContourLevels(contourOverlay.levels);
+
+    if (!levels) {
+        status.textContent = 'Invalid levels. Use a list (100, 200, 300) or start:step:end (0:50:400).';
+        return [];
     }
 
-    const allValues = meshData.z.flat().filter(val => !isNaN(val) && isFinite(val));
-    if (allValues.length > 0) {
-        currentDataRange = {
-            min: Math.min(...allValues),
-            max: Math.max(...allValues)
-        };
+    const mesh = buildVariableMesh(contourOverlay.variable, timeData, slice);
+    if (!mesh) {
+        status.textContent = 'Load a vector file to contour vector-derived fields.';
+        return [];
     }
 
-    if (meshData.x.length > 0 && meshData.y.length > 0) {
-        currentXRange = {
-            min: Math.min(...meshData.x),
-            max: Math.max(...meshData.x)
-        };
-        currentZRange = {
-            min: Math.min(...meshData.y),
-            max: Math.max(...meshData.y)
+    status.textContent = levels.type === 'interval'
+        ? `Contours of ${getVariableLabel(contourOverlay.variable)} every ${levels.size} from ${levels.start} to ${levels.end}.`
+        : `Contours of ${getVariableLabel(contourOverlay.variable)} at ${levels.values.join(', ')}.`;
+
+    // Plotly contours are evenly spaced, so each listed level gets its own trace.
+    const ranges = levels.type === 'interval'
+        ? [{ start: levels.start, end: levels.end, size: levels.size }]
+        : levels.values.map(v => ({ start: v, end: v, size: 1 }));
+
+    return ranges.map((range, index) => ({
+        x: mesh.x,
+        y: mesh.y,
+        z: mesh.z,
+        type: 'contour',
+        autocontour: false,
+        contours: {
+            coloring: 'none',
+            showlabels: contourOverlay.showLabels,
+            labelfont: { color: contourOverlay.color, size: 11 },
+            ...range
+        },
+        line: {
+            color: contourOverlay.color,
+            width: contourOverlay.width,
+            dash: contourOverlay.dash
+        },
+        showscale: false,
+        connectgaps: false,
+        hoverinfo: 'skip',
+        name: `${getVariableLabel(contourOverlay.variable)} contours`,
+        showlegend: index === 0
+    }));
+}
+
+function setupContourControls() {
+    const contourControls = document.getElementById('contourControls');
+    const enabledCheckbox = document.getElementById('contourEnabledCheckbox');
+    const variableSelect = document.getElementById('contourVariableSelect');
+    const presetSelect = document.getElementById('contourPresetSelect');
+    const levelsInput = document.getElementById('contourLevelsInput');
+    const colorSelect = document.getElementById('contourColorSelect');
+    const widthInput = document.getElementById('contourWidthInput');
+    const dashSelect = document.getElementById('contourDashSelect');
+    const labelsCheckbox = document.getElementById('contourLabelsCheckbox');
+
+    // Same fields as the main plot.
+    variableSelect.innerHTML = document.getElementById('variableSelect').innerHTML;
+    updateContourControlsFromState();
+
+    function readControls() {
+        contourOverlay = {
+            enabled: enabledCheckbox.checked,
+            variable: variableSelect.value,
+            levels: levelsInput.value,
+            color: colorSelect.value,
+            width: Math.max(0.5, parseFloat(widthInput.value) || 1.5),
+            dash: dashSelect.value,
+            showLabels: labelsCheckbox.checked
         };
+        plotData();
     }
 
-    const colorbarRange = customColorbarRange || currentDataRange;
-    const xAxisRange = customXRange || currentXRange;
-    const zAxisRange = customZRange || currentZRange;
+    enabledCheckbox.onchange = readControls;
+    variableSelect.onchange = readControls;
+    levelsInput.onchange = readControls;
+    colorSelect.onchange = readControls;
+    widthInput.onchange = readControls;
+    dashSelect.onchange = readControls;
+    labelsCheckbox.onchange = readControls;
+
+    presetSelect.onchange = function () {
+        const preset = CONTOUR_PRESETS[this.value];
+        this.value = '';
+        if (!preset) return;
+
+        variableSelect.value = preset.variable;
+        levelsInput.value = preset.levels;
+        enabledCheckbox.checked = true;
+        readControls();
+    };
 
-    const traces = [];
+    contourControls.style.display = 'block';
+}
+
+function updateContourControlsFromState() {
+    document.getElementById('contourEnabledCheckbox').checked = contourOverlay.enabled;
+    setSelectValueIfPresent(document.getElementById('contourVariableSelect'), contourOverlay.variable);
+    document.getElementById('contourLevelsInput').value = contourOverlay.levels;
+    setSelectValueIfPresent(document.getElementById('contourColorSelect'), contourOverlay.color);
+    document.getElementById('contourWidthInput').value = contourOverlay.width;
+    setSelectValueIfPresent(document.getElementById('contourDashSelect'), contourOverlay.dash);
+    document.getElementById('contourLabelsCheckbox').checked = contourOverlay.showLabels;
+}
+
+// ============================================================
+// Phase diagnostics
+// HYDROTHERM's phase index drawn as categories, cells whose
+// (T, P) disagree with that phase on the IAPWS-IF97 boiling
+// curve, and how much of the domain each phase occupies.
+// ============================================================
+
+const PHASE_REGIONS = [
+    { code: 1, label: 'Compressed liquid', color: '#2e86de' },
+    { code: 2, label: 'Two-phase', color: '#20bf6b' },
+    { code: 3, label: 'Superheated steam', color: '#eb3b5a' },
+    { code: 4, label: 'Supercritical', color: '#8854d0' },
+    { code: null, label: 'Other', color: '#778ca3' } // any code HYDROTHERM adds later
+];
+
+// Index into PHASE_REGIONS, or -1 where there is no value.
+function getPhaseRegionIndex(phaseValue) {
+    if (!Number.isFinite(phaseValue)) return -1;
+
+    const code = Math.round(phaseValue);
+    const index = PHASE_REGIONS.findIndex(region => region.code === code);
+    return index >= 0 ? index : PHASE_REGIONS.length - 1;
+}
+
+function isOffBoilingCurve(tempC, pressureBar, phaseValue, toleranceC) {
+    if (!Number.isFinite(tempC) || !Number.isFinite(pressureBar)) return false;
+
+    const code = Math.round(phaseValue);
+    const belowCriticalPressure = pressureBar / 10.0 < IF97_CRITICAL_PRESSURE_MPA;
+
+    if (code === 4) {
+        return belowCriticalPressure && tempC + 273.15 < IF97_CRITICAL_TEMPERATURE_K - toleranceC;
+    }
+    if (!belowCriticalPressure) return code === 2;
+
+    const departure = computeSaturationDeparture(tempC, pressureBar);
+    if (!Number.isFinite(departure)) return false;
 
-    traces.push({
-        z: meshData.z,
-        x: meshData.x,
-        y: meshData.y,
+    if (code === 1) return departure > toleranceC;
+    if (code === 2) return Math.abs(departure) > toleranceC;
+    if (code === 3) return departure < -toleranceC;
+    return false;
+}
+
+function buildPhaseMapTrace(mesh, hLabel, vLabel) {
+    const count = PHASE_REGIONS.length;
+    const z = mesh.z.map(row => row.map(v => {
+        const index = getPhaseRegionIndex(v);
+        return index >= 0 ? index : null;
+    }));
+    const text = z.map(row => row.map(index => (index === null ? '' : PHASE_REGIONS[index].label)));
+
+    // One flat colour band per category, centred on its index.
+    const colorscale = [];
+    PHASE_REGIONS.forEach((region, index) => {
+        colorscale.push([index / count, region.color], [(index + 1) / count, region.color]);
+    });
+
+    return {
+        z,
+        x: mesh.xEdges,
+        y: mesh.yEdges,
+        text,
         type: 'heatmap',
-        colorscale: selectedColormap,
-        zmin: colorbarRange.min,
-        zmax: colorbarRange.max,
+        colorscale,
+        zmin: -0.5,
+        zmax: count - 0.5,
         colorbar: {
-            title: getVariableLabel(selectedVariable),
+            title: 'Phase',
+            tickvals: PHASE_REGIONS.map((region, index) => index),
+            ticktext: PHASE_REGIONS.map(region => region.label),
             tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#222222' },
             titlefont: { color: currentTheme === 'dark' ? '#ffffff' : '#222222' }
         },
         hoverongaps: false,
         hovertemplate:
-            'X: %{x:.3f} km<br>' +
-            'Z: %{y:.3f} km<br>' +
-            `${getVariableLabel(selectedVariable)}: %{z:.3f}<br>` +
+            `${hLabel}: %{x:.3f} km<br>` +
+            `${vLabel}: %{y:.3f} km<br>` +
+            'Phase: %{text}<br>' +
             '<extra></extra>'
-    });
+    };
+}
 
-    if (plottedPoints.length > 0) {
-        for (const point of plottedPoints) {
-            traces.push({
-                x: [point.x],
-                y: [point.z],
-                type: 'scatter',
-                mode: 'markers+text',
-                marker: {
-                    size: 12,
-                    color: point.color,
-                    line: { color: 'white', width: 2 },
-                    symbol: 'circle'
-                },
-                text: [`P${point.id}`],
-                textposition: 'top center',
-                textfont: { color: point.color, size: 12 },
-                name: `Point ${point.id} (${point.x.toFixed(3)}, ${point.z.toFixed(3)})`,
-                showlegend: false,
-                hovertemplate:
-                    `Point ${point.id}<br>` +
-                    'X: %{x:.3f} km<br>' +
-                    'Z: %{y:.3f} km<br>' +
-                    '<extra></extra>'
-            });
+function buildBoilingCurveFlagTrace(timeData, slice) {
+    const status = document.getElementById('phaseFlagStatus');
+    const plane = SLICE_PLANES[slice.orientation];
+    const grid = scalarStore.grid;
+    const cellNode = getStepCellNodes(grid, timeData);
+    const x = [];
+    const y = [];
+    let checked = 0;
+
+    forEachSliceCell(grid, slice, cell => {
+        const n = cellNode[cell];
+        if (n < 0) return;
+
+        checked++;
+        if (isOffBoilingCurve(timeData.temperature[n], timeData.pressure[n], timeData.phase[n], phaseDiagnostics.toleranceC)) {
+            x.push(timeData[plane.h][n]);
+            y.push(timeData[plane.v][n]);
         }
-    }
-
-    if (vectorData && vectorData.length > 0) {
-        const sampleStep = Math.max(1, Math.floor(vectorData.length / 1000));
-        const sampledData = vectorData.filter((_, index) => index % sampleStep === 0);
-
-        let arrowX = [];
-        let arrowY = [];
-        let headX = [];
-        let headY = [];
-
-        sampledData.forEach(d => {
-            const comp = getVectorComponentsForPlot(d, vectorType);
+    });
 
-            const x0 = d.x;
-            const y0 = d.z;
-            const u = comp.u;
-            const v = comp.w;
+    status.textContent = `${x.length} of ${checked} cells on this plane are more than ` +
+        `${phaseDiagnostics.toleranceC} °C off the boiling curve for their phase.`;
 
-            const mag = Math.sqrt(u * u + v * v);
-            if (mag <= 0) return;
+    return {
+        x,
+        y,
+        type: 'scatter',
+        mode: 'markers',
+        marker: { symbol: 'x', size: 7, color: '#fed330', line: { width: 1, color: '#000000' } },
+        name: `Off boiling curve (${x.length})`,
+        hoverinfo: 'skip',
+        showlegend: true
+    };
+}
 
-            const logMag = Math.log10(mag + 1e-30);
-            const shiftedMag = logMag + 12;
+// Volume fraction and volume in each PHASE_REGIONS entry for one time step.
+function computePhaseBudget(step, grid) {
+    const volumes = new Array(PHASE_REGIONS.length).fill(0);
+    let total = 0;
 
-            const ux = u / mag;
-            const uy = v / mag;
+    for (let n = 0; n < step.count; n++) {
+        const index = getPhaseRegionIndex(step.phase[n]);
+        if (index < 0) continue;
 
-            const scale = Math.pow(10, arrowScale);
-            const length = Math.max(0.001, shiftedMag) * scale;
+        const volumeM3 = getNodeCellVolumeM3(grid, step.x[n], step.y[n], step.z[n]);
+        volumes[index] += volumeM3;
+        total += volumeM3;
+    }
 
-            if (!isFinite(length) || length <= 0) return;
+    return volumes.map(volumeM3 => ({
+        fraction: total > 0 ? volumeM3 / total : NaN,
+        volumeM3
+    }));
+}
 
-            const x1 = x0 + ux * length;
-            const y1 = y0 + uy * length;
+function computePhaseHistory() {
+    return timePoints.map(time => ({
+        time,
+        budget: computePhaseBudget(getScalarTimeStep(time), scalarStore.grid)
+    }));
+}
 
-            arrowX.push(x0, x1, null);
-            arrowY.push(y0, y1, null);
+function getPhaseVolumeLabel() {
+    return isGrid3D(scalarStore.grid) ? 'Volume (m³)' : 'Volume per metre thickness (m³/m)';
+}
 
-            const dx = x1 - x0;
-            const dy = y1 - y0;
-            const len = Math.sqrt(dx * dx + dy * dy);
+function plotPhaseHistory() {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return;
+    }
 
-            if (len > 0) {
-                const dirx = dx / len;
-                const diry = dy / len;
-                const px = -diry;
-                const py = dirx;
-                const ah = Math.min(0.5, len * 0.2);
+    const history = computePhaseHistory();
+    const traces = [];
 
-                const hx1 = x1 - dirx * ah + px * ah * 0.5;
-                const hy1 = y1 - diry * ah + py * ah * 0.5;
-                const hx2 = x1 - dirx * ah - px * ah * 0.5;
-                const hy2 = y1 - diry * ah - py * ah * 0.5;
+    PHASE_REGIONS.forEach((region, index) => {
+        // Skip phases that never occur so the legend stays short.
+        if (!history.some(entry => entry.budget[index].fraction > 0)) return;
 
-                headX.push(x1, hx1, null, x1, hx2, null);
-                headY.push(y1, hy1, null, y1, hy2, null);
-            }
+        traces.push({
+            x: history.map(entry => entry.time),
+            y: history.map(entry => entry.budget[index].fraction),
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: region.color, width: 3 },
+            marker: { size: 5, color: region.color },
+            name: `${region.label} fraction`,
+            legendgroup: region.label
         });
-
         traces.push({
-            x: arrowX,
-            y: arrowY,
+            x: history.map(entry => entry.time),
+            y: history.map(entry => entry.budget[index].volumeM3),
+            yaxis: 'y2',
             type: 'scatter',
             mode: 'lines',
-            line: { color: arrowColor, width: 2 },
-            name: `${vectorType.charAt(0).toUpperCase() + vectorType.slice(1)} Flow`,
-            hoverinfo: 'skip',
-            showlegend: true
+            line: { color: region.color, width: 2, dash: 'dot' },
+            name: `${region.label} volume`,
+            legendgroup: region.label
         });
+    });
 
-        if (headX.length > 0) {
-            traces.push({
-                x: headX,
-                y: headY,
-                type: 'scatter',
-                mode: 'lines',
-                line: { color: arrowColor, width: 2 },
-                hoverinfo: 'skip',
-                showlegend: false
-            });
-        }
+    if (traces.length === 0) {
+        alert('No phase values found in the scalar file.');
+        return;
     }
 
-    const layout = {
-        title: {
-            text: `${getVariableLabel(selectedVariable)} at Time: ${currentTime.toFixed(5)} years`,
-            font: { size: 18, color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
-        },
-        xaxis: {
-            title: 'X (km)',
-            range: [xAxisRange.min, xAxisRange.max],
-            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
-            zeroline: false,
-            color: currentTheme === 'dark' ? '#ffffff' : '#333333',
-            tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
-        },
-        yaxis: {
-            title: 'Z (km)',
-            range: [zAxisRange.min, zAxisRange.max],
-            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
-            zeroline: false,
-            color: currentTheme === 'dark' ? '#ffffff' : '#333333',
-            tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
-        },
-        plot_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
-        paper_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
-        margin: { l: 60, r: 60, t: 80, b: 60 },
-        height: 500,
-        width: null,
-        autosize: true
-    };
-
-    const config = {
-        responsive: true,
-        displayModeBar: true,
-        modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d'],
-        displaylogo: false,
-        useResizeHandler: true
+    const fractionLabel = isGrid3D(scalarStore.grid) ? 'Volume fraction' : 'Area fraction';
+    const layout = getStatisticsPlotLayout(
+        `Phase ${fractionLabel.toLowerCase()} and volume over time`, 'Time (years)', fractionLabel
+    );
+    layout.yaxis2 = {
+        ...layout.yaxis,
+        title: getPhaseVolumeLabel(),
+        overlaying: 'y',
+        side: 'right',
+        showgrid: false,
+        exponentformat: 'e'
     };
+    layout.yaxis.range = [0, 1];
+    layout.margin.r = 80;
+    layout.legend = { ...layout.legend, x: 1.1, y: 1 };
 
-    Plotly.newPlot('plotContainer', traces, layout, config);
-    setupPlotClickSelection();
-
-    updateRangeDisplay();
-    updateXRangeDisplay();
-    updateZRangeDisplay();
+    Plotly.newPlot('phaseHistoryContainer', traces, layout, STATISTICS_PLOT_CONFIG);
 }
 
-function createMeshGrid(data, variable) {
-    const xCoords = [...new Set(data.map(row => row.x))].sort((a, b) => a - b);
-    const zCoords = [...new Set(data.map(row => row.z))].sort((a, b) => a - b);
+function downloadPhaseHistoryCSV() {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return;
+    }
 
-    const zMatrix = [];
+    const volumeUnit = isGrid3D(scalarStore.grid) ? 'm3' : 'm3_per_m';
+    const names = PHASE_REGIONS.map(region => region.label.toLowerCase().replace(/[^a-z]+/g, '_'));
 
-    for (let i = 0; i < zCoords.length; i++) {
-        const row = [];
-        for (let j = 0; j < xCoords.length; j++) {
-            const point = data.find(d =>
-                Math.abs(d.x - xCoords[j]) < 1e-10 &&
-                Math.abs(d.z - zCoords[i]) < 1e-10
-            );
+    let csv = 'time';
+    for (const name of names) {
+        csv += `,${name}_fraction,${name}_volume_${volumeUnit}`;
+    }
+    csv += '\n';
 
-            row.push(point ? point[variable] : NaN);
+    for (const entry of computePhaseHistory()) {
+        csv += `${entry.time}`;
+        for (const value of entry.budget) {
+            csv += `,${value.fraction},${value.volumeM3}`;
         }
-        zMatrix.push(row);
+        csv += '\n';
     }
 
-    return {
-        x: xCoords,
-        y: zCoords,
-        z: zMatrix
-    };
+    downloadTextFile(csv, 'phase_history.csv', 'text/csv');
 }
 
-function setupPlotClickSelection() {
-    const plotDiv = document.getElementById('plotContainer');
-    if (!plotDiv || typeof plotDiv.on !== 'function') return;
-
-    plotDiv.on('plotly_click', function (eventData) {
-        if (!eventData || !eventData.points || eventData.points.length === 0) return;
+function setupPhaseDiagnosticsControls() {
+    const section = document.getElementById('phaseDiagnosticsSection');
+    const flagCheckbox = document.getElementById('phaseFlagCheckbox');
+    const toleranceInput = document.getElementById('phaseToleranceInput');
 
-        const clicked = eventData.points[0];
-        const x = clicked.x;
-        const z = clicked.y;
+    updatePhaseControlsFromState();
 
-        if (!isFinite(x) || !isFinite(z)) return;
+    function readControls() {
+        const tolerance = parseFloat(toleranceInput.value);
+        phaseDiagnostics = {
+            flagOffCurve: flagCheckbox.checked,
+            toleranceC: tolerance >= 0 ? tolerance : 2.0
+        };
+        toleranceInput.value = phaseDiagnostics.toleranceC;
+        plotData();
+    }
 
-        const currentTime = timePoints[currentTimeIndex];
-        const timeData = parseTimeStepData(fileText, currentTime);
-        const { closestPoint } = findClosestScalarPoint(timeData, x, z);
+    flagCheckbox.onchange = readControls;
+    toleranceInput.onchange = readControls;
 
-        if (!closestPoint) return;
+    section.style.display = 'block';
+}
 
-        const slot = nextPointSlot;
-        document.getElementById(`xCoord${slot}`).value = closestPoint.x.toFixed(3);
-        document.getElementById(`zCoord${slot}`).value = closestPoint.z.toFixed(3);
+function updatePhaseControlsFromState() {
+    document.getElementById('phaseFlagCheckbox').checked = phaseDiagnostics.flagOffCurve;
+    document.getElementById('phaseToleranceInput').value = phaseDiagnostics.toleranceC;
+    if (!phaseDiagnostics.flagOffCurve) {
+        document.getElementById('phaseFlagStatus').textContent =
+            'Flags liquid above, steam below and two-phase cells away from Tsat(P).';
+    }
+}
+
+// ============================================================
+// Streamlines and pathlines
+// Flux vectors on the slice plane are turned into pore velocities,
+// v = ṁ / (ρ φ), with ρ from IAPWS-IF97 at the cell's (P, T) and
+// φ from the input deck where one is loaded (see "Input deck").
+// Streamlines follow the field of the vector step shown; pathlines
+// advect particles from the slider time through the later vector
+// steps, interpolating linearly between them.
+// ============================================================
+
+const FLOW_MAX_STEPS = 2000;
+const FLOW_STEP_FRACTION = 0.25; // of the smallest node spacing, per integration step
+
+function getMinAxisSpacing(axis) {
+    let min = Infinity;
+    for (let i = 1; i < axis.length; i++) {
+        const d = axis[i] - axis[i - 1];
+        if (d > 0 && d < min) min = d;
+    }
+    return min;
+}
+
+// In-plane pore velocity (km/yr) at every node of the slice plane.
+function buildPlaneVelocityField(vectorStep, slice, type, porosity) {
+    const grid = vectorStore.grid;
+    const plane = SLICE_PLANES[slice.orientation];
+    const hAxis = getGridAxis(grid, plane.h);
+    const vAxis = getGridAxis(grid, plane.v);
+    const cellNode = getStepCellNodes(grid, vectorStep);
+    const scalarStep = getScalarTimeStep(getClosestTimeValue(vectorStep.time, timePoints));
+    const u = new Float64Array(hAxis.length * vAxis.length).fill(NaN);
+    const v = new Float64Array(hAxis.length * vAxis.length).fill(NaN);
+
+    // g/s/cm² -> kg/s/m², then m/s -> km/yr
+    const scale = 10.0 * SECONDS_PER_YEAR / 1000.0;
+
+    forEachSliceCell(grid, slice, (cell, a, b) => {
+        const n = cellNode[cell];
+        if (n < 0) return;
+
+        const scalarNode = findGridNode(scalarStore.grid, scalarStep, vectorStep.x[n], vectorStep.y[n], vectorStep.z[n]);
+        if (scalarNode < 0) return;
+
+        const props = getPhaseProperties(scalarStep.temperature[scalarNode], scalarStep.pressure[scalarNode]);
+        if (!props.water || !props.steam) return;
+
+        let uh = 0;
+        let uv = 0;
+        if (type !== 'steam') {
+            uh += vectorStep[`${plane.h}w`][n] / props.water.rho;
+            uv += vectorStep[`${plane.v}w`][n] / props.water.rho;
+        }
+        if (type !== 'water') {
+            uh += vectorStep[`${plane.h}s`][n] / props.steam.rho;
+            uv += vectorStep[`${plane.v}s`][n] / props.steam.rho;
+        }
+
+        const phi = getFlowPorosity(scalarStep, scalarNode, porosity);
+        u[b * hAxis.length + a] = uh * scale / phi;
+        v[b * hAxis.length + a] = uv * scale / phi;
+    });
+
+    return { hAxis, vAxis, u, v };
+}
+
+// Bilinear velocity at (h, v) km, or null outside the plane or next to a missing node.
+function sampleVelocityField(field, h, v) {
+    const ih = findAxisInterval(field.hAxis, h);
+    const iv = findAxisInterval(field.vAxis, v);
+    if (!ih || !iv) return null;
+
+    const nh = field.hAxis.length;
+    const c00 = iv.i * nh + ih.i;
+    const c10 = c00 + 1;
+    const c01 = c00 + nh;
+    const c11 = c01 + 1;
+    const w00 = (1 - ih.f) * (1 - iv.f);
+    const w10 = ih.f * (1 - iv.f);
+    const w01 = (1 - ih.f) * iv.f;
+    const w11 = ih.f * iv.f;
+
+    const u = field.u[c00] * w00 + field.u[c10] * w10 + field.u[c01] * w01 + field.u[c11] * w11;
+    const w = field.v[c00] * w00 + field.v[c10] * w10 + field.v[c01] * w01 + field.v[c11] * w11;
+
+    return Number.isFinite(u) && Number.isFinite(w) ? { u, v: w } : null;
+}
+
+// Velocity sampler over time: linear between the bracketing vector steps.
+// Plane fields are built on first use only.
+function createPathlineSampler(slice, type, porosity) {
+    const fields = new Map();
+
+    function getField(index) {
+        if (!fields.has(index)) {
+            fields.set(index, buildPlaneVelocityField(getVectorTimeStep(vectorTimePoints[index]), slice, type, porosity));
+        }
+        return fields.get(index);
+    }
+
+    return function (h, v, time) {
+        const interval = findAxisInterval(vectorTimePoints, time);
+        if (!interval) return null;
+
+        const a = sampleVelocityField(getField(interval.i), h, v);
+        if (!a || interval.f === 0) return a;
+
+        const b = sampleVelocityField(getField(interval.i + 1), h, v);
+        if (!b) return null;
+
+        return {
+            u: a.u + (b.u - a.u) * interval.f,
+            v: a.v + (b.v - a.v) * interval.f
+        };
+    };
+}
+
+// Midpoint (RK2) integration from `seed` until the path leaves the plane,
+// stalls, reaches `endTime` or runs out of steps. Points are { h, v, t }
+// with t in years since the start.
+function traceFlowPath(sample, seed, startTime, endTime, stepKm) {
+    const points = [{ h: seed.h, v: seed.v, t: 0 }];
+    let h = seed.h;
+    let v = seed.v;
+    let time = startTime;
+
+    for (let step = 0; step < FLOW_MAX_STEPS && time < endTime; step++) {
+        const k1 = sample(h, v, time);
+        if (!k1) break;
+
+        const speed = Math.hypot(k1.u, k1.v);
+        if (!(speed > 0)) break;
+
+        const dt = Math.min(stepKm / speed, endTime - time);
+        const k2 = sample(h + k1.u * dt / 2, v + k1.v * dt / 2, time + dt / 2);
+        if (!k2) break;
+
+        h += k2.u * dt;
+        v += k2.v * dt;
+        time += dt;
+        points.push({ h, v, t: time - startTime });
+    }
+
+    return points;
+}
+
+function getFlowSeeds(slice) {
+    const grid = vectorStore.grid;
+    const plane = SLICE_PLANES[slice.orientation];
+    const hAxis = getGridAxis(grid, plane.h);
+    const vAxis = getGridAxis(grid, plane.v);
+    const count = Math.max(1, flowTracing.seedCount);
+
+    if (flowTracing.seedMode === 'points') return flowTracing.seedPoints.slice();
+
+    if (flowTracing.seedMode === 'line') {
+        const line = flowTracing.seedLine;
+        if (!line) return [];
+
+        const seeds = [];
+        for (let i = 0; i < count; i++) {
+            const f = count === 1 ? 0.5 : i / (count - 1);
+            seeds.push({ h: line.h0 + (line.h1 - line.h0) * f, v: line.v0 + (line.v1 - line.v0) * f });
+        }
+        return seeds;
+    }
+
+    // Even: a lattice with roughly square spacing over the plane.
+    const width = hAxis[hAxis.length - 1] - hAxis[0];
+    const height = vAxis[vAxis.length - 1] - vAxis[0];
+    const cols = Math.max(1, Math.round(Math.sqrt(count * (width / (height || 1)))));
+    const rows = Math.max(1, Math.ceil(count / cols));
+    const seeds = [];
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            seeds.push({
+                h: hAxis[0] + width * (c + 0.5) / cols,
+                v: vAxis[0] + height * (r + 0.5) / rows
+            });
+        }
+    }
+    return seeds;
+}
+
+function getFlowStepKm(slice) {
+    const plane = SLICE_PLANES[slice.orientation];
+    const grid = vectorStore.grid;
+    const spacing = Math.min(getMinAxisSpacing(getGridAxis(grid, plane.h)), getMinAxisSpacing(getGridAxis(grid, plane.v)));
+    return FLOW_STEP_FRACTION * (isFinite(spacing) ? spacing : 1.0);
+}
+
+function computeStreamlines(vectorStep, slice) {
+    const field = buildPlaneVelocityField(vectorStep, slice, vectorType, flowTracing.porosity);
+    const sample = (h, v) => sampleVelocityField(field, h, v);
+    const stepKm = getFlowStepKm(slice);
+
+    return getFlowSeeds(slice).map(seed => traceFlowPath(sample, seed, 0, Infinity, stepKm));
+}
+
+function traceParticles() {
+    if (!scalarStore || !hasVectorStore()) {
+        alert('Please load a vector file first to trace particles.');
+        return;
+    }
+
+    const slice = getCurrentSlice();
+    const releaseTime = timePoints[currentTimeIndex];
+    const endTime = vectorTimePoints[vectorTimePoints.length - 1];
+
+    if (!(releaseTime >= vectorTimePoints[0] && releaseTime < endTime)) {
+        alert('Particles can only be released between the first and last vector output times.');
+        return;
+    }
+
+    const seeds = getFlowSeeds(slice);
+    if (seeds.length === 0) {
+        alert('Please place seeds first (draw a seed line or pick seed points).');
+        return;
+    }
+
+    const sample = createPathlineSampler(slice, vectorType, flowTracing.porosity);
+    const stepKm = getFlowStepKm(slice);
+
+    flowPathlines = {
+        slice,
+        type: vectorType,
+        porosity: describeFlowPorosity(),
+        releaseTime,
+        paths: seeds.map(seed => traceFlowPath(sample, seed, releaseTime, endTime, stepKm))
+    };
+
+    flowTracing.mode = 'pathlines';
+    document.getElementById('flowModeSelect').value = 'pathlines';
+    plotData();
+}
+
+// Round interval for about `count` travel-time labels over `span` years.
+function getTravelTimeLabelInterval(span, count = 5) {
+    if (!(span > 0)) return null;
+
+    const raw = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    for (const factor of [1, 2, 5, 10]) {
+        if (factor * magnitude >= raw) return factor * magnitude;
+    }
+    return 10 * magnitude;
+}
+
+function formatTravelTime(years) {
+    return `${Number(years.toPrecision(3))} yr`;
+}
+
+function buildFlowPathTraces(paths, slice, name, withLabels) {
+    const plane = SLICE_PLANES[slice.orientation];
+    const x = [];
+    const y = [];
+    const labelX = [];
+    const labelY = [];
+    const labelText = [];
+    const longest = Math.max(0, ...paths.map(path => path[path.length - 1].t));
+    const interval = withLabels ? getTravelTimeLabelInterval(longest) : null;
+
+    for (const path of paths) {
+        if (path.length < 2) continue;
+
+        let nextLabel = interval;
+        for (const point of path) {
+            x.push(point.h);
+            y.push(point.v);
+
+            if (interval && point.t >= nextLabel) {
+                labelX.push(point.h);
+                labelY.push(point.v);
+                labelText.push(formatTravelTime(nextLabel));
+                nextLabel = (Math.floor(point.t / interval) + 1) * interval;
+            }
+        }
+        x.push(null);
+        y.push(null);
+    }
+
+    const traces = [{
+        x,
+        y,
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: arrowColor, width: 1.5 },
+        name,
+        hoverinfo: 'skip',
+        showlegend: true
+    }, {
+        x: paths.map(path => path[0].h),
+        y: paths.map(path => path[0].v),
+        type: 'scatter',
+        mode: 'markers',
+        marker: { size: 5, color: arrowColor, symbol: 'circle-open' },
+        name: 'Seeds',
+        hovertemplate:
+            `Seed<br>${plane.h.toUpperCase()}: %{x:.3f} km<br>` +
+            `${plane.v.toUpperCase()}: %{y:.3f} km<br>` +
+            '<extra></extra>',
+        showlegend: false
+    }];
+
+    if (labelText.length > 0) {
+        traces.push({
+            x: labelX,
+            y: labelY,
+            type: 'scatter',
+            mode: 'markers+text',
+            marker: { size: 4, color: arrowColor },
+            text: labelText,
+            textposition: 'top right',
+            textfont: { color: arrowColor, size: 10 },
+            name: 'Travel time',
+            hoverinfo: 'text',
+            showlegend: false
+        });
+    }
+
+    return traces;
+}
+
+function isSameSlice(a, b) {
+    return a.orientation === b.orientation && a.position === b.position;
+}
+
+function buildFlowOverlayTraces(slice) {
+    const status = document.getElementById('flowStatus');
+
+    if (!hasVectorStore() || !vectorData) {
+        status.textContent = 'Load a vector file to draw streamlines or pathlines.';
+        return [];
+    }
+
+    const seedLineTrace = flowTracing.seedMode === 'line' && flowTracing.seedLine ? [{
+        x: [flowTracing.seedLine.h0, flowTracing.seedLine.h1],
+        y: [flowTracing.seedLine.v0, flowTracing.seedLine.v1],
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: arrowColor, width: 1, dash: 'dot' },
+        name: 'Seed line',
+        hoverinfo: 'skip',
+        showlegend: false
+    }] : [];
+
+    if (flowTracing.mode === 'streamlines') {
+        const paths = computeStreamlines(vectorData, slice);
+        status.textContent = `${paths.length} streamlines of the ${vectorType} flux at ${vectorData.time.toFixed(5)} years, ` +
+            'labelled with travel time in that frozen field.';
+        return [...seedLineTrace, ...buildFlowPathTraces(paths, slice, 'Streamlines', true)];
+    }
+
+    if (!flowPathlines || !isSameSlice(flowPathlines.slice, slice)) {
+        status.textContent = 'Click "Trace Particles" to advect particles from the current time.';
+        return seedLineTrace;
+    }
+
+    status.textContent = `${flowPathlines.paths.length} ${flowPathlines.type} particles released at ` +
+        `${flowPathlines.releaseTime.toFixed(5)} years (porosity ${flowPathlines.porosity}).`;
+    return [...seedLineTrace, ...buildFlowPathTraces(flowPathlines.paths, slice, 'Pathlines', true)];
+}
+
+function downloadPathlinesCSV() {
+    if (!flowPathlines) {
+        alert('Please trace particles first.');
+        return;
+    }
+
+    const plane = SLICE_PLANES[flowPathlines.slice.orientation];
+    const coords = {};
+
+    let csv = `# ${flowPathlines.type} pathlines released at ${flowPathlines.releaseTime} years, porosity ${flowPathlines.porosity}\n`;
+    csv += 'particle,time,travel_time_yr,x,y,z\n';
+
+    flowPathlines.paths.forEach((path, index) => {
+        for (const point of path) {
+            coords[plane.h] = point.h;
+            coords[plane.v] = point.v;
+            coords[plane.normal] = flowPathlines.slice.position;
+            csv += `${index + 1},${flowPathlines.releaseTime + point.t},${point.t},${coords.x},${coords.y},${coords.z}\n`;
+        }
+    });
+
+    downloadTextFile(csv, 'pathlines.csv', 'text/csv');
+}
+
+// Next clicks on the main plot go to `onClick(h, v)` instead of filling probe points.
+function setPlotClickAction(owner, onClick, statusId, message) {
+    plotClickAction = { owner, onClick };
+    document.getElementById(statusId).textContent = message;
+}
+
+function isPlotClickActionOwner(owner) {
+    return !!plotClickAction && plotClickAction.owner === owner;
+}
+
+function startSeedLinePick() {
+    let start = null;
+
+    setPlotClickAction('seedLine', (h, v) => {
+        if (!start) {
+            start = { h, v };
+            document.getElementById('flowStatus').textContent = 'Click the end of the seed line.';
+            return;
+        }
+
+        flowTracing.seedLine = { h0: start.h, v0: start.v, h1: h, v1: v };
+        flowTracing.seedMode = 'line';
+        document.getElementById('flowSeedModeSelect').value = 'line';
+        plotClickAction = null;
+        plotData();
+    }, 'flowStatus', 'Click the start of the seed line on the main plot.');
+}
+
+function toggleSeedPointPick() {
+    const button = document.getElementById('flowPickPointsBtn');
+
+    if (isPlotClickActionOwner('seedPoints')) {
+        plotClickAction = null;
+        button.classList.remove('active');
+        plotData();
+        return;
+    }
+
+    flowTracing.seedMode = 'points';
+    document.getElementById('flowSeedModeSelect').value = 'points';
+    button.classList.add('active');
+    setPlotClickAction('seedPoints', (h, v) => {
+        flowTracing.seedPoints.push({ h, v });
+        plotData();
+    }, 'flowStatus', 'Click the main plot to add seeds; press "Pick Seed Points" again when done.');
+}
+
+function clearFlowSeeds() {
+    flowTracing.seedLine = null;
+    flowTracing.seedPoints = [];
+    flowPathlines = null;
+    plotData();
+}
+
+function setupFlowControls() {
+    const flowControls = document.getElementById('flowControls');
+    const modeSelect = document.getElementById('flowModeSelect');
+    const seedModeSelect = document.getElementById('flowSeedModeSelect');
+    const seedCountInput = document.getElementById('flowSeedCountInput');
+    const porosityInput = document.getElementById('flowPorosityInput');
+    const deckPorosityCheckbox = document.getElementById('flowDeckPorosityCheckbox');
+
+    updateFlowControlsFromState();
+
+    function readControls() {
+        const seedCount = parseInt(seedCountInput.value, 10);
+        const porosity = parseFloat(porosityInput.value);
+
+        flowTracing.mode = modeSelect.value;
+        flowTracing.seedMode = seedModeSelect.value;
+        flowTracing.seedCount = seedCount >= 1 ? Math.min(seedCount, 500) : 20;
+        flowTracing.porosity = porosity > 0 && porosity <= 1 ? porosity : 0.1;
+        flowTracing.useDeckPorosity = deckPorosityCheckbox.checked;
+        updateFlowControlsFromState();
+        plotData();
+    }
+
+    modeSelect.onchange = readControls;
+    seedModeSelect.onchange = readControls;
+    seedCountInput.onchange = readControls;
+    porosityInput.onchange = readControls;
+    deckPorosityCheckbox.onchange = readControls;
+
+    flowControls.style.display = 'block';
+}
+
+function updateFlowControlsFromState() {
+    document.getElementById('flowModeSelect').value = flowTracing.mode;
+    document.getElementById('flowSeedModeSelect').value = flowTracing.seedMode;
+    document.getElementById('flowSeedCountInput').value = flowTracing.seedCount;
+    document.getElementById('flowPorosityInput').value = flowTracing.porosity;
+
+    // Only offered while a loaded deck gives porosity.
+    const deckPorosityCheckbox = document.getElementById('flowDeckPorosityCheckbox');
+    deckPorosityCheckbox.checked = flowTracing.useDeckPorosity;
+    deckPorosityCheckbox.disabled = !hasDeckPorosity();
+}
+
+// ============================================================
+// Section flux integration
+// Water, steam and advective heat (enthalpy) flux through a
+// polyline on the slice plane. The line is cut where it crosses
+// cell faces and each piece takes the flux of the cell it lies
+// in, so the result follows the actual cell spacing. Positive
+// flux crosses from right to left of the drawing direction, so a
+// line drawn left to right counts upward discharge as positive.
+// ============================================================
+
+function parseSectionVertices(text) {
+    const vertices = [];
+
+    for (const pair of String(text || '').split(';')) {
+        if (pair.trim() === '') continue;
+
+        const values = pair.split(',').map(parseHydroNumber);
+        if (values.length !== 2 || values.some(v => Number.isNaN(v))) return null;
+        vertices.push({ h: values[0], v: values[1] });
+    }
+
+    return vertices;
+}
+
+function formatSectionVertices(vertices) {
+    return vertices.map(p => `${p.h.toFixed(3)}, ${p.v.toFixed(3)}`).join('; ');
+}
+
+// Pieces of the polyline inside single cells: { a, b, lengthM, nh, nv } with
+// (a, b) the plane indices of the cell and (nh, nv) the unit normal.
+function buildSectionPieces(grid, slice, vertices) {
+    const plane = SLICE_PLANES[slice.orientation];
+    const hAxis = getGridAxis(grid, plane.h);
+    const vAxis = getGridAxis(grid, plane.v);
+    const hFaces = getAxisFaces(hAxis);
+    const vFaces = getAxisFaces(vAxis);
+    const pieces = [];
+
+    for (let s = 1; s < vertices.length; s++) {
+        const start = vertices[s - 1];
+        const dh = vertices[s].h - start.h;
+        const dv = vertices[s].v - start.v;
+        const lengthKm = Math.hypot(dh, dv);
+        if (!(lengthKm > 0)) continue;
+
+        const cuts = [0, 1];
+        for (const face of hFaces) {
+            const t = (face - start.h) / dh;
+            if (t > 0 && t < 1) cuts.push(t);
+        }
+        for (const face of vFaces) {
+            const t = (face - start.v) / dv;
+            if (t > 0 && t < 1) cuts.push(t);
+        }
+        cuts.sort((a, b) => a - b);
+
+        for (let c = 1; c < cuts.length; c++) {
+            const mid = (cuts[c - 1] + cuts[c]) / 2;
+            const h = start.h + dh * mid;
+            const v = start.v + dv * mid;
+            if (h < hFaces[0] || h > hFaces[hFaces.length - 1] || v < vFaces[0] || v > vFaces[vFaces.length - 1]) continue;
+
+            pieces.push({
+                a: findNearestAxisIndex(hAxis, h),
+                b: findNearestAxisIndex(vAxis, v),
+                lengthM: (cuts[c] - cuts[c - 1]) * lengthKm * 1000.0,
+                nh: -dv / lengthKm,
+                nv: dh / lengthKm
+            });
+        }
+    }
+
+    return pieces;
+}
+
+// Cell width normal to the slice; 2-D sections use the thickness entered by the user.
+function getSectionWidthM(grid, slice) {
+    const normal = SLICE_PLANES[slice.orientation].normal;
+    const normalAxis = getGridAxis(grid, normal);
+    if (normalAxis.length < 2) return sectionLine.thicknessM;
+
+    return grid[`${normal}WidthsM`][findNearestAxisIndex(normalAxis, slice.position)];
+}
+
+function integrateSectionFlux(vectorStep, pieces, slice, widthM) {
+    const grid = vectorStore.grid;
+    const plane = SLICE_PLANES[slice.orientation];
+    const cellNode = getStepCellNodes(grid, vectorStep);
+    const scalarStep = getScalarTimeStep(getClosestTimeValue(vectorStep.time, timePoints));
+    const index = { x: 0, y: 0, z: 0 };
+    let waterKgs = 0;
+    let steamKgs = 0;
+    let heatW = 0;
+    let missingM = 0;
+
+    index[plane.normal] = findNearestAxisIndex(getGridAxis(grid, plane.normal), slice.position);
+
+    for (const piece of pieces) {
+        index[plane.h] = piece.a;
+        index[plane.v] = piece.b;
+        const n = cellNode[getCellIndex(grid, index.x, index.y, index.z)];
+
+        if (n < 0) {
+            missingM += piece.lengthM;
+            continue;
+        }
+
+        const areaM2 = piece.lengthM * widthM;
+        // g/s/cm² -> kg/s/m²
+        const water = (vectorStep[`${plane.h}w`][n] * piece.nh + vectorStep[`${plane.v}w`][n] * piece.nv) * 10.0;
+        const steam = (vectorStep[`${plane.h}s`][n] * piece.nh + vectorStep[`${plane.v}s`][n] * piece.nv) * 10.0;
+
+        waterKgs += water * areaM2;
+        steamKgs += steam * areaM2;
+
+        const scalarNode = findGridNode(scalarStore.grid, scalarStep, vectorStep.x[n], vectorStep.y[n], vectorStep.z[n]);
+        const props = scalarNode >= 0
+            ? getPhaseProperties(scalarStep.temperature[scalarNode], scalarStep.pressure[scalarNode])
+            : null;
+
+        // One cell without properties makes the heat total unknown rather than low.
+        heatW += props && props.water && props.steam
+            ? (water * props.water.h + steam * props.steam.h) * 1000.0 * areaM2
+            : NaN;
+    }
+
+    return {
+        time: vectorStep.time,
+        waterKgs,
+        steamKgs,
+        totalKgs: waterKgs + steamKgs,
+        heatMW: heatW / 1.0e6,
+        missingM
+    };
+}
+
+function computeSectionFluxHistory() {
+    if (!scalarStore || !hasVectorStore()) {
+        alert('Please load a vector file first to integrate fluxes.');
+        return null;
+    }
+    if (sectionLine.vertices.length < 2) {
+        alert('Please define a section with at least two vertices.');
+        return null;
+    }
+
+    const slice = getCurrentSlice();
+    const pieces = buildSectionPieces(vectorStore.grid, slice, sectionLine.vertices);
+    if (pieces.length === 0) {
+        alert('The section does not cross the model grid on this plane.');
+        return null;
+    }
+
+    const widthM = getSectionWidthM(vectorStore.grid, slice);
+    const lengthM = pieces.reduce((sum, piece) => sum + piece.lengthM, 0);
+    const history = vectorTimePoints.map(time => integrateSectionFlux(getVectorTimeStep(time), pieces, slice, widthM));
+
+    const missingM = Math.max(...history.map(entry => entry.missingM));
+    document.getElementById('sectionStatus').textContent =
+        `Section length ${(lengthM / 1000).toFixed(3)} km across ${pieces.length} cell pieces, ` +
+        `width ${widthM.toFixed(1)} m` +
+        (missingM > 0 ? `; ${(missingM / 1000).toFixed(3)} km runs through cells without vector data.` : '.');
+
+    return history;
+}
+
+function plotSectionFlux() {
+    const history = computeSectionFluxHistory();
+    if (!history) return;
+
+    const times = history.map(entry => entry.time);
+    const traces = [
+        { y: history.map(entry => entry.heatMW), name: 'Heat (MW)', color: '#eb3b5a', axis: 'y' },
+        { y: history.map(entry => entry.waterKgs), name: 'Water (kg/s)', color: '#45aaf2', axis: 'y2' },
+        { y: history.map(entry => entry.steamKgs), name: 'Steam (kg/s)', color: '#a5b1c2', axis: 'y2' },
+        { y: history.map(entry => entry.totalKgs), name: 'Total mass (kg/s)', color: '#20bf6b', axis: 'y2' }
+    ].map(series => ({
+        x: times,
+        y: series.y,
+        yaxis: series.axis,
+        type: 'scatter',
+        mode: 'lines+markers',
+        line: { color: series.color, width: series.axis === 'y' ? 3 : 2, dash: series.axis === 'y' ? 'solid' : 'dot' },
+        marker: { size: 5, color: series.color },
+        name: series.name
+    }));
+
+    // Discharge changes sign with the flow direction, so both axes keep the zero line.
+    const layout = getStatisticsPlotLayout('Integrated discharge across section', 'Time (years)', 'Heat (MW)');
+    layout.yaxis.zeroline = true;
+    layout.yaxis2 = { ...layout.yaxis, title: 'Mass (kg/s)', overlaying: 'y', side: 'right', showgrid: false };
+    layout.margin.r = 80;
+    layout.legend = { ...layout.legend, x: 1.1, y: 1 };
+
+    Plotly.newPlot('sectionFluxContainer', traces, layout, STATISTICS_PLOT_CONFIG);
+}
+
+function downloadSectionFluxCSV() {
+    const history = computeSectionFluxHistory();
+    if (!history) return;
+
+    let csv = `# section ${formatSectionVertices(sectionLine.vertices)} on the ${SLICE_PLANES[sliceOrientation].label} plane\n`;
+    csv += 'time,water_kg_s,steam_kg_s,total_kg_s,heat_MW\n';
+    for (const entry of history) {
+        csv += `${entry.time},${entry.waterKgs},${entry.steamKgs},${entry.totalKgs},${entry.heatMW}\n`;
+    }
+
+    downloadTextFile(csv, 'section_flux.csv', 'text/csv');
+}
+
+function buildSectionLineTraces(slice) {
+    const vertices = sectionLine.vertices;
+    if (vertices.length === 0) return [];
+
+    const plane = SLICE_PLANES[slice.orientation];
+    const traces = [{
+        x: vertices.map(p => p.h),
+        y: vertices.map(p => p.v),
+        type: 'scatter',
+        mode: 'lines+markers',
+        line: { color: '#fed330', width: 2 },
+        marker: { size: 6, color: '#fed330' },
+        name: 'Section',
+        hovertemplate:
+            `Section vertex<br>${plane.h.toUpperCase()}: %{x:.3f} km<br>` +
+            `${plane.v.toUpperCase()}: %{y:.3f} km<br>` +
+            '<extra></extra>',
+        showlegend: false
+    }];
+
+    // Tick on the first segment pointing to the positive side.
+    if (vertices.length >= 2) {
+        const [a, b] = vertices;
+        const length = Math.hypot(b.h - a.h, b.v - a.v);
+        if (length > 0) {
+            const midH = (a.h + b.h) / 2;
+            const midV = (a.v + b.v) / 2;
+            const tick = 0.1 * length;
+            traces.push({
+                x: [midH, midH - (b.v - a.v) / length * tick],
+                y: [midV, midV + (b.h - a.h) / length * tick],
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: '#fed330', width: 3 },
+                hoverinfo: 'skip',
+                showlegend: false
+            });
+        }
+    }
+
+    return traces;
+}
+
+function toggleSectionDraw() {
+    const button = document.getElementById('sectionDrawBtn');
+
+    if (isPlotClickActionOwner('section')) {
+        plotClickAction = null;
+        button.classList.remove('active');
+        plotData();
+        return;
+    }
+
+    sectionLine.vertices = [];
+    button.classList.add('active');
+    setPlotClickAction('section', (h, v) => {
+        sectionLine.vertices.push({ h, v });
+        document.getElementById('sectionVerticesInput').value = formatSectionVertices(sectionLine.vertices);
+        plotData();
+    }, 'sectionStatus', 'Click the main plot to add section vertices; press "Draw Section" again when done.');
+    plotData();
+}
+
+// Left-to-right line through the top row of nodes of the plane.
+function setSectionToTopBoundary() {
+    const grid = hasVectorStore() ? vectorStore.grid : scalarStore.grid;
+    const plane = SLICE_PLANES[sliceOrientation];
+    const hFaces = getAxisFaces(getGridAxis(grid, plane.h));
+    const vAxis = getGridAxis(grid, plane.v);
+    const top = vAxis[vAxis.length - 1];
+
+    sectionLine.vertices = [{ h: hFaces[0], v: top }, { h: hFaces[hFaces.length - 1], v: top }];
+    updateSectionControlsFromState();
+    plotData();
+}
+
+function clearSection() {
+    sectionLine.vertices = [];
+    updateSectionControlsFromState();
+    plotData();
+}
+
+function setupSectionControls() {
+    const section = document.getElementById('sectionFluxSection');
+    const verticesInput = document.getElementById('sectionVerticesInput');
+    const thicknessInput = document.getElementById('sectionThicknessInput');
+
+    updateSectionControlsFromState();
+
+    verticesInput.onchange = function () {
+        const vertices = parseSectionVertices(this.value);
+        if (!vertices) {
+            document.getElementById('sectionStatus').textContent = 'Invalid vertices. Use "x1, z1; x2, z2; ..." in km.';
+            return;
+        }
+        sectionLine.vertices = vertices;
+        plotData();
+    };
+
+    thicknessInput.onchange = function () {
+        const thickness = parseFloat(this.value);
+        sectionLine.thicknessM = thickness > 0 ? thickness : 1.0;
+        this.value = sectionLine.thicknessM;
+    };
+
+    // Only 2-D sections need a thickness; 3-D runs use the cell width.
+    document.getElementById('sectionThicknessGroup').style.display = isGrid3D(scalarStore.grid) ? 'none' : 'block';
+    section.style.display = 'block';
+}
+
+function updateSectionControlsFromState() {
+    document.getElementById('sectionVerticesInput').value = formatSectionVertices(sectionLine.vertices);
+    document.getElementById('sectionThicknessInput').value = sectionLine.thicknessM;
+}
+
+// ============================================================
+// Profiles
+// Any scalar or derived field sampled along a straight line on the
+// slice plane (a borehole, a horizontal traverse), with bilinear
+// interpolation between nodes. Several time steps can be overlaid.
+// A vertical line is drawn as a depth profile (value against depth).
+// ============================================================
+
+const PROFILE_MAX_TIMES = 50;
+const PROFILE_COLORS = ['#45aaf2', '#fd9644', '#20bf6b', '#a55eea', '#fc5c65', '#fed330', '#2bcbba', '#778ca3'];
+
+// Bilinear value of a heatmap mesh (node axes x, y; matrix z) at (h, v).
+// A single-node axis counts as a match; NaN outside the mesh or next to a
+// blank node.
+function sampleMeshBilinear(mesh, h, v) {
+    const ih = mesh.x.length === 1 ? { i: 0, f: 0 } : findAxisInterval(mesh.x, h);
+    const iv = mesh.y.length === 1 ? { i: 0, f: 0 } : findAxisInterval(mesh.y, v);
+    if (!ih || !iv) return NaN;
+
+    let sum = 0;
+    for (let db = 0; db <= 1; db++) {
+        for (let da = 0; da <= 1; da++) {
+            const weight = (da ? ih.f : 1 - ih.f) * (db ? iv.f : 1 - iv.f);
+            if (weight === 0) continue;
+
+            const value = mesh.z[iv.i + db][ih.i + da];
+            if (!Number.isFinite(value)) return NaN;
+            sum += weight * value;
+        }
+    }
+    return sum;
+}
+
+// Time steps to overlay: blank means the current step; otherwise a list
+// of times in years or start:step:end, each snapped to the nearest step.
+function parseProfileTimes(text) {
+    if (String(text || '').trim() === '') return [timePoints[currentTimeIndex]];
+
+    const parsed = parseContourLevels(text);
+    if (!parsed) return null;
+
+    let requested = parsed.values;
+    if (parsed.type === 'interval') {
+        requested = [];
+        for (let t = parsed.start; t <= parsed.end + 1e-9 * parsed.size && requested.length <= PROFILE_MAX_TIMES; t += parsed.size) {
+            requested.push(t);
+        }
+    }
+
+    const snapped = Array.from(new Set(requested.map(t => getClosestTimeValue(t, timePoints))));
+    return snapped.sort((a, b) => a - b).slice(0, PROFILE_MAX_TIMES);
+}
+
+function isVerticalProfile(vertices) {
+    return vertices[0].h === vertices[1].h && vertices[0].v !== vertices[1].v;
+}
+
+// Samples of one field along the profile line at one time:
+// [{ distanceKm, h, v, value }].
+function sampleProfile(variable, time, slice, vertices, sampleCount) {
+    const timeData = getScalarTimeStep(time);
+    if (!timeData) return null;
+
+    let vectorStep = null;
+    if (isDerivedVectorField(variable)) {
+        vectorStep = getVectorStepForTime(time);
+    }
+
+    const mesh = buildVariableMesh(variable, timeData, slice, vectorStep);
+    if (!mesh) return null;
+
+    const [a, b] = vertices;
+    const lengthKm = Math.hypot(b.h - a.h, b.v - a.v);
+    const samples = [];
+
+    for (let s = 0; s < sampleCount; s++) {
+        const f = sampleCount > 1 ? s / (sampleCount - 1) : 0;
+        const h = a.h + f * (b.h - a.h);
+        const v = a.v + f * (b.v - a.v);
+        samples.push({ distanceKm: f * lengthKm, h, v, value: sampleMeshBilinear(mesh, h, v) });
+    }
+
+    return samples;
+}
+
+// { variable, times, profiles: [samples per time] }, or null after an alert.
+function computeProfiles() {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return null;
+    }
+
+    if (profileLine.vertices.length !== 2) {
+        alert('Draw a profile line or enter its two end points first.');
+        return null;
+    }
+
+    const variable = profileLine.variable;
+    if (isDerivedVectorField(variable) && !hasVectorStore()) {
+        alert('Please load a vector file first for vector-derived profiles.');
+        return null;
+    }
+
+    const times = parseProfileTimes(profileLine.times);
+    if (!times) {
+        alert('Invalid time steps. Use a list of years (0, 100, 500) or start:step:end.');
+        return null;
+    }
+
+    const slice = getCurrentSlice();
+    const profiles = times.map(time => sampleProfile(variable, time, slice, profileLine.vertices, profileLine.samples));
+
+    return { variable, times, profiles };
+}
+
+function plotProfile() {
+    const result = computeProfiles();
+    if (!result) return;
+
+    const plane = SLICE_PLANES[sliceOrientation];
+    const vertical = isVerticalProfile(profileLine.vertices);
+    const valueLabel = getVariableLabel(result.variable);
+
+    const traces = result.profiles.map((samples, index) => ({
+        x: vertical ? samples.map(p => p.value) : samples.map(p => p.distanceKm),
+        y: vertical ? samples.map(p => p.v) : samples.map(p => p.value),
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: PROFILE_COLORS[index % PROFILE_COLORS.length], width: 2 },
+        name: `${result.times[index].toFixed(3)} yr`
+    }));
+
+    const layout = getStatisticsPlotLayout(
+        `${valueLabel} along ${formatSectionVertices(profileLine.vertices)}`,
+        vertical ? valueLabel : 'Distance along line (km)',
+        vertical ? `${plane.v.toUpperCase()} (km)` : valueLabel
+    );
+
+    Plotly.newPlot('profileContainer', traces, layout, STATISTICS_PLOT_CONFIG);
+}
+
+function downloadProfileCSV() {
+    const result = computeProfiles();
+    if (!result) return;
+
+    const plane = SLICE_PLANES[sliceOrientation];
+    const samples = result.profiles[0];
+
+    let csv = `# ${getVariableLabel(result.variable)} along ${formatSectionVertices(profileLine.vertices)} on the ${plane.label} plane\n`;
+    csv += `distance_km,${plane.h}_km,${plane.v}_km`;
+    for (const time of result.times) csv += `,t=${time}`;
+    csv += '\n';
+
+    samples.forEach((sample, s) => {
+        csv += `${sample.distanceKm},${sample.h},${sample.v}`;
+        for (const profile of result.profiles) {
+            const value = profile[s].value;
+            csv += `,${Number.isFinite(value) ? value : ''}`;
+        }
+        csv += '\n';
+    });
+
+    downloadTextFile(csv, `profile_${result.variable}.csv`, 'text/csv');
+}
+
+function buildProfileLineTraces(slice) {
+    const vertices = profileLine.vertices;
+    if (vertices.length === 0) return [];
+
+    const plane = SLICE_PLANES[slice.orientation];
+    return [{
+        x: vertices.map(p => p.h),
+        y: vertices.map(p => p.v),
+        type: 'scatter',
+        mode: 'lines+markers+text',
+        line: { color: '#2bcbba', width: 2, dash: 'dash' },
+        marker: { size: 7, color: '#2bcbba', symbol: 'square' },
+        text: vertices.length === 2 ? ['A', 'B'] : ['A'],
+        textposition: 'top center',
+        textfont: { color: '#2bcbba' },
+        name: 'Profile',
+        hovertemplate:
+            `Profile end<br>${plane.h.toUpperCase()}: %{x:.3f} km<br>` +
+            `${plane.v.toUpperCase()}: %{y:.3f} km<br>` +
+            '<extra></extra>',
+        showlegend: false
+    }];
+}
+
+function startProfileDraw() {
+    profileLine.vertices = [];
+
+    setPlotClickAction('profile', (h, v) => {
+        profileLine.vertices.push({ h, v });
+        if (profileLine.vertices.length === 2) {
+            plotClickAction = null;
+            document.getElementById('profileStatus').textContent = 'Profile line set. Click "Plot Profile".';
+        } else {
+            document.getElementById('profileStatus').textContent = 'Click the end (B) of the profile line.';
+        }
+        document.getElementById('profileVerticesInput').value = formatSectionVertices(profileLine.vertices);
+        plotData();
+    }, 'profileStatus', 'Click the start (A) of the profile line on the main plot.');
+    plotData();
+}
+
+// Vertical line through the whole plane at the horizontal position of
+// the first visible probe, or the middle of the plane.
+function setProfileToWell() {
+    const plane = SLICE_PLANES[sliceOrientation];
+    const hAxis = getGridAxis(scalarStore.grid, plane.h);
+    const vAxis = getGridAxis(scalarStore.grid, plane.v);
+    const probe = getVisibleProbes()[0];
+    const h = probe ? probe[plane.h] : hAxis[Math.floor(hAxis.length / 2)];
+
+    profileLine.vertices = [{ h, v: vAxis[vAxis.length - 1] }, { h, v: vAxis[0] }];
+    updateProfileControlsFromState();
+    plotData();
+}
+
+function clearProfile() {
+    profileLine.vertices = [];
+    if (isPlotClickActionOwner('profile')) plotClickAction = null;
+    updateProfileControlsFromState();
+    plotData();
+}
+
+function setupProfileControls() {
+    const section = document.getElementById('profileSection');
+    const variableSelect = document.getElementById('profileVariable');
+    const verticesInput = document.getElementById('profileVerticesInput');
+    const samplesInput = document.getElementById('profileSamplesInput');
+    const timesInput = document.getElementById('profileTimesInput');
+
+    // Same fields as the main plot.
+    if (variableSelect.options.length === 0) {
+        variableSelect.innerHTML = document.getElementById('variableSelect').innerHTML;
+    }
+
+    updateProfileControlsFromState();
+
+    verticesInput.onchange = function () {
+        const vertices = parseSectionVertices(this.value);
+        if (!vertices || vertices.length !== 2) {
+            document.getElementById('profileStatus').textContent = 'Enter two end points: "h1, v1; h2, v2" in km.';
+            return;
+        }
+        profileLine.vertices = vertices;
+        plotData();
+    };
+
+    samplesInput.onchange = function () {
+        const samples = parseInt(this.value, 10);
+        profileLine.samples = samples >= 2 ? Math.min(samples, 5000) : 200;
+        this.value = profileLine.samples;
+    };
+
+    timesInput.onchange = function () {
+        profileLine.times = this.value;
+    };
+
+    variableSelect.onchange = function () {
+        profileLine.variable = this.value;
+    };
+
+    section.style.display = 'block';
+}
+
+function updateProfileControlsFromState() {
+    setSelectValueIfPresent(document.getElementById('profileVariable'), profileLine.variable);
+    document.getElementById('profileVerticesInput').value = formatSectionVertices(profileLine.vertices);
+    document.getElementById('profileSamplesInput').value = profileLine.samples;
+    document.getElementById('profileTimesInput').value = profileLine.times;
+}
+
+// ============================================================
+// Field calculator
+// Named fields typed as expressions over other fields; they are
+// compiled and evaluated by hydro-model.js ("Expression fields")
+// and offered in every field list like the built-in derived
+// fields, including statistics, time series and the exports.
+// ============================================================
+
+// Names of the expression fields on the Plot_scalar nodes, or with
+// `vector` those on the Plot_vector nodes.
+function getExpressionFieldNames(vector) {
+    return listExpressionFields().filter(field => field.usesVector === vector).map(field => field.name);
+}
+
+function getExpressionFieldLabel(field) {
+    return field.unit ? `${field.name} (${field.unit})` : field.name;
+}
+
+function addExpressionField() {
+    const name = document.getElementById('calcNameInput').value.trim();
+    const expression = document.getElementById('calcExpressionInput').value.trim();
+    const unit = document.getElementById('calcUnitInput').value.trim();
+
+    if (!name || !expression) {
+        alert('Please enter a name and an expression.');
+        return;
+    }
+
+    try {
+        defineExpressionField(name, expression, unit, scalarStore ? scalarStore.fields : []);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    document.getElementById('calcNameInput').value = '';
+    document.getElementById('calcExpressionInput').value = '';
+    document.getElementById('calcUnitInput').value = '';
+    refreshExpressionFields();
+    plotData();
+}
+
+function removeExpressionFieldByName(name) {
+    try {
+        removeExpressionField(name);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    refreshExpressionFields();
+    plotData();
+}
+
+// Field lists and the calculator table after fields were added or removed.
+function refreshExpressionFields() {
+    const fields = listExpressionFields();
+    setFieldOptionGroup('expressions', 'Calculated fields', fields.map(field => ({
+        value: field.name,
+        label: getExpressionFieldLabel(field)
+    })));
+
+    const body = document.getElementById('calcFieldTableBody');
+    body.innerHTML = '';
+    for (const field of fields) {
+        const row = document.createElement('tr');
+        [field.name, field.expression, field.unit || '-', field.usesVector ? 'Plot_vector' : 'Plot_scalar'].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const cell = document.createElement('td');
+        cell.innerHTML = '<button class="btn btn-outline-light btn-sm" title="Remove field"><i class="fas fa-times"></i></button>';
+        cell.querySelector('button').onclick = () => removeExpressionFieldByName(field.name);
+        row.appendChild(cell);
+        body.appendChild(row);
+    }
+}
+
+// Replaces every expression field with `saved` ([{ name, expression, unit }]);
+// fields that no longer compile are reported and dropped.
+function restoreExpressionFields(saved) {
+    clearExpressionFields();
+
+    const problems = [];
+    for (const field of saved) {
+        try {
+            // Printout and deck fields it uses may be loaded after the session.
+            defineExpressionField(field.name, field.expression, field.unit || '', null);
+        } catch (error) {
+            problems.push(`${field.name}: ${error.message}`);
+        }
+    }
+
+    refreshExpressionFields();
+    if (problems.length > 0) alert(`Some calculated fields could not be restored:\n${problems.join('\n')}`);
+}
+
+function setupFieldCalculatorControls() {
+    refreshExpressionFields();
+    document.getElementById('fieldCalculatorSection').style.display = 'block';
+}
+
+// ============================================================
+// Statistics
+// Summary statistics and a histogram of one field at the current
+// time step, and the same statistics through all time steps. Nodes
+// can be limited to the zoom window of the main plot. Volumes come
+// from the per-cell sizes, so the weighted mean and the volume
+// integral follow non-uniform grids.
+// ============================================================
+
+const STATISTICS_PERCENTILES = [5, 25, 50, 75, 95];
+const STATISTICS_MEASURES = [
+    { key: 'min', label: 'Minimum' },
+    { key: 'max', label: 'Maximum' },
+    { key: 'mean', label: 'Mean' },
+    { key: 'weightedMean', label: 'Volume-weighted mean' },
+    ...STATISTICS_PERCENTILES.map(p => ({ key: `p${p}`, label: p === 50 ? 'Median' : `${p}th percentile` })),
+    { key: 'integral', label: 'Volume integral' },
+    { key: 'count', label: 'Nodes' }
+];
+
+// Nodes the statistics cover: { polygon } for a region of interest, the
+// zoom window of the main plot as { plane, h, v } ranges (either may be
+// null), or null for the whole domain or when nothing is zoomed.
+function getStatisticsRegion() {
+    const setting = statisticsSettings.region;
+    if (setting.startsWith('region:')) {
+        const region = regions.find(r => `region:${r.id}` === setting);
+        return region ? { polygon: region } : null;
+    }
+    if (setting !== 'zoom' || (!customXRange && !customZRange)) return null;
+    return { plane: SLICE_PLANES[sliceOrientation], h: customXRange, v: customZRange };
+}
+
+function isInStatisticsRegion(region, step, n) {
+    if (!region) return true;
+    if (region.polygon) return isStepNodeInRegion(region.polygon, step, n);
+
+    const h = step[region.plane.h][n];
+    const v = step[region.plane.v][n];
+    return (!region.h || (h >= region.h.min && h <= region.h.max)) &&
+        (!region.v || (v >= region.v.min && v <= region.v.max));
+}
+
+// Finite node values of `variable` at `time` inside the region, with
+// their cell volumes: { values, volumes }, or null without the data.
+function collectStatisticsSample(variable, time, region) {
+    const field = getStepFieldValues(variable, time);
+    if (!field) return null;
+
+    const { grid, step } = field;
+    const values = [];
+    const volumes = [];
+
+    for (let n = 0; n < step.count; n++) {
+        const value = field.values[n];
+        if (!Number.isFinite(value) || !isInStatisticsRegion(region, step, n)) continue;
+
+        values.push(value);
+        volumes.push(getNodeCellVolumeM3(grid, step.x[n], step.y[n], step.z[n]));
+    }
+
+    return { values: Float64Array.from(values), volumes: Float64Array.from(volumes) };
+}
+
+// Linearly interpolated percentile of ascending `sorted` values.
+function computePercentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+
+    const position = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(position);
+    const hi = Math.min(lo + 1, sorted.length - 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+}
+
+// Every STATISTICS_MEASURES key for a sample from collectStatisticsSample().
+function computeFieldStatistics(sample) {
+    const { values, volumes } = sample;
+    const sorted = Float64Array.from(values).sort();
+    const stats = { count: values.length, min: NaN, max: NaN, mean: NaN, weightedMean: NaN, integral: 0 };
+
+    let sum = 0;
+    let volumeSum = 0;
+    for (let n = 0; n < values.length; n++) {
+        sum += values[n];
+        stats.integral += values[n] * volumes[n];
+        volumeSum += volumes[n];
+    }
+
+    if (values.length > 0) {
+        stats.min = sorted[0];
+        stats.max = sorted[sorted.length - 1];
+        stats.mean = sum / values.length;
+        stats.weightedMean = volumeSum > 0 ? stats.integral / volumeSum : NaN;
+    }
+    for (const p of STATISTICS_PERCENTILES) {
+        stats[`p${p}`] = computePercentile(sorted, p);
+    }
+
+    return stats;
+}
+
+// Equal-width bins over the value range: { edges, counts, volumes }.
+function computeHistogram(sample, bins) {
+    const { values, volumes: cellVolumes } = sample;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    if (!(max > min)) {
+        // A constant field gets a single bin around its value.
+        min = Number.isFinite(min) ? min - 0.5 : 0;
+        max = min + 1;
+        bins = 1;
+    }
+
+    const width = (max - min) / bins;
+    const edges = Array.from({ length: bins + 1 }, (_, b) => min + b * width);
+    const counts = new Array(bins).fill(0);
+    const volumes = new Array(bins).fill(0);
+
+    for (let n = 0; n < values.length; n++) {
+        const b = Math.min(Math.floor((values[n] - min) / width), bins - 1);
+        counts[b]++;
+        volumes[b] += cellVolumes[n];
+    }
+
+    return { edges, counts, volumes };
+}
+
+function getStatisticsVolumeUnit() {
+    return isGrid3D(scalarStore.grid) ? 'm³' : 'm³/m';
+}
+
+function getStatisticsMeasureUnit(measure, variable) {
+    const unit = getVariableUnit(variable);
+    if (measure === 'count') return '-';
+    if (measure === 'integral') return `${unit === '-' ? '' : `${unit}·`}${getStatisticsVolumeUnit()}`;
+    return unit;
+}
+
+function describeStatisticsRegion(region) {
+    if (!region) return 'whole domain';
+    if (region.polygon) return `region ${region.polygon.name}`;
+
+    const parts = [];
+    if (region.h) parts.push(`${region.plane.h.toUpperCase()} ${region.h.min.toFixed(3)} – ${region.h.max.toFixed(3)} km`);
+    if (region.v) parts.push(`${region.plane.v.toUpperCase()} ${region.v.min.toFixed(3)} – ${region.v.max.toFixed(3)} km`);
+    return `zoom window ${parts.join(', ')}`;
+}
+
+// Sample of the panel's field at `time`, or null after an alert.
+function getStatisticsSample(time) {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return null;
+    }
+
+    const variable = statisticsSettings.variable;
+    if (isDerivedVectorField(variable) && !hasVectorStore()) {
+        alert('Please load a vector file first for vector-derived statistics.');
+        return null;
+    }
+
+    const sample = collectStatisticsSample(variable, time, getStatisticsRegion());
+    if (!sample) {
+        alert('No vector data within the time tolerance at this time step.');
+        return null;
+    }
+    return sample;
+}
+
+function formatStatisticsValue(value) {
+    if (!Number.isFinite(value)) return '–';
+    return Math.abs(value) >= 1e5 || (value !== 0 && Math.abs(value) < 1e-3)
+        ? value.toExponential(4)
+        : value.toFixed(4).replace(/\.?0+$/, '');
+}
+
+function renderStatisticsTable(stats, variable) {
+    const body = document.getElementById('statisticsTableBody');
+    body.innerHTML = '';
+
+    for (const measure of STATISTICS_MEASURES) {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td></td><td></td><td></td>';
+        row.children[0].textContent = measure.label;
+        row.children[1].textContent = formatStatisticsValue(stats[measure.key]);
+        row.children[2].textContent = getStatisticsMeasureUnit(measure.key, variable);
+        body.appendChild(row);
+    }
+}
+
+function getStatisticsPlotLayout(title, xTitle, yTitle) {
+    const textColor = currentTheme === 'dark' ? '#ffffff' : '#333333';
+    const axisStyle = {
+        gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+        zeroline: false,
+        color: textColor,
+        tickfont: { color: textColor }
+    };
+
+    return {
+        title: { text: title, font: { size: 16, color: textColor } },
+        xaxis: { ...axisStyle, title: xTitle },
+        yaxis: { ...axisStyle, title: yTitle },
+        plot_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
+        paper_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
+        margin: { l: 70, r: 60, t: 80, b: 60 },
+        height: 400,
+        width: null,
+        autosize: true,
+        showlegend: true,
+        legend: {
+            bgcolor: currentTheme === 'dark' ? 'rgba(30,30,30,0.8)' : 'rgba(255,255,255,0.8)',
+            bordercolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+            font: { color: textColor }
+        }
+    };
+}
+
+const STATISTICS_PLOT_CONFIG = {
+    responsive: true,
+    displayModeBar: true,
+    modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d'],
+    displaylogo: false,
+    useResizeHandler: true
+};
+
+// Table and histogram for the current time step.
+function plotStatistics() {
+    const time = timePoints[currentTimeIndex];
+    const sample = getStatisticsSample(time);
+    if (!sample) return;
+
+    const variable = statisticsSettings.variable;
+    const region = getStatisticsRegion();
+    const stats = computeFieldStatistics(sample);
+    renderStatisticsTable(stats, variable);
+
+    document.getElementById('statisticsStatus').textContent =
+        `${stats.count} nodes at ${time.toFixed(5)} years, ${describeStatisticsRegion(region)}.`;
+
+    const histogram = computeHistogram(sample, statisticsSettings.bins);
+    const weighted = statisticsSettings.histogramWeight === 'volume';
+    const centres = histogram.counts.map((_, b) => (histogram.edges[b] + histogram.edges[b + 1]) / 2);
+    const label = getVariableLabel(variable);
+
+    const trace = {
+        x: centres,
+        y: weighted ? histogram.volumes : histogram.counts,
+        width: histogram.edges[1] - histogram.edges[0],
+        type: 'bar',
+        marker: { color: '#45aaf2', line: { color: '#1a1a1a', width: 1 } },
+        name: weighted ? 'Volume' : 'Nodes',
+        customdata: histogram.counts.map((_, b) => [histogram.edges[b], histogram.edges[b + 1]]),
+        hovertemplate: '%{customdata[0]:.4g} – %{customdata[1]:.4g}: %{y:.4g}<extra></extra>'
+    };
+
+    const layout = getStatisticsPlotLayout(
+        `Histogram of ${label} at ${time.toFixed(5)} years`,
+        label,
+        weighted ? `Volume (${getStatisticsVolumeUnit()})` : 'Nodes'
+    );
+    layout.showlegend = false;
+    layout.bargap = 0;
+
+    Plotly.newPlot('statisticsHistogramContainer', [trace], layout, STATISTICS_PLOT_CONFIG);
+}
+
+// [{ time, stats }] for every time step, or null after an alert.
+function computeStatisticsHistory() {
+    if (!getStatisticsSample(timePoints[currentTimeIndex])) return null;
+
+    const region = getStatisticsRegion();
+    return timePoints.map(time => {
+        const sample = collectStatisticsSample(statisticsSettings.variable, time, region);
+        return { time, stats: sample ? computeFieldStatistics(sample) : null };
+    });
+}
+
+function plotStatisticsHistory() {
+    const measures = statisticsSettings.historyMeasures;
+    if (measures.length === 0) {
+        alert('Select at least one statistic to plot.');
+        return;
+    }
+
+    const history = computeStatisticsHistory();
+    if (!history) return;
+
+    const variable = statisticsSettings.variable;
+    const label = getVariableLabel(variable);
+
+    // The volume integral has its own unit, so it goes on a second axis.
+    const traces = measures.map((key, index) => {
+        const measure = STATISTICS_MEASURES.find(m => m.key === key);
+        return {
+            x: history.map(entry => entry.time),
+            y: history.map(entry => (entry.stats ? entry.stats[key] : NaN)),
+            yaxis: key === 'integral' ? 'y2' : 'y',
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: PROFILE_COLORS[index % PROFILE_COLORS.length], width: 2 },
+            marker: { size: 4 },
+            name: measure.label
+        };
+    });
+
+    const layout = getStatisticsPlotLayout(
+        `${label} statistics over time (${describeStatisticsRegion(getStatisticsRegion())})`,
+        'Time (years)',
+        label
+    );
+    if (measures.includes('integral')) {
+        layout.yaxis2 = {
+            title: `Volume integral (${getStatisticsMeasureUnit('integral', variable)})`,
+            overlaying: 'y',
+            side: 'right',
+            showgrid: false,
+            zeroline: false,
+            exponentformat: 'e',
+            color: layout.xaxis.color,
+            tickfont: layout.xaxis.tickfont
+        };
+        layout.margin.r = 90;
+        layout.legend.x = 1.12;
+    }
+
+    Plotly.newPlot('statisticsHistoryContainer', traces, layout, STATISTICS_PLOT_CONFIG);
+}
+
+function downloadStatisticsCSV() {
+    const history = computeStatisticsHistory();
+    if (!history) return;
+
+    const variable = statisticsSettings.variable;
+    const metadata = [
+        'HYDROTHERM Postprocessor statistics export',
+        `exported: ${new Date().toISOString()}`,
+        `scalar file: ${scalarStore.fileName}`,
+        `field: ${variable} (${getVariableUnit(variable)})`,
+        `region: ${describeStatisticsRegion(getStatisticsRegion())}`,
+        'percentiles and mean are by node; weighted mean and integral by cell volume'
+    ];
+
+    let csv = metadata.map(line => `# ${line}\n`).join('');
+    csv += ['time', ...STATISTICS_MEASURES.map(m => m.key)].join(',') + '\n';
+    for (const entry of history) {
+        csv += [entry.time, ...STATISTICS_MEASURES.map(m => formatCsvNumber(entry.stats ? entry.stats[m.key] : NaN))].join(',') + '\n';
+    }
+
+    downloadTextFile(csv, `statistics_${variable}.csv`, 'text/csv');
+}
+
+function downloadHistogramCSV() {
+    const time = timePoints[currentTimeIndex];
+    const sample = getStatisticsSample(time);
+    if (!sample) return;
+
+    const variable = statisticsSettings.variable;
+    const histogram = computeHistogram(sample, statisticsSettings.bins);
+    const volumeUnit = isGrid3D(scalarStore.grid) ? 'm3' : 'm3_per_m';
+
+    let csv = `# ${getVariableLabel(variable)} at ${time} years, ${describeStatisticsRegion(getStatisticsRegion())}\n`;
+    csv += `bin_start,bin_end,nodes,volume_${volumeUnit}\n`;
+    histogram.counts.forEach((count, b) => {
+        csv += `${histogram.edges[b]},${histogram.edges[b + 1]},${count},${histogram.volumes[b]}\n`;
+    });
+
+    downloadTextFile(csv, `histogram_${variable}.csv`, 'text/csv');
+}
+
+// Redraws whatever the user has already plotted in the panel.
+function refreshStatisticsPlots() {
+    const histogramShown = Boolean(document.getElementById('statisticsHistogramContainer').data);
+    const historyShown = Boolean(document.getElementById('statisticsHistoryContainer').data);
+
+    // One check up front, so a missing vector file is reported once.
+    if (!histogramShown && !historyShown) return;
+    if (!getStatisticsSample(timePoints[currentTimeIndex])) return;
+
+    if (histogramShown) plotStatistics();
+    if (historyShown) plotStatisticsHistory();
+}
+
+// Statistics limited to the zoom window follow the axis sliders once released.
+function refreshZoomStatistics() {
+    if (statisticsSettings.region === 'zoom') refreshStatisticsPlots();
+}
+
+function setupStatisticsControls() {
+    const section = document.getElementById('statisticsSection');
+    const variableSelect = document.getElementById('statisticsVariable');
+    const measuresSelect = document.getElementById('statisticsHistoryMeasures');
+
+    // Same fields as the main plot.
+    if (variableSelect.options.length === 0) {
+        variableSelect.innerHTML = document.getElementById('variableSelect').innerHTML;
+    }
+    if (measuresSelect.options.length === 0) {
+        for (const measure of STATISTICS_MEASURES) {
+            if (measure.key === 'count') continue;
+            measuresSelect.add(new Option(measure.label, measure.key));
+        }
+    }
+
+    updateStatisticsControlsFromState();
+
+    variableSelect.onchange = function () {
+        statisticsSettings.variable = this.value;
+        refreshStatisticsPlots();
+    };
+
+    document.getElementById('statisticsRegionSelect').onchange = function () {
+        statisticsSettings.region = this.value;
+        refreshStatisticsPlots();
+    };
+
+    document.getElementById('statisticsBinsInput').onchange = function () {
+        const bins = parseInt(this.value, 10);
+        statisticsSettings.bins = bins >= 1 ? Math.min(bins, 500) : 30;
+        this.value = statisticsSettings.bins;
+        refreshStatisticsPlots();
+    };
+
+    document.getElementById('statisticsWeightSelect').onchange = function () {
+        statisticsSettings.histogramWeight = this.value;
+        refreshStatisticsPlots();
+    };
+
+    measuresSelect.onchange = function () {
+        statisticsSettings.historyMeasures = Array.from(this.selectedOptions).map(option => option.value);
+    };
+
+    section.style.display = 'block';
+}
+
+function updateStatisticsControlsFromState() {
+    setSelectValueIfPresent(document.getElementById('statisticsVariable'), statisticsSettings.variable);
+    statisticsSettings.variable = document.getElementById('statisticsVariable').value;
+    setSelectValueIfPresent(document.getElementById('statisticsRegionSelect'), statisticsSettings.region);
+    statisticsSettings.region = document.getElementById('statisticsRegionSelect').value;
+    document.getElementById('statisticsBinsInput').value = statisticsSettings.bins;
+    document.getElementById('statisticsWeightSelect').value = statisticsSettings.histogramWeight;
+    for (const option of document.getElementById('statisticsHistoryMeasures').options) {
+        option.selected = statisticsSettings.historyMeasures.includes(option.value);
+    }
+}
+
+// ============================================================
+// Regions of interest
+// Named polygons drawn with the lasso or box select tools of the
+// main plot (reservoir, cap rock, intrusion). A region lies on
+// the plane it was drawn on and extends through the whole grid
+// along that plane's normal. The active region can mask the
+// heatmap, limit node exports, and any region can be picked in
+// the Statistics panel.
+// ============================================================
+
+const REGION_COLORS = ['#fed330', '#fc5c65', '#2bcbba', '#a55eea', '#fd9644', '#45aaf2', '#26de81', '#f78fb3'];
+
+function getActiveRegion() {
+    return regions.find(region => region.id === regionSettings.activeId) || null;
+}
+
+// Region that node exports (nodes CSV, VTK) are limited to, or null.
+function getExportRegion() {
+    return regionSettings.limitExports ? getActiveRegion() : null;
+}
+
+// Ray-casting test of (h, v) against polygon vertices [{ h, v }].
+function isInsidePolygon(vertices, h, v) {
+    let inside = false;
+    for (let a = 0, b = vertices.length - 1; a < vertices.length; b = a++) {
+        const pa = vertices[a];
+        const pb = vertices[b];
+        if ((pa.v > v) !== (pb.v > v) && h < ((pb.h - pa.h) * (v - pa.v)) / (pb.v - pa.v) + pa.h) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Whether a point { x, y, z } (km) lies in the region's prism.
+function isPointInRegion(region, point) {
+    const plane = SLICE_PLANES[region.orientation];
+    return isInsidePolygon(region.vertices, point[plane.h], point[plane.v]);
+}
+
+function isStepNodeInRegion(region, step, n) {
+    return isPointInRegion(region, { x: step.x[n], y: step.y[n], z: step.z[n] });
+}
+
+// Blanks the cells of a slice-plane matrix (rows along `vAxis`) outside the region.
+function maskMatrixToRegion(matrix, hAxis, vAxis, slice, region) {
+    const plane = SLICE_PLANES[slice.orientation];
+    const point = { [plane.normal]: slice.position };
+
+    matrix.forEach((row, b) => {
+        point[plane.v] = vAxis[b];
+        row.forEach((_, a) => {
+            point[plane.h] = hAxis[a];
+            if (!isPointInRegion(region, point)) row[a] = NaN;
+        });
+    });
+}
+
+// Polygon from a plotly_selected event: lasso points or the box corners.
+function getSelectionVertices(eventData) {
+    if (eventData.lassoPoints) {
+        const [hKey, vKey] = Object.keys(eventData.lassoPoints);
+        const hs = eventData.lassoPoints[hKey];
+        const vs = eventData.lassoPoints[vKey];
+        return hs.map((h, index) => ({ h, v: vs[index] }));
+    }
+    if (eventData.range) {
+        const [hKey, vKey] = Object.keys(eventData.range);
+        const [h0, h1] = eventData.range[hKey];
+        const [v0, v1] = eventData.range[vKey];
+        return [{ h: h0, v: v0 }, { h: h1, v: v0 }, { h: h1, v: v1 }, { h: h0, v: v1 }];
+    }
+    return null;
+}
+
+function addRegion(vertices, orientation) {
+    const nameInput = document.getElementById('regionNameInput');
+    const id = nextRegionId++;
+    const region = {
+        id,
+        name: nameInput.value.trim() || `Region ${id}`,
+        orientation,
+        vertices: vertices.map(p => ({ h: p.h, v: p.v })),
+        color: REGION_COLORS[(id - 1) % REGION_COLORS.length]
+    };
+
+    regions.push(region);
+    regionSettings.activeId = id;
+    nameInput.value = '';
+    renderRegionTable();
+    plotData();
+}
+
+function removeRegion(id) {
+    regions = regions.filter(region => region.id !== id);
+    if (regionSettings.activeId === id) {
+        regionSettings.activeId = regions.length > 0 ? regions[regions.length - 1].id : null;
+    }
+    if (statisticsSettings.region === `region:${id}`) statisticsSettings.region = 'domain';
+    renderRegionTable();
+    plotData();
+}
+
+function formatRegionPlane(region) {
+    return SLICE_PLANES[region.orientation].label;
+}
+
+function renderRegionTable() {
+    const body = document.getElementById('regionTableBody');
+    body.innerHTML = '';
+
+    for (const region of regions) {
+        const row = document.createElement('tr');
+        row.dataset.regionId = region.id;
+        row.innerHTML =
+            '<td><input class="form-check-input" type="radio" name="activeRegion" data-field="active"></td>' +
+            '<td><input type="text" class="form-control form-control-sm" data-field="name"></td>' +
+            '<td></td>' +
+            '<td><input type="color" class="form-control form-control-sm" data-field="color"></td>' +
+            '<td class="region-summary small"></td>' +
+            '<td><button class="btn btn-outline-light btn-sm" title="Remove region"><i class="fas fa-times"></i></button></td>';
+
+        row.children[2].textContent = `${formatRegionPlane(region)}, ${region.vertices.length} vertices`;
+        row.querySelector('[data-field="active"]').checked = region.id === regionSettings.activeId;
+        row.querySelector('[data-field="name"]').value = region.name;
+        row.querySelector('[data-field="color"]').value = region.color;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            input.onchange = function () {
+                const field = this.dataset.field;
+                if (field === 'active') {
+                    regionSettings.activeId = region.id;
+                } else if (field === 'name') {
+                    region.name = this.value.trim() || `Region ${region.id}`;
+                    this.value = region.name;
+                    updateStatisticsRegionOptions();
+                } else {
+                    region.color = this.value;
+                }
+                plotData();
+            };
+        });
+        row.querySelector('button').onclick = () => removeRegion(region.id);
+
+        body.appendChild(row);
+    }
+
+    updateStatisticsRegionOptions();
+}
+
+// Keeps the region entries of the Statistics region select in step with the table.
+function updateStatisticsRegionOptions() {
+    const select = document.getElementById('statisticsRegionSelect');
+    Array.from(select.options)
+        .filter(option => option.value.startsWith('region:'))
+        .forEach(option => option.remove());
+
+    for (const region of regions) {
+        select.add(new Option(`Region: ${region.name}`, `region:${region.id}`));
+    }
+    setSelectValueIfPresent(select, statisticsSettings.region);
+    statisticsSettings.region = select.value;
+}
+
+// Outlines of the regions drawn on the current slice orientation.
+function buildRegionTraces(slice) {
+    return regions
+        .filter(region => region.orientation === slice.orientation)
+        .map(region => {
+            const active = region.id === regionSettings.activeId;
+            return {
+                x: [...region.vertices.map(p => p.h), region.vertices[0].h],
+                y: [...region.vertices.map(p => p.v), region.vertices[0].v],
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: region.color, width: active ? 3 : 2, dash: active ? 'solid' : 'dash' },
+                name: region.name,
+                hovertemplate: `${region.name}<extra></extra>`,
+                showlegend: false
+            };
+        });
+}
+
+function setupRegionSelection() {
+    const plotDiv = document.getElementById('plotContainer');
+    if (!plotDiv || typeof plotDiv.on !== 'function') return;
+
+    plotDiv.on('plotly_selected', function (eventData) {
+        // Double-click clears the selection and sends no data.
+        if (!eventData) return;
+
+        const vertices = getSelectionVertices(eventData);
+        if (!vertices || vertices.length < 3) return;
+        addRegion(vertices, sliceOrientation);
+    });
+}
+
+// Volume-weighted mean and volume integral of the Statistics field in each
+// region at the current time step, shown in the region table.
+function updateRegionSummaries() {
+    if (regions.length === 0) {
+        alert('Draw a region with the lasso or box select tool first.');
+        return;
+    }
+
+    const time = timePoints[currentTimeIndex];
+    if (!getStatisticsSample(time)) return;
+
+    const variable = statisticsSettings.variable;
+    const unit = getVariableUnit(variable);
+    for (const region of regions) {
+        const stats = computeFieldStatistics(collectStatisticsSample(variable, time, { polygon: region }));
+        const cell = document.querySelector(`#regionTableBody tr[data-region-id="${region.id}"] .region-summary`);
+        if (!cell) continue;
+
+        cell.textContent = stats.count > 0
+            ? `${variable}: mean ${formatStatisticsValue(stats.weightedMean)} ${unit}, ` +
+              `total ${formatStatisticsValue(stats.integral)} ${getStatisticsMeasureUnit('integral', variable)} ` +
+              `(${stats.count} nodes)`
+            : 'No nodes inside';
+    }
+}
+
+// [{ time, stats: [per region] }] for the Statistics field, or null after an alert.
+function computeRegionHistory() {
+    if (regions.length === 0) {
+        alert('Draw a region with the lasso or box select tool first.');
+        return null;
+    }
+    if (!getStatisticsSample(timePoints[currentTimeIndex])) return null;
+
+    return timePoints.map(time => ({
+        time,
+        stats: regions.map(region => {
+            const sample = collectStatisticsSample(statisticsSettings.variable, time, { polygon: region });
+            return sample ? computeFieldStatistics(sample) : null;
+        })
+    }));
+}
+
+function plotRegionHistory() {
+    const history = computeRegionHistory();
+    if (!history) return;
+
+    const variable = statisticsSettings.variable;
+    const label = getVariableLabel(variable);
+    const traces = regions.map((region, index) => ({
+        x: history.map(entry => entry.time),
+        y: history.map(entry => (entry.stats[index] ? entry.stats[index].weightedMean : NaN)),
+        type: 'scatter',
+        mode: 'lines+markers',
+        line: { color: region.color, width: 2 },
+        marker: { size: 4 },
+        name: region.name
+    }));
+
+    const layout = getStatisticsPlotLayout(`Volume-weighted mean ${label} by region`, 'Time (years)', label);
+    Plotly.newPlot('regionHistoryContainer', traces, layout, STATISTICS_PLOT_CONFIG);
+}
+
+function downloadRegionHistoryCSV() {
+    const history = computeRegionHistory();
+    if (!history) return;
+
+    const variable = statisticsSettings.variable;
+    let csv = `# ${getVariableLabel(variable)} by region; mean is volume-weighted, total is the volume integral (${getStatisticsMeasureUnit('integral', variable)})\n`;
+    for (const region of regions) {
+        csv += `# region ${region.name}: ${formatRegionPlane(region)} ${formatSectionVertices(region.vertices)}\n`;
+    }
+
+    csv += ['time', ...regions.flatMap(region =>
+        ['mean', 'total', 'nodes'].map(column => quoteCsvField(`${region.name}:${column}`))
+    )].join(',') + '\n';
+
+    for (const entry of history) {
+        csv += [entry.time, ...entry.stats.flatMap(stats => (stats
+            ? [formatCsvNumber(stats.weightedMean), formatCsvNumber(stats.integral), stats.count]
+            : ['', '', 0]))].join(',') + '\n';
+    }
+
+    downloadTextFile(csv, `regions_${variable}.csv`, 'text/csv');
+}
+
+// Every scalar field at each node of the current step, limited to the
+// active region when "Limit exports" is ticked.
+function downloadNodesCSV() {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return;
+    }
+
+    const time = timePoints[currentTimeIndex];
+    const step = getScalarTimeStep(time);
+    const region = getExportRegion();
+    const fields = [
+        ...scalarStore.fields.filter(name => !['x', 'y', 'z'].includes(name)),
+        ...DERIVED_SCALAR_FIELDS,
+        ...getExpressionFieldNames(false)
+    ];
+    const columns = fields.map(name => getScalarStepFieldValues(step, name));
+
+    let csv = `# ${scalarStore.fileName} at ${time} years; ${region ? `nodes inside region ${region.name}` : 'all nodes'}\n`;
+    csv += ['x_km', 'y_km', 'z_km', ...fields].join(',') + '\n';
+
+    let rows = 0;
+    for (let n = 0; n < step.count; n++) {
+        if (region && !isStepNodeInRegion(region, step, n)) continue;
+        csv += [step.x[n], step.y[n], step.z[n], ...columns.map(values => formatCsvNumber(values[n]))].join(',') + '\n';
+        rows++;
+    }
+
+    if (rows === 0) {
+        alert(`No nodes inside region ${region.name}.`);
+        return;
+    }
+
+    downloadTextFile(csv, region ? `nodes_${region.name.replace(/[^\w-]+/g, '_')}.csv` : 'nodes.csv', 'text/csv');
+}
+
+function setupRegionControls() {
+    const section = document.getElementById('regionSection');
+
+    document.getElementById('regionMaskCheckbox').onchange = function () {
+        regionSettings.maskHeatmap = this.checked;
+        plotData();
+    };
+
+    document.getElementById('regionLimitExportsCheckbox').onchange = function () {
+        regionSettings.limitExports = this.checked;
+    };
+
+    updateRegionControlsFromState();
+    section.style.display = 'block';
+}
+
+function updateRegionControlsFromState() {
+    document.getElementById('regionMaskCheckbox').checked = regionSettings.maskHeatmap;
+    document.getElementById('regionLimitExportsCheckbox').checked = regionSettings.limitExports;
+    renderRegionTable();
+}
+
+// ============================================================
+// VTK export
+// The current step, or every step with a .pvd collection, as VTK
+// XML rectilinear grids (.vtr) for ParaView. Values go out as cell
+// data on the cell faces (how the heatmap draws them) or as point
+// data on the nodes. Arrays are base64 binary, so blank nodes stay
+// NaN. Coordinates are in km, like the Plot files.
+// ============================================================
+
+const VTK_SECTION_THICKNESS_KM = 0.001; // 2-D sections become 1 m thick cells
+
+// Base64 of the bytes of a typed array behind its UInt32 byte count,
+// as VTK reads uncompressed inline binary data.
+function encodeVtkBinary(values) {
+    const bytes = new Uint8Array(4 + values.byteLength);
+    new DataView(bytes.buffer).setUint32(0, values.byteLength, true);
+    bytes.set(new Uint8Array(values.buffer, values.byteOffset, values.byteLength), 4);
+
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function getVtkDataArrayXml(name, type, components, values) {
+    return `        <DataArray type="${type}" Name="${name}"` +
+        (components > 1 ? ` NumberOfComponents="${components}"` : '') +
+        ` format="binary">${encodeVtkBinary(values)}</DataArray>\n`;
+}
+
+// Node index ranges { x, y, z: { lo, hi } } written to the file: the
+// whole grid, or the bounding box of the region on its plane.
+function getVtkIndexRanges(grid, region) {
+    const ranges = {};
+    for (const axis of ['x', 'y', 'z']) {
+        ranges[axis] = { lo: 0, hi: getGridAxis(grid, axis).length - 1 };
+    }
+    if (!region) return ranges;
+
+    const plane = SLICE_PLANES[region.orientation];
+    for (const [axis, key] of [[plane.h, 'h'], [plane.v, 'v']]) {
+        const coords = region.vertices.map(p => p[key]);
+        const range = findAxisIndexRange(getGridAxis(grid, axis), Math.min(...coords), Math.max(...coords));
+        if (!range) return null;
+        ranges[axis] = range;
+    }
+    return ranges;
+}
+
+// Coordinates along one axis: faces of the cells for cell data, nodes for point data.
+function getVtkAxisCoordinates(axis, range, cellData) {
+    const nodes = axis.subarray(range.lo, range.hi + 1);
+    if (!cellData) return Float64Array.from(nodes);
+    if (axis.length < 2) {
+        return Float64Array.of(axis[0] - VTK_SECTION_THICKNESS_KM / 2, axis[0] + VTK_SECTION_THICKNESS_KM / 2);
+    }
+    return getAxisFaces(axis).slice(range.lo, range.hi + 2);
+}
+
+// Values of the vector file at each scalar node: through the shared cell
+// mapping when the grids match, trilinear otherwise.
+function mapVectorValuesToScalarNodes(vectorStep, values, scalarStep, gridsMatch) {
+    const mapped = new Float64Array(scalarStep.count).fill(NaN);
+
+    if (gridsMatch) {
+        const scalarCells = getStepCellNodes(scalarStore.grid, scalarStep);
+        const vectorCells = getStepCellNodes(vectorStore.grid, vectorStep);
+        for (let cell = 0; cell < scalarCells.length; cell++) {
+            if (scalarCells[cell] >= 0 && vectorCells[cell] >= 0) {
+                mapped[scalarCells[cell]] = values[vectorCells[cell]];
+            }
+        }
+        return mapped;
+    }
+
+    for (let n = 0; n < scalarStep.count; n++) {
+        mapped[n] = sampleStepTrilinear(
+            vectorStore.grid, vectorStep, values, scalarStep.x[n], scalarStep.y[n], scalarStep.z[n]
+        );
+    }
+    return mapped;
+}
+
+// Node arrays [{ name, components, values }] for one time step: every
+// Plot_scalar column, the derived scalar and calculated fields and, with a
+// vector file, the water/steam flux vectors and the vector-derived fields.
+function collectVtkNodeArrays(time) {
+    const scalarStep = getScalarTimeStep(time);
+    const arrays = scalarStore.fields
+        .filter(name => !['x', 'y', 'z'].includes(name))
+        .concat(DERIVED_SCALAR_FIELDS, getExpressionFieldNames(false))
+        .map(name => ({ name, components: 1, values: getScalarStepFieldValues(scalarStep, name) }));
+
+    const vectorStep = hasVectorStore() ? getVectorStepForTime(time) : null;
+    if (!vectorStep) return arrays;
+
+    const gridsMatch = haveSameGridAxes(scalarStore.grid, vectorStore.grid);
+    const toScalarNodes = values => mapVectorValuesToScalarNodes(vectorStep, values, scalarStep, gridsMatch);
+
+    for (const [name, prefix] of [['water_flux', 'w'], ['steam_flux', 's']]) {
+        const components = ['x', 'y', 'z'].map(axis => toScalarNodes(vectorStep[`${axis}${prefix}`]));
+        const values = new Float64Array(scalarStep.count * 3);
+        for (let n = 0; n < scalarStep.count; n++) {
+            values[3 * n] = components[0][n];
+            values[3 * n + 1] = components[1][n];
+            values[3 * n + 2] = components[2][n];
+        }
+        arrays.push({ name, components: 3, values });
+    }
+
+    for (const name of [...DERIVED_VECTOR_FIELDS, ...getExpressionFieldNames(true)]) {
+        arrays.push({ name, components: 1, values: toScalarNodes(deriveVectorField(vectorStep, name, scalarStep)) });
+    }
+    return arrays;
+}
+
+// One .vtr file for `time`, or null when the region holds no nodes.
+function buildVtrFile(time, cellData, region) {
+    const grid = scalarStore.grid;
+    const step = getScalarTimeStep(time);
+    const ranges = getVtkIndexRanges(grid, region);
+    if (!ranges) return null;
+
+    const cellNode = getStepCellNodes(grid, step);
+    const counts = ['x', 'y', 'z'].map(axis => ranges[axis].hi - ranges[axis].lo + 1);
+    const total = counts[0] * counts[1] * counts[2];
+
+    // Grid node n for each written cell/point, VTK order (x fastest), -1 when blank.
+    const nodes = new Int32Array(total);
+    const inside = new Uint8Array(total);
+    let index = 0;
+    for (let k = ranges.z.lo; k <= ranges.z.hi; k++) {
+        for (let j = ranges.y.lo; j <= ranges.y.hi; j++) {
+            for (let i = ranges.x.lo; i <= ranges.x.hi; i++) {
+                const n = cellNode[getCellIndex(grid, i, j, k)];
+                const keep = n >= 0 && (!region || isStepNodeInRegion(region, step, n));
+                nodes[index] = keep ? n : -1;
+                inside[index] = keep ? 1 : 0;
+                index++;
+            }
+        }
+    }
+
+    let arraysXml = '';
+    for (const array of collectVtkNodeArrays(time)) {
+        const values = new Float64Array(total * array.components).fill(NaN);
+        for (let p = 0; p < total; p++) {
+            if (nodes[p] < 0) continue;
+            for (let c = 0; c < array.components; c++) {
+                values[p * array.components + c] = array.values[nodes[p] * array.components + c];
+            }
+        }
+        arraysXml += getVtkDataArrayXml(array.name, 'Float64', array.components, values);
+    }
+    if (region) arraysXml += getVtkDataArrayXml('inside_region', 'UInt8', 1, inside);
+
+    const extent = counts.map(count => `0 ${cellData ? count : count - 1}`).join(' ');
+    const coordinatesXml = ['x', 'y', 'z']
+        .map(axis => getVtkDataArrayXml(
+            `${axis}_km`, 'Float64', 1, getVtkAxisCoordinates(getGridAxis(grid, axis), ranges[axis], cellData)
+        ))
+        .join('');
+    const dataTag = cellData ? 'CellData' : 'PointData';
+
+    return '<?xml version="1.0"?>\n' +
+        '<VTKFile type="RectilinearGrid" version="1.0" byte_order="LittleEndian" header_type="UInt32">\n' +
+        `  <RectilinearGrid WholeExtent="${extent}">\n` +
+        '    <FieldData>\n' +
+        `      <DataArray type="Float64" Name="TimeValue" NumberOfTuples="1" format="ascii">${time}</DataArray>\n` +
+        '    </FieldData>\n' +
+        `    <Piece Extent="${extent}">\n` +
+        `      <${dataTag}>\n` +
+        arraysXml +
+        `      </${dataTag}>\n` +
+        '      <Coordinates>\n' +
+        coordinatesXml +
+        '      </Coordinates>\n' +
+        '    </Piece>\n' +
+        '  </RectilinearGrid>\n' +
+        '</VTKFile>\n';
+}
+
+function buildPvdFile(entries) {
+    return '<?xml version="1.0"?>\n' +
+        '<VTKFile type="Collection" version="1.0" byte_order="LittleEndian">\n' +
+        '  <Collection>\n' +
+        entries.map(entry => `    <DataSet timestep="${entry.time}" part="0" file="${entry.file}"/>\n`).join('') +
+        '  </Collection>\n' +
+        '</VTKFile>\n';
+}
+
+async function exportVtk() {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return;
+    }
+
+    const status = document.getElementById('vtkStatus');
+    const allSteps = document.getElementById('vtkScopeSelect').value === 'all';
+    const cellData = document.getElementById('vtkDataLocationSelect').value === 'cell';
+    const region = getExportRegion();
+    const baseName = scalarStore.fileName.replace(/[^\w.-]+/g, '_') +
+        (region ? `_${region.name.replace(/[^\w-]+/g, '_')}` : '');
+
+    if (!allSteps) {
+        const time = timePoints[currentTimeIndex];
+        const vtr = buildVtrFile(time, cellData, region);
+        if (!vtr) {
+            alert(`No nodes inside region ${region.name}.`);
+            return;
+        }
+        const fileName = `${baseName}_${String(currentTimeIndex).padStart(4, '0')}.vtr`;
+        downloadTextFile(vtr, fileName, 'application/xml');
+        status.textContent = `Saved ${fileName} (${time.toFixed(5)} years).`;
+        return;
+    }
+
+    if (typeof JSZip === 'undefined') {
+        alert('JSZip is not loaded, so the time steps cannot be packed into one download.');
+        return;
+    }
+
+    const zip = new JSZip();
+    const entries = [];
+    for (let index = 0; index < timePoints.length; index++) {
+        status.textContent = `Writing time step ${index + 1} of ${timePoints.length}...`;
+        // Let the status line repaint between steps.
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const vtr = buildVtrFile(timePoints[index], cellData, region);
+        if (!vtr) {
+            alert(`No nodes inside region ${region.name}.`);
+            status.textContent = '';
+            return;
+        }
+        const file = `${baseName}_${String(index).padStart(4, '0')}.vtr`;
+        zip.file(`${baseName}/${file}`, vtr);
+        entries.push({ time: timePoints[index], file });
+    }
+    zip.file(`${baseName}/${baseName}.pvd`, buildPvdFile(entries));
+
+    status.textContent = 'Zipping...';
+    saveAs(await zip.generateAsync({ type: 'blob' }), `${baseName}_vtk.zip`);
+    status.textContent = `Saved ${baseName}_vtk.zip: ${entries.length} time steps and ${baseName}.pvd.`;
+}
+
+function setupVtkExportControls() {
+    document.getElementById('vtkExportSection').style.display = 'block';
+}
+
+// ============================================================
+// Run comparison
+// A second Plot_scalar run (B) is shown beside the loaded run (A) or
+// subtracted from it. B follows A's time slider through
+// getClosestTimeValue. Differences are taken at A's nodes: node by node
+// when the grids match, otherwise B is interpolated (trilinear) onto
+// A's nodes and the mismatch is reported.
+// ============================================================
+
+// Relative differences are left blank where |B| is below this.
+const COMPARISON_RELATIVE_FLOOR = 1e-12;
+
+function haveSameGridAxes(a, b) {
+    for (const axis of ['x', 'y', 'z']) {
+        const axisA = getGridAxis(a, axis);
+        const axisB = getGridAxis(b, axis);
+        if (axisA.length !== axisB.length) return false;
+
+        for (let i = 0; i < axisA.length; i++) {
+            if (Math.abs(axisA[i] - axisB[i]) > 1e-9) return false;
+        }
+    }
+    return true;
+}
+
+// B's value at each of A's nodes on the slice plane (NaN elsewhere).
+function resampleComparisonStep(stepA, stepB, variable, slice, gridsMatch) {
+    const gridA = scalarStore.grid;
+    const gridB = compareStore.grid;
+    const valuesB = getScalarStepFieldValues(stepB, variable);
+    const cellNodeA = getStepCellNodes(gridA, stepA);
+    const cellNodeB = gridsMatch ? getStepCellNodes(gridB, stepB) : null;
+    const resampled = new Float64Array(stepA.count).fill(NaN);
+
+    forEachSliceCell(gridA, slice, cell => {
+        const n = cellNodeA[cell];
+        if (n < 0) return;
+
+        if (gridsMatch) {
+            const m = cellNodeB[cell];
+            resampled[n] = m >= 0 ? valuesB[m] : NaN;
+        } else {
+            resampled[n] = sampleStepTrilinear(gridB, stepB, valuesB, stepA.x[n], stepA.y[n], stepA.z[n]);
+        }
+    });
+
+    return resampled;
+}
+
+function computeComparisonDifference(a, b, mode) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return NaN;
+    if (mode === 'relative') {
+        return Math.abs(b) > COMPARISON_RELATIVE_FLOOR ? (100.0 * (a - b)) / Math.abs(b) : NaN;
+    }
+    return a - b;
+}
+
+function getComparisonLabel(variable, mode) {
+    const label = getVariableLabel(variable);
+    if (mode === 'relative') return `${label.replace(/\s*\(.*\)$/, '')}: (A − B) / |B| (%)`;
+    return `Δ ${label} (A − B)`;
+}
+
+// What the main plot shows for run B at A's current time step:
+//   { mode: 'side', mesh, time }            B on its own grid, or
+//   { mode: 'difference' | 'relative', z, label, time }
+// Returns null when no comparison applies. Also updates #comparisonStatus.
+function buildComparisonView(variable, timeData, slice, meshA) {
+    const status = document.getElementById('comparisonStatus');
+    if (!compareStore || comparisonMode === 'off') return null;
+
+    if (isDerivedVectorField(variable)) {
+        status.textContent = 'Run comparison covers Plot_scalar fields only; showing run A.';
+        return null;
+    }
+    if (!isDerivedScalarField(variable) && !compareStore.fields.includes(variable)) {
+        status.textContent = `Run B has no ${getVariableLabel(variable)}; showing run A.`;
+        return null;
+    }
+
+    const timeA = timeData.time;
+    const timeB = getClosestTimeValue(timeA, compareStore.times);
+    const stepB = timeB !== null ? compareStore.steps.get(timeB) : null;
+    if (!stepB) return null;
+
+    const gridsMatch = haveSameGridAxes(scalarStore.grid, compareStore.grid);
+    // The categorical phase index has no meaningful difference.
+    const mode = variable === 'phase' ? 'side' : comparisonMode;
+    const messages = [`B at ${timeB.toFixed(5)} years (A − B time offset ${(timeA - timeB).toExponential(2)} years).`];
+
+    let view;
+    if (mode === 'side') {
+        view = {
+            mode,
+            time: timeB,
+            mesh: buildFieldGrid(compareStore.grid, stepB, getScalarStepFieldValues(stepB, variable), slice)
+        };
+        messages.push(gridsMatch ? 'Grids match.' : 'Grids differ; each run is shown on its own grid.');
+    } else {
+        const resampled = resampleComparisonStep(timeData, stepB, variable, slice, gridsMatch);
+        const meshB = buildFieldGrid(scalarStore.grid, timeData, resampled, slice);
+        let blank = 0;
+
+        const z = meshA.z.map((row, b) => row.map((a, c) => {
+            const value = computeComparisonDifference(a, meshB.z[b][c], mode);
+            if (Number.isFinite(a) && !Number.isFinite(value)) blank++;
+            return value;
+        }));
+
+        view = { mode, time: timeB, z, label: getComparisonLabel(variable, mode) };
+        messages.push(gridsMatch
+            ? 'Grids match; compared node by node.'
+            : 'Grids differ; B is interpolated (trilinear) onto A\'s nodes.');
+        if (blank > 0) messages.push(`${blank} cells have no B value and are left blank.`);
+    }
+
+    if (variable === 'phase' && comparisonMode !== 'side') {
+        messages.push('Phase is categorical, so it is shown side by side.');
+    }
+
+    status.textContent = messages.join(' ');
+    return view;
+}
+
+// Splits the main plot into A (left) and B (right) panels. The B axes
+// match the A axes, so zooming either panel zooms both.
+function addComparisonPanelLayout(layout, timeA, timeB) {
+    const fontColor = currentTheme === 'dark' ? '#ffffff' : '#333333';
+
+    layout.xaxis.domain = [0, 0.47];
+    layout.xaxis2 = { ...layout.xaxis, domain: [0.53, 1], anchor: 'y2', matches: 'x' };
+    layout.yaxis2 = { ...layout.yaxis, anchor: 'x2', matches: 'y', title: '' };
+    layout.annotations = [
+        { text: `A: ${getComparisonRunLabel(scalarStore, timeA)}`, x: 0.235, xanchor: 'center' },
+        { text: `B: ${getComparisonRunLabel(compareStore, timeB)}`, x: 0.765, xanchor: 'center' }
+    ].map(annotation => ({
+        ...annotation,
+        xref: 'paper',
+        yref: 'paper',
+        y: 1.0,
+        yanchor: 'bottom',
+        showarrow: false,
+        font: { color: fontColor, size: 13 }
+    }));
+}
+
+function getComparisonRunLabel(store, time) {
+    return `${store.fileName} (${time.toFixed(3)} yr)`;
+}
+
+async function loadComparisonFile() {
+    const file = document.getElementById('compareFileInput').files[0];
+    if (!file) {
+        alert('Please select a comparison Plot_scalar file first.');
+        return;
+    }
+    if (!scalarStore) {
+        alert('Please load run A (the main scalar file) first.');
+        return;
+    }
+
+    showLoading(true, `Parsing ${file.name}...`);
+
+    try {
+        activateComparisonStore(await loadHydroStore(file, 'scalar'));
+        showLoading(false);
+        await plotData();
+    } catch (error) {
+        showLoading(false);
+        if (error.name === 'AbortError') {
+            console.log('Comparison file loading cancelled:', file.name);
+            return;
+        }
+        console.error('Error processing comparison file:', error);
+        alert('Error processing comparison file: ' + error.message);
+    }
+}
+
+function activateComparisonStore(store) {
+    compareStore = store;
+    applyThermalConductivity();
+    if (comparisonMode === 'off') comparisonMode = 'side';
+    updateComparisonControlsFromState();
+}
+
+function clearComparison() {
+    compareStore = null;
+    updateComparisonControlsFromState();
+    plotData();
+}
+
+function setupComparisonControls() {
+    document.getElementById('comparisonModeSelect').onchange = function () {
+        comparisonMode = this.value;
+        updateComparisonControlsFromState();
+        plotData();
+    };
+    updateComparisonControlsFromState();
+}
+
+function updateComparisonControlsFromState() {
+    document.getElementById('comparisonModeSelect').value = comparisonMode;
+    document.getElementById('comparisonStatus').textContent = compareStore
+        ? `Run B: ${compareStore.fileName}, ${compareStore.times.length} time steps.`
+        : 'Load a second Plot_scalar file as run B.';
+}
+
+// ============================================================
+// Out_* files and balance
+// HYDROTHERM's printout files next to Plot_scalar. Out_balance
+// (global fluid and heat balance) is drawn as rate, cumulative
+// and balance-error curves with a marker at the slider time.
+// Field printouts (Out_temperature, ...) on the I, J, K grid of
+// Plot_scalar become extra fields for every plot and export.
+// ============================================================
+
+const BALANCE_PLOTS = [
+    { category: 'rate', container: 'balanceRateContainer', title: 'Balance rates', label: 'rate' },
+    { category: 'cumulative', container: 'balanceCumulativeContainer', title: 'Cumulative balance terms', label: 'cumulative' },
+    { category: 'error', container: 'balanceErrorContainer', title: 'Balance error', label: 'balance-error' }
+];
+
+const BALANCE_CATEGORY_LABELS = { rate: 'Rate', cumulative: 'Cumulative', error: 'Error', other: 'Other' };
+
+// Relative gap between a print time and a Plot_scalar time that still
+// counts as the same time; printouts carry about five digits.
+const PRINTOUT_TIME_TOLERANCE = 1e-4;
+
+let attachedPrintoutFields = []; // fields added to scalarStore by attachPrintoutFields()
+let printoutMatches = new Map(); // field -> scalar times matched, or null when the grids differ
+
+// Kind of an Out_* file from its first lines, or from its name when the
+// lines do not tell.
+async function detectOutFileKind(file) {
+    const lines = splitHydroLines(await file.slice(0, 256 * 1024).text());
+    if (file.size > 256 * 1024) lines.pop(); // may be cut short
+
+    const kind = detectHydroFileKind(lines.join('\n')).kind;
+    if (kind !== 'unknown') return kind;
+    return /balance/i.test(file.name) ? 'balance' : 'printout';
+}
+
+function getPrintoutFieldName(store) {
+    return 'out_' + store.fileName.replace(/^Out_?/i, '').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+function getPrintoutFieldLabel(store) {
+    return store.unit ? `${store.fileName} (${store.unit})` : store.fileName;
+}
+
+// Printout step for Plot_scalar time `time`, or null.
+function findPrintoutStep(store, time) {
+    if (store.times[0] === null) return store.steps[0];
+
+    const nearest = getClosestTimeValue(time, store.times);
+    const tolerance = PRINTOUT_TIME_TOLERANCE * Math.max(Math.abs(time), Math.abs(nearest));
+    if (nearest !== time && Math.abs(nearest - time) > tolerance) return null;
+    return store.steps[store.times.indexOf(nearest)];
+}
+
+function detachPrintoutFields() {
+    if (scalarStore) {
+        scalarStore.fields = scalarStore.fields.filter(name => !attachedPrintoutFields.includes(name));
+        for (const step of scalarStore.steps.values()) {
+            for (const name of attachedPrintoutFields) delete step[name];
+        }
+    }
+    attachedPrintoutFields = [];
+    printoutMatches = new Map();
+}
+
+// Copies each printout onto the Plot_scalar nodes at every scalar time,
+// NaN where it has no print time. Printouts on another grid are skipped.
+function attachPrintoutFields() {
+    detachPrintoutFields();
+    if (!scalarStore) return;
+
+    const grid = scalarStore.grid;
+    for (const store of printoutStores) {
+        const name = getPrintoutFieldName(store);
+        if (store.nx !== grid.nx || store.ny !== grid.ny || store.nz !== grid.nz) {
+            printoutMatches.set(name, null);
+            continue;
+        }
+
+        let matched = 0;
+        for (const time of scalarStore.times) {
+            const step = scalarStore.steps.get(time);
+            const printoutStep = findPrintoutStep(store, time);
+            const values = new Float64Array(step.count).fill(NaN);
+
+            if (printoutStep) {
+                const cellNode = getStepCellNodes(grid, step);
+                for (let c = 0; c < cellNode.length; c++) {
+                    if (cellNode[c] >= 0) values[cellNode[c]] = printoutStep.values[c];
+                }
+                matched++;
+            }
+            step[name] = values;
+        }
+
+        scalarStore.fields.push(name);
+        attachedPrintoutFields.push(name);
+        printoutMatches.set(name, matched);
+    }
+
+    setFieldOptionGroup('printouts', 'Out_* printouts', printoutStores
+        .filter(store => attachedPrintoutFields.includes(getPrintoutFieldName(store)))
+        .map(store => ({ value: getPrintoutFieldName(store), label: getPrintoutFieldLabel(store) })));
+    updateOutFilesStatus();
+}
+
+function updateOutFilesStatus() {
+    const status = document.getElementById('outFilesStatus');
+    const lines = [];
+
+    if (balanceStore) {
+        lines.push(`${balanceStore.fileName}: ${balanceStore.series.length} terms at ${balanceStore.times.length} print times.`);
+    }
+    for (const store of printoutStores) {
+        const matched = printoutMatches.get(getPrintoutFieldName(store));
+        const size = `${store.nx}×${store.ny}×${store.nz}`;
+        if (matched === null) {
+            const grid = scalarStore.grid;
+            lines.push(`${store.fileName}: ${size} grid differs from Plot_scalar (${grid.nx}×${grid.ny}×${grid.nz}); not shown.`);
+        } else if (store.times[0] === null) {
+            lines.push(`${store.fileName}: ${size} grid, no print time; shown at every time step.`);
+        } else {
+            lines.push(`${store.fileName}: ${size} grid, ${matched} of ${timePoints.length} time steps printed.`);
+        }
+    }
+
+    status.textContent = lines.length > 0
+        ? lines.join(' ')
+        : 'Load Out_balance and Out_* field printouts of the same run.';
+}
+
+async function loadOutFiles() {
+    const files = Array.from(document.getElementById('outFileInput').files);
+    if (files.length === 0) {
+        alert('Please select one or more Out_* files first.');
+        return;
+    }
+    if (!scalarStore) {
+        alert('Please load the scalar file first; Out_* files follow its time steps.');
+        return;
+    }
+
+    // Each file is loaded on its own, so one bad file does not stop the rest.
+    const problems = [];
+    for (const file of files) {
+        try {
+            const kind = await detectOutFileKind(file);
+            if (kind === 'scalar' || kind === 'vector') {
+                problems.push(`${file.name} looks like a Plot_${kind} file; load it with the file inputs above.`);
+                continue;
+            }
+
+            showLoading(true, `Parsing ${file.name}...`);
+            const store = await loadHydroStore(file, kind);
+            showLoading(false);
+
+            if (kind === 'balance') {
+                balanceStore = store;
+            } else {
+                const name = getPrintoutFieldName(store);
+                printoutStores = printoutStores.filter(other => getPrintoutFieldName(other) !== name).concat(store);
+            }
+        } catch (error) {
+            showLoading(false);
+            if (error.name === 'AbortError') {
+                console.log('Out_* file loading cancelled:', file.name);
+                break;
+            }
+            console.error('Error processing Out_* file:', error);
+            problems.push(`Error processing ${file.name}: ${error.message}`);
+        }
+    }
+
+    attachPrintoutFields();
+    plotBalance();
+    await plotData();
+    if (problems.length > 0) alert(problems.join('\n'));
+}
+
+function clearOutFiles() {
+    balanceStore = null;
+    printoutStores = [];
+    attachPrintoutFields();
+    plotBalance();
+    plotData();
+}
+
+// Balance print time closest to the slider time.
+function getBalanceTimeAtSlider() {
+    return getClosestTimeValue(timePoints[currentTimeIndex], balanceStore.times);
+}
+
+function getBalanceTimeMarker() {
+    return {
+        type: 'line',
+        xref: 'x',
+        yref: 'paper',
+        x0: timePoints[currentTimeIndex],
+        x1: timePoints[currentTimeIndex],
+        y0: 0,
+        y1: 1,
+        line: { color: currentTheme === 'dark' ? '#fed330' : '#e67e22', width: 1.5, dash: 'dot' }
+    };
+}
+
+// Rate, cumulative and balance-error plots. Terms in a second unit use
+// a right-hand axis; any further units share the left one.
+function plotBalance() {
+    const section = document.getElementById('balanceSection');
+    section.style.display = balanceStore ? 'block' : 'none';
+    if (!balanceStore) return;
+
+    for (const plot of BALANCE_PLOTS) {
+        const container = document.getElementById(plot.container);
+        const series = balanceStore.series.filter(term => term.category === plot.category);
+
+        if (series.length === 0) {
+            Plotly.purge(container);
+            container.innerHTML = `<div class="text-center text-muted"><p>No ${plot.label} terms found in ${balanceStore.fileName}</p></div>`;
+            continue;
+        }
+
+        const units = Array.from(new Set(series.map(term => term.unit)));
+        const traces = series.map(term => ({
+            x: balanceStore.times,
+            y: Array.from(term.values),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: term.unit ? `${term.key} (${term.unit})` : term.key,
+            yaxis: units.indexOf(term.unit) === 1 ? 'y2' : 'y',
+            hovertemplate: `%{y:.4g} ${term.unit}<br>%{x:.4g} years<extra>${term.key}</extra>`
+        }));
+
+        const layout = getStatisticsPlotLayout(`${plot.title} (${balanceStore.fileName})`, 'Time (years)', units[0] || '');
+        if (units.length > 1) {
+            layout.yaxis2 = { ...layout.yaxis, title: units[1], overlaying: 'y', side: 'right' };
+        }
+        layout.shapes = [getBalanceTimeMarker()];
+
+        container.innerHTML = '';
+        Plotly.newPlot(container, traces, layout, STATISTICS_PLOT_CONFIG);
+        container.on('plotly_click', onBalancePlotClick);
+    }
+
+    renderBalanceTable();
+}
+
+// Clicking a balance plot moves the time slider to the closest scalar time.
+function onBalancePlotClick(data) {
+    if (!data.points || data.points.length === 0) return;
+
+    const time = getClosestTimeValue(data.points[0].x, timePoints);
+    const timeRange = document.getElementById('timeRange');
+    timeRange.value = timePoints.indexOf(time);
+    timeRange.dispatchEvent(new Event('input'));
+}
+
+function updateBalanceTimeMarker() {
+    if (!balanceStore) return;
+
+    for (const plot of BALANCE_PLOTS) {
+        const container = document.getElementById(plot.container);
+        if (container.data) Plotly.relayout(container, { shapes: [getBalanceTimeMarker()] });
+    }
+    renderBalanceTable();
+}
+
+// Every term at the balance print time closest to the slider time.
+function renderBalanceTable() {
+    const tbody = document.getElementById('balanceTableBody');
+    const status = document.getElementById('balanceStatus');
+    const time = getBalanceTimeAtSlider();
+    const t = balanceStore.times.indexOf(time);
+
+    status.textContent = `${balanceStore.fileName} at ${time.toFixed(5)} years ` +
+        `(${formatTimeOffset(time - timePoints[currentTimeIndex])} from the slider time). ` +
+        'Click a plot to move the time slider.';
+
+    tbody.innerHTML = '';
+    for (const term of balanceStore.series) {
+        const row = document.createElement('tr');
+        const value = term.values[t];
+        [term.key, BALANCE_CATEGORY_LABELS[term.category], Number.isFinite(value) ? value.toPrecision(5) : '—', term.unit || '-']
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        tbody.appendChild(row);
+    }
+}
+
+// Every term at every print time, one column per term.
+function downloadBalanceCSV() {
+    if (!balanceStore) {
+        alert('Please load an Out_balance file first.');
+        return;
+    }
+
+    let csv = `# ${balanceStore.fileName}; time in years\n`;
+    csv += ['time', ...balanceStore.series.map(term => quoteCsvField(term.unit ? `${term.key} (${term.unit})` : term.key))].join(',') + '\n';
+    balanceStore.times.forEach((time, t) => {
+        csv += [time, ...balanceStore.series.map(term => formatCsvNumber(term.values[t]))].join(',') + '\n';
+    });
+
+    downloadTextFile(csv, 'balance.csv', 'text/csv');
+}
+
+// ============================================================
+// Input deck
+// The run's HYDROTHERM input file, resolved onto the Plot_scalar
+// grid (see "Input deck" in hydro-model.js). Rock properties
+// become extra fields, rock-zone outlines and boundary cells are
+// drawn over the heatmap, and the deck's porosity replaces the
+// single porosity of streamlines and pathlines.
+// ============================================================
+
+const DECK_POROSITY_FIELD = 'deck_porosity';
+
+const DECK_BOUNDARY_STYLES = {
+    value: { label: 'Specified value', symbol: 'square-open', color: '#45aaf2' },
+    flux: { label: 'Specified flux', symbol: 'triangle-up-open', color: '#fd9644' }
+};
+
+let deckCells = null; // resolveDeck() on the Plot_scalar grid, or null
+let deckZones = null; // zone number of every Plot_scalar cell
+let attachedDeckFields = []; // fields added to scalarStore by attachDeckFields()
+
+function getDeckFieldLabel(property) {
+    return property.unit ? `${property.label} (${property.unit})` : property.label;
+}
+
+function detachDeckFields() {
+    if (scalarStore) {
+        scalarStore.fields = scalarStore.fields.filter(name => !attachedDeckFields.includes(name));
+        for (const step of scalarStore.steps.values()) {
+            for (const name of attachedDeckFields) delete step[name];
+        }
+    }
+    attachedDeckFields = [];
+    deckCells = null;
+    deckZones = null;
+}
+
+// Resolves the deck on the Plot_scalar grid and copies each property
+// (and the rock types) onto the nodes of every time step. A deck whose
+// dimensions differ from the grid is not shown.
+function attachDeckFields() {
+    detachDeckFields();
+
+    const fields = [];
+    if (scalarStore && deckStore) {
+        const grid = scalarStore.grid;
+        const dims = getDeckDimensions(deckStore);
+        if (!dims || (dims.nx === grid.nx && dims.ny === grid.ny && dims.nz === grid.nz)) {
+            deckCells = resolveDeck(deckStore, { nx: grid.nx, ny: grid.ny, nz: grid.nz });
+            deckZones = getDeckZones(deckCells);
+
+            for (const field of attachDeckFieldsToStore(scalarStore, deckCells)) {
+                attachedDeckFields.push(field.name);
+                fields.push({ value: field.name, label: getDeckFieldLabel(field) });
+            }
+        }
+    }
+
+    setFieldOptionGroup('deck', 'Input deck', fields);
+    updateDeckStatus();
+    updateFlowControlsFromState();
+    updateConductivityControlsFromState();
+}
+
+function updateDeckStatus() {
+    const status = document.getElementById('deckStatus');
+
+    if (!deckStore) {
+        status.textContent = 'Load the run\'s input file to show rock zones and boundary cells.';
+        return;
+    }
+
+    const dims = getDeckDimensions(deckStore);
+    const size = dims ? `${dims.nx}×${dims.ny}×${dims.nz} grid` : 'no grid dimensions';
+    if (!scalarStore) {
+        status.textContent = `${deckStore.fileName}: ${size}; shown once a Plot_scalar file is loaded.`;
+        return;
+    }
+    if (!deckCells) {
+        const grid = scalarStore.grid;
+        status.textContent = `${deckStore.fileName}: ${size} differs from Plot_scalar (${grid.nx}×${grid.ny}×${grid.nz}); not shown.`;
+        return;
+    }
+
+    const parts = [dims
+        ? `${deckStore.fileName}: ${size}`
+        : `${deckStore.fileName}: no grid dimensions, read on the ${scalarStore.grid.nx}×${scalarStore.grid.ny}×${scalarStore.grid.nz} Plot_scalar grid`];
+    const widths = ['x', 'z'].map(axis => getDeckAxisWidthsKm(deckStore, axis, deckCells.dims[`n${axis}`]));
+    if (widths.every(Boolean)) {
+        const extent = widths.map(axisWidths => axisWidths.reduce((sum, width) => sum + width, 0));
+        parts[0] += ` (${+extent[0].toPrecision(4)} × ${+extent[1].toPrecision(4)} km)`;
+    }
+    if (deckCells.rockTypes) {
+        parts.push(`${new Set(Array.from(deckCells.rockTypes).filter(Number.isFinite)).size} rock types`);
+    }
+    if (deckCells.properties.length > 0) {
+        parts.push(deckCells.properties.map(property => property.label.toLowerCase()).join(', '));
+    }
+    for (const type of Object.keys(DECK_BOUNDARY_STYLES)) {
+        const count = new Set(deckCells.boundaries.filter(boundary => boundary.type === type).flatMap(boundary => boundary.cells)).size;
+        if (count > 0) parts.push(`${count} ${DECK_BOUNDARY_STYLES[type].label.toLowerCase()} cells`);
+    }
+
+    status.textContent = parts.join('; ') + '.' +
+        (deckCells.problems.length > 0 ? ' ' + deckCells.problems.join(' ') : '');
+}
+
+async function loadDeckFile() {
+    const file = document.getElementById('deckFileInput').files[0];
+    if (!file) {
+        alert('Please select the run\'s input file first.');
+        return;
+    }
+
+    showLoading(true, `Parsing ${file.name}...`);
+    try {
+        deckStore = await loadHydroStore(file, 'deck');
+        showLoading(false);
+    } catch (error) {
+        showLoading(false);
+        if (error.name === 'AbortError') {
+            console.log('Input deck loading cancelled:', file.name);
+            return;
+        }
+        console.error('Error processing input deck:', error);
+        alert(`Error processing ${file.name}: ${error.message}`);
+        return;
+    }
+
+    attachDeckFields();
+    await plotData();
+}
+
+function clearDeckFile() {
+    deckStore = null;
+    attachDeckFields();
+    plotData();
+}
+
+function hasDeckPorosity() {
+    return attachedDeckFields.includes(DECK_POROSITY_FIELD);
+}
+
+// Porosity of a Plot_scalar node for flow tracing: the deck's where it has
+// one (unless switched off), else `fallback`.
+function getFlowPorosity(scalarStep, node, fallback) {
+    if (!flowTracing.useDeckPorosity || !hasDeckPorosity()) return fallback;
+
+    const porosity = scalarStep[DECK_POROSITY_FIELD][node];
+    return porosity > 0 && porosity <= 1 ? porosity : fallback;
+}
+
+function describeFlowPorosity() {
+    return flowTracing.useDeckPorosity && hasDeckPorosity()
+        ? `from ${deckStore.fileName}, ${flowTracing.porosity} where unset`
+        : `${flowTracing.porosity}`;
+}
+
+// Lines along the cell faces between cells of different zones on the
+// slice plane, as one trace broken by nulls.
+function buildDeckZoneTrace(slice) {
+    const grid = scalarStore.grid;
+    const plane = SLICE_PLANES[slice.orientation];
+    const hFaces = getAxisFaces(getGridAxis(grid, plane.h));
+    const vFaces = getAxisFaces(getGridAxis(grid, plane.v));
+    const nh = hFaces.length - 1;
+    const zones = new Float64Array(nh * (vFaces.length - 1));
+    const x = [];
+    const y = [];
+
+    forEachSliceCell(grid, slice, (cell, a, b) => {
+        zones[b * nh + a] = deckZones[cell];
+    });
+
+    const differ = (p, q) => Number.isFinite(p) && Number.isFinite(q) && p !== q;
+    for (let b = 0; b < vFaces.length - 1; b++) {
+        for (let a = 0; a < nh; a++) {
+            const zone = zones[b * nh + a];
+            if (a + 1 < nh && differ(zone, zones[b * nh + a + 1])) {
+                x.push(hFaces[a + 1], hFaces[a + 1], null);
+                y.push(vFaces[b], vFaces[b + 1], null);
+            }
+            if (b + 2 < vFaces.length && differ(zone, zones[(b + 1) * nh + a])) {
+                x.push(hFaces[a], hFaces[a + 1], null);
+                y.push(vFaces[b + 1], vFaces[b + 1], null);
+            }
+        }
+    }
+
+    return {
+        x,
+        y,
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: currentTheme === 'dark' ? '#ffffff' : '#222222', width: 1.5 },
+        name: deckCells.rockTypes ? 'Rock-type zones' : 'Property zones',
+        hoverinfo: 'skip',
+        showlegend: true
+    };
+}
+
+// Markers on the nodes of the boundary cells on the slice plane, one trace per kind.
+function buildDeckBoundaryTraces(slice) {
+    const grid = scalarStore.grid;
+    const plane = SLICE_PLANES[slice.orientation];
+    const hAxis = getGridAxis(grid, plane.h);
+    const vAxis = getGridAxis(grid, plane.v);
+    const onSlice = new Map(); // cell -> [h, v]
+    forEachSliceCell(grid, slice, (cell, a, b) => onSlice.set(cell, [hAxis[a], vAxis[b]]));
+
+    const traces = [];
+    for (const [type, style] of Object.entries(DECK_BOUNDARY_STYLES)) {
+        const x = [];
+        const y = [];
+        const text = [];
+        for (const boundary of deckCells.boundaries.filter(item => item.type === type)) {
+            boundary.cells.forEach((cell, n) => {
+                if (!onSlice.has(cell)) return;
+
+                const values = boundary.values[n].map(value => value.toPrecision(4)).join(', ');
+                x.push(onSlice.get(cell)[0]);
+                y.push(onSlice.get(cell)[1]);
+                text.push(boundary.keyword + (values ? `: ${values}${boundary.unit ? ` (${boundary.unit})` : ''}` : ''));
+            });
+        }
+        if (x.length === 0) continue;
+
+        traces.push({
+            x,
+            y,
+            text,
+            type: 'scatter',
+            mode: 'markers',
+            marker: { symbol: style.symbol, size: 8, color: style.color, line: { width: 2, color: style.color } },
+            name: `${style.label} (${x.length})`,
+            hovertemplate: '%{text}<extra></extra>',
+            showlegend: true
+        });
+    }
+    return traces;
+}
+
+function buildDeckOverlayTraces(slice) {
+    const traces = [];
+    if (deckOverlay.showZones) traces.push(buildDeckZoneTrace(slice));
+    if (deckOverlay.showBoundaries) traces.push(...buildDeckBoundaryTraces(slice));
+    return traces;
+}
+
+function setupDeckControls() {
+    const zonesCheckbox = document.getElementById('deckZonesCheckbox');
+    const boundariesCheckbox = document.getElementById('deckBoundariesCheckbox');
+
+    updateDeckControlsFromState();
+
+    function readControls() {
+        deckOverlay = {
+            showZones: zonesCheckbox.checked,
+            showBoundaries: boundariesCheckbox.checked
+        };
+        plotData();
+    }
+
+    zonesCheckbox.onchange = readControls;
+    boundariesCheckbox.onchange = readControls;
+}
+
+function updateDeckControlsFromState() {
+    document.getElementById('deckZonesCheckbox').checked = deckOverlay.showZones;
+    document.getElementById('deckBoundariesCheckbox').checked = deckOverlay.showBoundaries;
+}
+
+// ============================================================
+// Gradient fields
+// The finite-difference fields are derived in hydro-model.js; this
+// sets the conductivity of the conductive heat flux and Péclet
+// number, taken from the input deck where it gives one.
+// ============================================================
+
+const DECK_CONDUCTIVITY_FIELD = 'deck_conductivity';
+
+function hasDeckConductivity() {
+    return attachedDeckFields.includes(DECK_CONDUCTIVITY_FIELD);
+}
+
+function setupConductivityControls() {
+    const conductivityInput = document.getElementById('conductivityInput');
+    const deckCheckbox = document.getElementById('deckConductivityCheckbox');
+
+    updateConductivityControlsFromState();
+
+    function readControls() {
+        const value = parseFloat(conductivityInput.value);
+
+        thermalConductivity = {
+            value: value > 0 ? value : 2.5,
+            useDeck: deckCheckbox.checked
+        };
+        updateConductivityControlsFromState();
+        applyThermalConductivity();
+        plotData();
+    }
+
+    conductivityInput.onchange = readControls;
+    deckCheckbox.onchange = readControls;
+}
+
+// Hands the setting to the loaded Plot_scalar stores. The deck is attached
+// to run A only, so run B of a comparison takes the value; a step without
+// the deck field falls back to it as well.
+function applyThermalConductivity() {
+    if (scalarStore) {
+        setStoreConductivity(
+            scalarStore, thermalConductivity.value, thermalConductivity.useDeck ? DECK_CONDUCTIVITY_FIELD : null
+        );
+    }
+    if (compareStore) setStoreConductivity(compareStore, thermalConductivity.value);
+}
+
+function updateConductivityControlsFromState() {
+    const useDeck = thermalConductivity.useDeck && hasDeckConductivity();
+
+    document.getElementById('conductivityInput').value = thermalConductivity.value;
+    const deckCheckbox = document.getElementById('deckConductivityCheckbox');
+    deckCheckbox.checked = thermalConductivity.useDeck;
+    deckCheckbox.disabled = !hasDeckConductivity();
+
+    document.getElementById('conductivityStatus').textContent = (useDeck
+        ? `λ from ${deckStore.fileName}, ${thermalConductivity.value} W/(m·K) where it gives none.`
+        : `λ = ${thermalConductivity.value} W/(m·K).`) +
+        ' Used by the conductive heat flux λ|∇T| and the Péclet number (heat transport proxy / conductive flux).';
+}
+
+// ============================================================
+// Plotting
+// ============================================================
+
+async function plotData() {
+    if (!scalarStore || timePoints.length === 0) return;
+
+    const variableSelect = document.getElementById('variableSelect');
+    const colormapSelect = document.getElementById('colormapSelect');
+    const selectedVariable = variableSelect.value;
+    const selectedColormap = colormapSelect.value;
+    const currentTime = timePoints[currentTimeIndex];
+    const slice = getCurrentSlice();
+    const plane = SLICE_PLANES[slice.orientation];
+    const hLabel = plane.h.toUpperCase();
+    const vLabel = plane.v.toUpperCase();
+
+    const timeData = getScalarTimeStep(currentTime);
+    if (!timeData || timeData.count === 0) return;
+
+    if (hasVectorStore()) {
+        vectorData = getVectorStepForTime(currentTime);
+    }
+    updateVectorTimeStatus();
+
+    const meshData = buildVariableMesh(selectedVariable, timeData, slice);
+    if (!meshData) {
+        alert(hasVectorStore()
+            ? 'No vector data within the time tolerance at this time step. Raise the tolerance or switch the gap action to "Warn".'
+            : 'Please load a vector file to plot vector-derived quantities.');
+        return;
+    }
+
+    // Cells outside the masking region are blanked in every panel.
+    const maskRegion = regionSettings.maskHeatmap ? getActiveRegion() : null;
+    if (maskRegion) maskMatrixToRegion(meshData.z, meshData.x, meshData.y, slice, maskRegion);
+
+    const comparisonView = buildComparisonView(selectedVariable, timeData, slice, meshData);
+    if (maskRegion && comparisonView && comparisonView.mode === 'side') {
+        maskMatrixToRegion(comparisonView.mesh.z, comparisonView.mesh.x, comparisonView.mesh.y, slice, maskRegion);
+    }
+    const isDifferenceView = comparisonView !== null && comparisonView.mode !== 'side';
+    const heatmapZ = isDifferenceView ? comparisonView.z : meshData.z;
+    const heatmapLabel = isDifferenceView ? comparisonView.label : getVariableLabel(selectedVariable);
+
+    // Side-by-side panels share one colour scale; differences are centred on zero.
+    const valueRange = getRange(comparisonView && comparisonView.mode === 'side'
+        ? meshData.z.flat().concat(comparisonView.mesh.z.flat())
+        : heatmapZ.flat());
+    if (isFinite(valueRange.min)) {
+        if (isDifferenceView) {
+            const extent = Math.max(Math.abs(valueRange.min), Math.abs(valueRange.max)) || 1;
+            currentDataRange = { min: -extent, max: extent };
+        } else {
+            currentDataRange = valueRange;
+        }
+    }
+
+    if (meshData.x.length > 0 && meshData.y.length > 0) {
+        currentXRange = getRange(meshData.xEdges);
+        currentZRange = getRange(meshData.yEdges);
+    }
+
+    const colorbarRange = customColorbarRange || currentDataRange;
+    const xAxisRange = customXRange || currentXRange;
+    const zAxisRange = customZRange || currentZRange;
+
+    const traces = [];
+
+    if (selectedVariable === 'phase') {
+        traces.push(buildPhaseMapTrace(meshData, hLabel, vLabel));
+    } else {
+        traces.push({
+            z: heatmapZ,
+            x: meshData.xEdges,
+            y: meshData.yEdges,
+            type: 'heatmap',
+            colorscale: isDifferenceView ? 'RdBu' : selectedColormap,
+            reversescale: isDifferenceView,
+            zmin: colorbarRange.min,
+            zmax: colorbarRange.max,
+            colorbar: {
+                title: heatmapLabel,
+                tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#222222' },
+                titlefont: { color: currentTheme === 'dark' ? '#ffffff' : '#222222' }
+            },
+            hoverongaps: false,
+            hovertemplate:
+                `${hLabel}: %{x:.3f} km<br>` +
+                `${vLabel}: %{y:.3f} km<br>` +
+                `${heatmapLabel}: %{z:.3f}<br>` +
+                '<extra></extra>'
+        });
+    }
+
+    // Run B in a second panel whose axes follow the first.
+    if (comparisonView && comparisonView.mode === 'side') {
+        traces[0].showscale = false;
+        const traceB = selectedVariable === 'phase'
+            ? buildPhaseMapTrace(comparisonView.mesh, hLabel, vLabel)
+            : { ...traces[0], z: comparisonView.mesh.z, x: comparisonView.mesh.xEdges, y: comparisonView.mesh.yEdges, showscale: true };
+        traceB.xaxis = 'x2';
+        traceB.yaxis = 'y2';
+        traces.push(traceB);
+    }
+
+    if (contourOverlay.enabled) {
+        traces.push(...buildContourOverlayTraces(timeData, slice));
+    }
+
+    if (phaseDiagnostics.flagOffCurve) {
+        traces.push(buildBoilingCurveFlagTrace(timeData, slice));
+    }
+
+    if (deckCells) {
+        traces.push(...buildDeckOverlayTraces(slice));
+    }
+
+    if (flowTracing.mode !== 'off') {
+        traces.push(...buildFlowOverlayTraces(slice));
+    }
+
+    traces.push(...buildSectionLineTraces(slice));
+    traces.push(...buildProfileLineTraces(slice));
+    traces.push(...buildRegionTraces(slice));
+
+    const visibleProbes = getVisibleProbes();
+    if (visibleProbes.length > 0) {
+        for (const point of visibleProbes) {
+            if (!isPointOnCurrentSlice(point)) continue;
+
+            const sampling = describeProbeSampling(point);
+            if (sampling.node) {
+                // Dotted connector to the node the values are taken from.
+                traces.push({
+                    x: [point[plane.h], sampling.node[plane.h]],
+                    y: [point[plane.v], sampling.node[plane.v]],
+                    type: 'scatter',
+                    mode: 'lines+markers',
+                    line: { color: point.color, width: 1, dash: 'dot' },
+                    marker: { size: [0, 7], color: point.color, symbol: 'diamond-open' },
+                    showlegend: false,
+                    hovertemplate: `${point.name}: ${sampling.text}<extra></extra>`
+                });
+            }
+
+            traces.push({
+                x: [point[plane.h]],
+                y: [point[plane.v]],
+                type: 'scatter',
+                mode: 'markers+text',
+                marker: {
+                    size: 12,
+                    color: point.color,
+                    line: { color: 'white', width: 2 },
+                    symbol: sampling.inRange ? 'circle' : 'x'
+                },
+                text: [point.name],
+                textposition: 'top center',
+                textfont: { color: point.color, size: 12 },
+                name: `${point.name} ${formatPointCoordinates(point)}`,
+                showlegend: false,
+                hovertemplate:
+                    `${point.name}<br>` +
+                    `${hLabel}: %{x:.3f} km<br>` +
+                    `${vLabel}: %{y:.3f} km<br>` +
+                    `${sampling.text}<extra></extra>`
+            });
+        }
+    }
+
+    if (vectorData && vectorData.count > 0) {
+        let arrowX = [];
+        let arrowY = [];
+        let headX = [];
+        let headY = [];
+
+        forEachSampledVectorNode(vectorData, slice, 1000, n => {
+            const comp = getVectorComponentsForPlot(vectorData, n, vectorType, slice.orientation);
+
+            const x0 = vectorData[plane.h][n];
+            const y0 = vectorData[plane.v][n];
+            const u = comp.u;
+            const v = comp.w;
+
+            const mag = Math.sqrt(u * u + v * v);
+            if (mag <= 0) return;
+
+            const logMag = Math.log10(mag + 1e-30);
+            const shiftedMag = logMag + 12;
+
+            const ux = u / mag;
+            const uy = v / mag;
+
+            const scale = Math.pow(10, arrowScale);
+            const length = Math.max(0.001, shiftedMag) * scale;
+
+            if (!isFinite(length) || length <= 0) return;
+
+            const x1 = x0 + ux * length;
+            const y1 = y0 + uy * length;
+
+            arrowX.push(x0, x1, null);
+            arrowY.push(y0, y1, null);
+
+            const dx = x1 - x0;
+            const dy = y1 - y0;
+            const len = Math.sqrt(dx * dx + dy * dy);
+
+            if (len > 0) {
+                const dirx = dx / len;
+                const diry = dy / len;
+                const px = -diry;
+                const py = dirx;
+                const ah = Math.min(0.5, len * 0.2);
+
+                const hx1 = x1 - dirx * ah + px * ah * 0.5;
+                const hy1 = y1 - diry * ah + py * ah * 0.5;
+                const hx2 = x1 - dirx * ah - px * ah * 0.5;
+                const hy2 = y1 - diry * ah - py * ah * 0.5;
+
+                headX.push(x1, hx1, null, x1, hx2, null);
+                headY.push(y1, hy1, null, y1, hy2, null);
+            }
+        });
+
+        traces.push({
+            x: arrowX,
+            y: arrowY,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: arrowColor, width: 2 },
+            name: `${vectorType.charAt(0).toUpperCase() + vectorType.slice(1)} Flow`,
+            hoverinfo: 'skip',
+            showlegend: true
+        });
+
+        if (headX.length > 0) {
+            traces.push({
+                x: headX,
+                y: headY,
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: arrowColor, width: 2 },
+                hoverinfo: 'skip',
+                showlegend: false
+            });
+        }
+    }
+
+    const layout = {
+        title: {
+            text: `${heatmapLabel} at Time: ${currentTime.toFixed(5)} years` +
+                (isGrid3D(scalarStore.grid) ? ` (${plane.normal.toUpperCase()} = ${slice.position.toFixed(3)} km)` : '') +
+                (hasVectorStore() ? getVectorTimeTitleSuffix(matchVectorTime(currentTime)) : ''),
+            font: { size: 18, color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
+        },
+        xaxis: {
+            title: `${hLabel} (km)`,
+            range: [xAxisRange.min, xAxisRange.max],
+            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+            zeroline: false,
+            color: currentTheme === 'dark' ? '#ffffff' : '#333333',
+            tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
+        },
+        yaxis: {
+            title: `${vLabel} (km)`,
+            range: [zAxisRange.min, zAxisRange.max],
+            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+            zeroline: false,
+            color: currentTheme === 'dark' ? '#ffffff' : '#333333',
+            tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
+        },
+        plot_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
+        paper_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
+        margin: { l: 60, r: 60, t: 80, b: 60 },
+        height: 500,
+        width: null,
+        autosize: true
+    };
+
+    if (comparisonView && comparisonView.mode === 'side') {
+        addComparisonPanelLayout(layout, timeData.time, comparisonView.time);
+    }
+
+    // Lasso and box select draw regions of interest; keep the chosen tool across redraws.
+    const plotDiv = document.getElementById('plotContainer');
+    layout.dragmode = (plotDiv.layout && plotDiv.layout.dragmode) || 'zoom';
+
+    const config = {
+        responsive: true,
+        displayModeBar: true,
+        modeBarButtonsToRemove: ['pan2d'],
+        displaylogo: false,
+        useResizeHandler: true
+    };
+
+    Plotly.newPlot('plotContainer', traces, layout, config);
+    setupPlotClickSelection();
+    setupRegionSelection();
+
+    updateRangeDisplay();
+    updateXRangeDisplay();
+    updateZRangeDisplay();
+}
+
+// Heatmap matrix of `variable` on the slice plane, or null when a
+// vector-derived field is requested without a vector file. `vectorStep`
+// defaults to the vector step matched to the current time.
+function buildVariableMesh(variable, timeData, slice, vectorStep = vectorData) {
+    if (isDerivedVectorField(variable)) {
+        if (!vectorStep || vectorStep.count === 0) return null;
+
+        const derivedValues = deriveVectorField(vectorStep, variable, timeData);
+        return buildFieldGrid(vectorStore.grid, vectorStep, derivedValues, slice);
+    }
+
+    if (isDerivedScalarField(variable)) {
+        return buildFieldGrid(scalarStore.grid, timeData, deriveScalarField(timeData, variable), slice);
+    }
+
+    return buildFieldGrid(scalarStore.grid, timeData, timeData[variable], slice);
+}
+
+// Visits roughly `maxArrows` vector nodes of the slice plane, evenly spaced.
+function forEachSampledVectorNode(step, slice, maxArrows, callback) {
+    const grid = vectorStore.grid;
+    const plane = SLICE_PLANES[slice.orientation];
+    const planeCells = getGridAxis(grid, plane.h).length * getGridAxis(grid, plane.v).length;
+    const cellNode = getStepCellNodes(grid, step);
+    const stride = Math.max(1, Math.ceil(Math.sqrt(planeCells / maxArrows)));
+
+    forEachSliceCell(grid, slice, cell => {
+        const n = cellNode[cell];
+        if (n >= 0) callback(n);
+    }, stride);
+}
+
+function setupPlotClickSelection() {
+    const plotDiv = document.getElementById('plotContainer');
+    if (!plotDiv || typeof plotDiv.on !== 'function') return;
+
+    plotDiv.on('plotly_click', function (eventData) {
+        if (!eventData || !eventData.points || eventData.points.length === 0) return;
+
+        const clicked = eventData.points[0];
+        if (!isFinite(clicked.x) || !isFinite(clicked.y)) return;
+
+        if (plotClickAction) {
+            plotClickAction.onClick(clicked.x, clicked.y);
+            return;
+        }
+
+        const plane = SLICE_PLANES[sliceOrientation];
+        const coords = {};
+        coords[plane.h] = clicked.x;
+        coords[plane.v] = clicked.y;
+        coords[plane.normal] = slicePosition;
+
+        const currentTime = timePoints[currentTimeIndex];
+        const { closestPoint } = findClosestScalarPoint(
+            getScalarTimeStep(currentTime),
+            coords.x,
+            coords.y,
+            coords.z
+        );
+
+        if (!closestPoint) return;
+
+        addProbe({ x: closestPoint.x, y: closestPoint.y, z: closestPoint.z });
+    });
+}
+
+// ============================================================
+// Labels / formatting
+// ============================================================
+
+function getVariableLabel(variable) {
+    const labels = {
+        temperature: 'Temperature (°C)',
+        pressure: 'Pressure (bar)',
+        saturation: 'Saturation',
+        phase: 'Phase Index',
+        saturation_departure: 'T − Tsat(P) (°C)',
+        water_flux_mag: 'Water mass-flux magnitude (g/s/cm²)',
+        steam_flux_mag: 'Steam mass-flux magnitude (g/s/cm²)',
+        total_flux_mag: 'Total mass-flux magnitude (g/s/cm²)',
+        heat_flux_proxy: 'Heat flux density (mW/m²)',
+        heat_flux_total: 'Total heat transport (MW)',
+        enthalpy_flux: 'Advective enthalpy flux (mW/m²)',
+        geothermal_gradient: 'Geothermal gradient −dT/dz (°C/km)',
+        temperature_gradient_mag: 'Temperature gradient |∇T| (°C/km)',
+        pressure_gradient_mag: 'Pressure gradient |∇P| (bar/km)',
+        temperature_rate: 'Temperature change dT/dt (°C/yr)',
+        pressure_rate: 'Pressure change dP/dt (bar/yr)',
+        conductive_heat_flux: 'Conductive heat flux λ|∇T| (mW/m²)',
+        peclet_number: 'Péclet number, advective / conductive heat flux'
+    };
+    return labels[variable] || extraFieldLabels.get(variable) || variable;
+}
+
+function formatValue(value, variable) {
+    if (variable === 'pressure') {
+        return `${value.toFixed(2)} bar`;
+    } else if (variable === 'temperature' || variable === 'saturation_departure') {
+        return `${value.toFixed(1)} °C`;
+    } else if (variable === 'heat_flux_proxy' || variable === 'enthalpy_flux') {
+        return `${value.toExponential(3)} mW/m²`;
+    } else if (variable === 'heat_flux_total') {
+        return `${value.toExponential(3)} MW`;
+    } else if (variable === 'geothermal_gradient' || variable === 'temperature_gradient_mag') {
+        return `${value.toFixed(1)} °C/km`;
+    } else if (variable === 'pressure_gradient_mag') {
+        return `${value.toFixed(2)} bar/km`;
+    } else if (variable === 'temperature_rate' || variable === 'pressure_rate') {
+        return `${value.toExponential(3)} ${variable === 'temperature_rate' ? '°C' : 'bar'}/yr`;
+    } else if (variable === 'conductive_heat_flux') {
+        return `${value.toFixed(1)} mW/m²`;
+    } else if (variable === 'peclet_number') {
+        return value.toExponential(3);
+    } else {
+        return value.toFixed(3);
+    }
+}
+
+function getRange(values) {
+    // A plain loop: spreading 100k+ values into Math.min overflows the stack.
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (const v of values) {
+        if (!isFinite(v)) continue;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+
+    return { min, max };
+}
+
+// ============================================================
+// Utility / theme / loading
+// ============================================================
+
+function showLoading(show, message = 'Processing data file... Please wait.') {
+    const loading = document.getElementById('loading');
+    const plotContainer = document.getElementById('plotContainer');
+
+    if (show) {
+        document.getElementById('loadingMessage').textContent = message;
+        updateLoadingProgress(0, 1);
+        loading.style.display = 'block';
+        plotContainer.style.display = 'none';
+    } else {
+        loading.style.display = 'none';
+        plotContainer.style.display = 'block';
+    }
+}
+
+function updateLoadingProgress(loaded, total) {
+    const progressBar = document.getElementById('loadingProgressBar');
+    const percent = total > 0 ? Math.round(100 * loaded / total) : 0;
+
+    progressBar.style.width = `${percent}%`;
+    progressBar.setAttribute('aria-valuenow', String(percent));
+    progressBar.textContent = `${percent}%`;
+}
+
+function readFileAsText(file) {
+    return file.text();
+}
+
+function downloadTextFile(text, filename, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+    currentTheme = theme;
+}
+
+// ============================================================
+// Probes
+// Named observation points for time series and CSV export. The
+// probe list is the state; the table in the time-series panel is
+// rebuilt from it. Only visible (ticked) probes are plotted and
+// exported.
+// ============================================================
+
+function getProbeColor(index) {
+    return PROBE_COLORS[index % PROBE_COLORS.length];
+}
+
+function createProbe(fields = {}) {
+    const id = nextProbeId++;
+    return {
+        id,
+        name: fields.name || `P${id}`,
+        x: Number.isFinite(fields.x) ? fields.x : NaN,
+        // Y only matters for 3-D runs; 2-D sections have a single Y.
+        y: Number.isFinite(fields.y) ? fields.y : NaN,
+        z: Number.isFinite(fields.z) ? fields.z : NaN,
+        color: /^#[0-9a-f]{6}$/i.test(fields.color || '') ? fields.color : getProbeColor(id - 1),
+        visible: fields.visible !== false
+    };
+}
+
+function isProbePlaced(probe) {
+    return Number.isFinite(probe.x) && Number.isFinite(probe.z);
+}
+
+// Probe coordinates as a point, with the default Y filled in for 2-D runs.
+function getProbePoint(probe) {
+    return {
+        id: probe.id,
+        name: probe.name,
+        x: probe.x,
+        y: Number.isFinite(probe.y) ? probe.y : getDefaultProbeY(),
+        z: probe.z,
+        color: probe.color
+    };
+}
+
+// Visible probes with coordinates, as points { id, name, x, y, z, color }.
+function getVisibleProbes() {
+    return probes.filter(probe => probe.visible && isProbePlaced(probe)).map(getProbePoint);
+}
+
+// Node values of `variable` at `time`, with the grid and step they belong
+// to: { grid, step, values }, or null without the data.
+function getStepFieldValues(variable, time) {
+    const scalarStep = getScalarTimeStep(time);
+    if (!scalarStep) return null;
+
+    if (isDerivedVectorField(variable)) {
+        const vectorStep = getVectorStepForTime(time);
+        if (!vectorStep) return null;
+
+        return { grid: vectorStore.grid, step: vectorStep, values: deriveVectorField(vectorStep, variable, scalarStep) };
+    }
+
+    return { grid: scalarStore.grid, step: scalarStep, values: getScalarStepFieldValues(scalarStep, variable) };
+}
+
+// Bilinear / inverse-distance value of a field from getStepFieldValues.
+function interpolateProbeValue(field, point) {
+    if (probeSampling.mode === 'idw') {
+        return sampleStepInverseDistance(
+            field.grid, field.step, field.values, point.x, point.y, point.z, probeSampling.toleranceKm
+        ).value;
+    }
+    return sampleStepTrilinear(field.grid, field.step, field.values, point.x, point.y, point.z);
+}
+
+// Where a probe takes its values from at the current time step:
+// { inRange, text, node } (node only for nearest-node sampling).
+function describeProbeSampling(point) {
+    const step = getScalarTimeStep(timePoints[currentTimeIndex]);
+    const toleranceM = Math.round(probeSampling.toleranceKm * 1000);
+    if (!step) return { inRange: false, text: '' };
+
+    if (probeSampling.mode === 'nearest') {
+        const result = findClosestScalarPoint(step, point.x, point.y, point.z);
+        if (!result.closestPoint) return { inRange: false, text: 'No node found' };
+
+        const distanceM = (result.minDistance * 1000).toFixed(1);
+        if (result.minDistance >= probeSampling.toleranceKm) {
+            return { inRange: false, text: `Out of range: nearest node ${distanceM} m away (tolerance ${toleranceM} m)` };
+        }
+        return {
+            inRange: true,
+            text: `Node ${formatPointCoordinates(result.closestPoint)}, ${distanceM} m away`,
+            node: result.closestPoint
+        };
+    }
+
+    if (probeSampling.mode === 'idw') {
+        const { count } = sampleStepInverseDistance(
+            scalarStore.grid, step, step.temperature, point.x, point.y, point.z, probeSampling.toleranceKm
+        );
+        return count > 0
+            ? { inRange: true, text: `Inverse distance over ${count} node${count === 1 ? '' : 's'} within ${toleranceM} m` }
+            : { inRange: false, text: `Out of range: no node within ${toleranceM} m` };
+    }
+
+    return Number.isFinite(sampleStepTrilinear(scalarStore.grid, step, step.temperature, point.x, point.y, point.z))
+        ? { inRange: true, text: 'Bilinear between the surrounding nodes' }
+        : { inRange: false, text: 'Out of range: outside the grid or next to a missing node' };
+}
+
+function updateProbeSamplingStatus() {
+    const rows = document.querySelectorAll('#probeTableBody tr');
+    let outOfRange = 0;
+
+    rows.forEach(row => {
+        const probe = probes.find(p => p.id === Number(row.dataset.probeId));
+        const cell = row.querySelector('.probe-sampling-status');
+        if (!probe || !cell) return;
+
+        if (!isProbePlaced(probe) || !scalarStore) {
+            cell.textContent = isProbePlaced(probe) ? '' : 'Enter X and Z';
+            cell.classList.remove('text-warning');
+            return;
+        }
+
+        const sampling = describeProbeSampling(getProbePoint(probe));
+        cell.textContent = sampling.inRange ? sampling.text : `⚠ ${sampling.text}`;
+        cell.classList.toggle('text-warning', !sampling.inRange);
+        if (!sampling.inRange && probe.visible) outOfRange++;
+    });
+
+    const toleranceM = Math.round(probeSampling.toleranceKm * 1000);
+    const usage = {
+        nearest: `Nearest node within ${toleranceM} m.`,
+        bilinear: 'Bilinear (trilinear in 3-D) between the nodes around each probe; the tolerance is not used.',
+        idw: `Inverse-distance weighting of the nodes within ${toleranceM} m.`
+    }[probeSampling.mode];
+
+    document.getElementById('probeSamplingStatus').textContent = outOfRange > 0
+        ? `${usage} ⚠ ${outOfRange} visible probe${outOfRange === 1 ? ' is' : 's are'} out of range and will give no values.`
+        : usage;
+}
+
+function setupProbeSamplingControls() {
+    const modeSelect = document.getElementById('probeSamplingMode');
+    const toleranceInput = document.getElementById('probeToleranceInput');
+
+    modeSelect.onchange = function () {
+        probeSampling.mode = this.value;
+        updateProbeSamplingStatus();
+        plotData();
+    };
+
+    toleranceInput.onchange = function () {
+        const toleranceM = parseFloat(this.value);
+        probeSampling.toleranceKm = toleranceM > 0 ? toleranceM / 1000 : 0.1;
+        this.value = Math.round(probeSampling.toleranceKm * 1000);
+        updateProbeSamplingStatus();
+        plotData();
+    };
+
+    updateProbeSamplingControlsFromState();
+}
+
+function updateProbeSamplingControlsFromState() {
+    document.getElementById('probeSamplingMode').value = probeSampling.mode;
+    document.getElementById('probeToleranceInput').value = Math.round(probeSampling.toleranceKm * 1000);
+    updateProbeSamplingStatus();
+}
+
+function getDefaultProbeY() {
+    if (!scalarStore) return 0;
+    return SLICE_PLANES[sliceOrientation].normal === 'y' ? slicePosition : scalarStore.grid.ys[0];
+}
+
+function formatPointCoordinates(point) {
+    if (scalarStore && isGrid3D(scalarStore.grid)) {
+        return `(${point.x.toFixed(3)}, ${point.y.toFixed(3)}, ${point.z.toFixed(3)})`;
+    }
+    return `(${point.x.toFixed(3)}, ${point.z.toFixed(3)})`;
+}
+
+function formatProbeCoordinate(value) {
+    return Number.isFinite(value) ? value.toFixed(3) : '';
+}
+
+function addProbe(fields = {}) {
+    probes.push(createProbe(fields));
+    renderProbeTable();
+    plotData();
+}
+
+function removeProbe(id) {
+    probes = probes.filter(probe => probe.id !== id);
+    renderProbeTable();
+    plotData();
+}
+
+function clearAllPoints() {
+    probes = [];
+    nextProbeId = 1;
+    renderProbeTable();
+    plotData();
+}
+
+function renderProbeTable() {
+    const body = document.getElementById('probeTableBody');
+    const show3D = scalarStore !== null && isGrid3D(scalarStore.grid);
+    body.innerHTML = '';
+
+    for (const probe of probes) {
+        const row = document.createElement('tr');
+        row.dataset.probeId = probe.id;
+        row.innerHTML =
+            '<td><input class="form-check-input" type="checkbox" data-field="visible"></td>' +
+            '<td><input type="text" class="form-control form-control-sm" data-field="name"></td>' +
+            '<td><input type="number" class="form-control form-control-sm" step="0.001" data-field="x"></td>' +
+            `<td class="point-y-input"${show3D ? '' : ' style="display: none;"'}>` +
+            '<input type="number" class="form-control form-control-sm" step="0.001" data-field="y"></td>' +
+            '<td><input type="number" class="form-control form-control-sm" step="0.001" data-field="z"></td>' +
+            '<td><input type="color" class="form-control form-control-sm" data-field="color"></td>' +
+            '<td class="probe-sampling-status small"></td>' +
+            '<td><button class="btn btn-outline-light btn-sm" title="Remove probe"><i class="fas fa-times"></i></button></td>';
+
+        row.querySelector('[data-field="visible"]').checked = probe.visible;
+        row.querySelector('[data-field="name"]').value = probe.name;
+        row.querySelector('[data-field="x"]').value = formatProbeCoordinate(probe.x);
+        row.querySelector('[data-field="y"]').value = formatProbeCoordinate(probe.y);
+        row.querySelector('[data-field="z"]').value = formatProbeCoordinate(probe.z);
+        row.querySelector('[data-field="color"]').value = probe.color;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            input.onchange = function () {
+                const field = this.dataset.field;
+                if (field === 'visible') {
+                    probe.visible = this.checked;
+                } else if (field === 'name') {
+                    probe.name = this.value.trim() || `P${probe.id}`;
+                    this.value = probe.name;
+                } else if (field === 'color') {
+                    probe.color = this.value;
+                } else {
+                    probe[field] = parseFloat(this.value);
+                }
+                updateProbeShowAllCheckbox();
+                updateProbeSamplingStatus();
+                plotData();
+            };
+        });
+        row.querySelector('button').onclick = () => removeProbe(probe.id);
+
+        body.appendChild(row);
+    }
 
-        nextPointSlot = slot === 4 ? 1 : slot + 1;
+    updateProbeShowAllCheckbox();
+    updateProbeSamplingStatus();
+}
+
+function updateProbeShowAllCheckbox() {
+    const checkbox = document.getElementById('probeShowAllCheckbox');
+    const visibleCount = probes.filter(probe => probe.visible).length;
+    checkbox.checked = probes.length > 0 && visibleCount === probes.length;
+    checkbox.indeterminate = visibleCount > 0 && visibleCount < probes.length;
+}
 
-        updatePlottedPointsFromInputs();
+function setupProbeControls() {
+    document.getElementById('probeShowAllCheckbox').onchange = function () {
+        probes.forEach(probe => { probe.visible = this.checked; });
+        renderProbeTable();
         plotData();
+    };
+
+    setupProbeSamplingControls();
+}
+
+function quoteCsvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadProbesCSV() {
+    if (probes.length === 0) {
+        alert('There are no probes to export.');
+        return;
+    }
+
+    let csv = 'name,x,y,z,color,visible\n';
+    for (const probe of probes) {
+        csv += [
+            quoteCsvField(probe.name),
+            formatProbeCoordinate(probe.x),
+            formatProbeCoordinate(probe.y),
+            formatProbeCoordinate(probe.z),
+            probe.color,
+            probe.visible ? 1 : 0
+        ].join(',') + '\n';
+    }
+
+    downloadTextFile(csv, 'probes.csv', 'text/csv');
+}
+
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+
+    fields.push(field.trim());
+    return fields;
+}
+
+// Probe rows from CSV text. The header names the columns (name, x, y,
+// z, color, visible; only x and z are required). Without a header the
+// columns are name,x,z or name,x,y,z.
+function parseProbesCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const first = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const hasHeader = first.includes('x') && first.includes('z');
+    const columns = hasHeader ? first : null;
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+        const fields = splitCsvLine(line);
+        const get = name => {
+            if (columns) return fields[columns.indexOf(name)];
+            const order = fields.length >= 4 ? ['name', 'x', 'y', 'z'] : ['name', 'x', 'z'];
+            return fields[order.indexOf(name)];
+        };
+        const visible = get('visible');
+
+        return {
+            name: get('name') || '',
+            x: parseFloat(get('x')),
+            y: parseFloat(get('y')),
+            z: parseFloat(get('z')),
+            color: get('color'),
+            visible: visible === undefined || !/^(0|false|no)$/i.test(visible)
+        };
+    }).filter(row => Number.isFinite(row.x) && Number.isFinite(row.z));
+}
+
+async function importProbesCSV() {
+    const file = document.getElementById('probeFileInput').files[0];
+    if (!file) {
+        alert('Please select a probe CSV file first.');
+        return;
+    }
+
+    const rows = parseProbesCSV(await readFileAsText(file));
+    if (rows.length === 0) {
+        alert('No probes with numeric x and z were found in the file.');
+        return;
+    }
+
+    rows.forEach(row => probes.push(createProbe(row)));
+    renderProbeTable();
+    plotData();
+}
+
+// Four probes spread through the grid, so a fresh run has something to plot.
+function addDefaultProbes() {
+    const firstTimeData = getScalarTimeStep(timePoints[0]);
+    if (!firstTimeData || firstTimeData.count === 0) return;
+
+    for (let i = 0; i < Math.min(4, firstTimeData.count); i++) {
+        const index = Math.floor(i * firstTimeData.count / 4);
+        probes.push(createProbe({ x: firstTimeData.x[index], y: firstTimeData.y[index], z: firstTimeData.z[index] }));
+    }
+}
+
+// ============================================================
+// Time series
+// Probe values through time for one or more fields. The plot gives
+// each extra field its own y axis; the CSV holds every field for
+// every visible probe, wide or long, after a metadata header.
+// ============================================================
+
+const TIME_SERIES_MAX_EXTRA_AXES = 3;
+const TIME_SERIES_DASHES = ['solid', 'dash', 'dot', 'dashdot'];
+
+// Nodes nearest to `point` at `time`: { scalar, vector } results of
+// findClosest*Point (vector is null unless `withVector`).
+function findProbeNodes(time, point, withVector) {
+    const scalar = findClosestScalarPoint(getScalarTimeStep(time), point.x, point.y, point.z);
+    let vector = null;
+
+    if (withVector && hasVectorStore()) {
+        const vectorStep = getVectorStepForTime(time);
+        vector = vectorStep ? findClosestVectorPoint(vectorStep, point.x, point.y, point.z) : null;
+    }
+
+    return { scalar, vector };
+}
+
+// Value of `variable` at the probe's nearest nodes, or NaN beyond the tolerance.
+function computeProbeValue(variable, nodes) {
+    const scalar = nodes.scalar;
+    if (!scalar.closestPoint || scalar.minDistance >= probeSampling.toleranceKm) return NaN;
+
+    if (!isDerivedVectorField(variable)) {
+        return getScalarFieldValue(scalar.closestPoint, variable);
+    }
+
+    const vector = nodes.vector;
+    if (!vector || !vector.closestPoint || vector.minDistance >= probeSampling.toleranceKm) return NaN;
+
+    return computeDerivedValueAtPoint(
+        variable,
+        vector.closestPoint,
+        scalar.closestPoint,
+        getNodeCellAreaM2(vectorStore.grid, vector.closestPoint.x, vector.closestPoint.z)
+    );
+}
+
+// values[v][p][t] of each variable at each probe and time, sampled as set
+// in probeSampling.
+function computeProbeTimeSeries(variables, points) {
+    const withVector = variables.some(isDerivedVectorField);
+    const values = variables.map(() => points.map(() => new Array(timePoints.length)));
+
+    timePoints.forEach((time, t) => {
+        if (probeSampling.mode === 'nearest') {
+            points.forEach((point, p) => {
+                const nodes = findProbeNodes(time, point, withVector);
+                variables.forEach((variable, v) => {
+                    values[v][p][t] = computeProbeValue(variable, nodes);
+                });
+            });
+            return;
+        }
+
+        // Interpolation needs the whole field, so build it once per time.
+        variables.forEach((variable, v) => {
+            const field = getStepFieldValues(variable, time);
+            points.forEach((point, p) => {
+                values[v][p][t] = field ? interpolateProbeValue(field, point) : NaN;
+            });
+        });
+    });
+
+    return values;
+}
+
+// Unit from the trailing "(...)" of the field label, '-' when there is none.
+function getVariableUnit(variable) {
+    const match = getVariableLabel(variable).match(/\(([^()]*)\)\s*$/);
+    return match ? match[1] : '-';
+}
+
+function getTimeSeriesFieldOptions() {
+    return Array.from(document.getElementById('timeSeriesVariable').options).map(option => option.value);
+}
+
+function getSelectedTimeSeriesVariables() {
+    const primary = document.getElementById('timeSeriesVariable').value;
+    const extra = Array.from(document.getElementById('timeSeriesExtraVariables').selectedOptions)
+        .map(option => option.value)
+        .filter(variable => variable !== primary);
+
+    return [primary, ...extra.slice(0, TIME_SERIES_MAX_EXTRA_AXES)];
+}
+
+// Checks shared by plotting and export; returns the visible probes or null.
+function getTimeSeriesProbes(variables) {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return null;
+    }
+
+    const points = getVisibleProbes();
+    if (points.length === 0) {
+        alert('Please add or show at least one probe with valid coordinates.');
+        return null;
+    }
+
+    if (variables.some(isDerivedVectorField) && !hasVectorStore()) {
+        alert('Please load a vector file first for vector-derived time series.');
+        return null;
+    }
+
+    return points;
+}
+
+function plotTimeSeries() {
+    const variables = getSelectedTimeSeriesVariables();
+    const points = getTimeSeriesProbes(variables);
+    if (!points) return;
+
+    const values = computeProbeTimeSeries(variables, points);
+    const textColor = currentTheme === 'dark' ? '#ffffff' : '#333333';
+    const allTraces = [];
+
+    variables.forEach((variable, v) => {
+        points.forEach((point, p) => {
+            const series = timePoints
+                .map((time, t) => ({ time, value: values[v][p][t] }))
+                .filter(d => isFinite(d.value));
+            if (series.length === 0) return;
+
+            allTraces.push({
+                x: series.map(d => d.time),
+                y: series.map(d => d.value),
+                yaxis: v === 0 ? 'y' : `y${v + 1}`,
+                type: 'scatter',
+                mode: 'lines+markers',
+                line: {
+                    color: point.color,
+                    width: v === 0 ? 3 : 2,
+                    dash: TIME_SERIES_DASHES[v]
+                },
+                marker: {
+                    size: 6,
+                    color: point.color
+                },
+                name: variables.length > 1
+                    ? `${point.name} – ${getVariableLabel(variable)}`
+                    : `${point.name} ${formatPointCoordinates(point)}`
+            });
+        });
+    });
+
+    if (allTraces.length === 0) {
+        alert('No data found near the specified coordinates. Try different coordinates.');
+        return;
+    }
+
+    // Extra axes sit on the right, each further out than the last.
+    const rightAxes = variables.length - 1;
+    const plotRight = rightAxes > 1 ? 1 - 0.08 * (rightAxes - 1) : 1;
+
+    const layout = {
+        title: {
+            text: variables.length > 1
+                ? 'Time Series at Probes'
+                : `${getVariableLabel(variables[0])} Time Series at Probes`,
+            font: { size: 16, color: textColor }
+        },
+        xaxis: {
+            title: 'Time (years)',
+            domain: [0, plotRight],
+            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+            zeroline: false,
+            color: textColor,
+            tickfont: { color: textColor }
+        },
+        yaxis: {
+            title: getVariableLabel(variables[0]),
+            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+            zeroline: false,
+            color: textColor,
+            tickfont: { color: textColor }
+        },
+        plot_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
+        paper_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
+        margin: { l: 60, r: 60 + 20 * rightAxes, t: 80, b: 60 },
+        height: 400,
+        width: null,
+        autosize: true,
+        showlegend: true,
+        legend: {
+            x: 0.02,
+            y: 0.98,
+            bgcolor: currentTheme === 'dark' ? 'rgba(30,30,30,0.8)' : 'rgba(255,255,255,0.8)',
+            bordercolor: currentTheme === 'dark' ? '#444' : 'lightgray',
+            font: { color: textColor }
+        }
+    };
+
+    variables.slice(1).forEach((variable, index) => {
+        const axis = {
+            title: getVariableLabel(variable),
+            overlaying: 'y',
+            side: 'right',
+            showgrid: false,
+            zeroline: false,
+            color: textColor,
+            tickfont: { color: textColor }
+        };
+        if (index > 0) {
+            axis.anchor = 'free';
+            axis.position = plotRight + 0.08 * index;
+        }
+        layout[`yaxis${index + 2}`] = axis;
     });
+
+    const config = {
+        responsive: true,
+        displayModeBar: true,
+        modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d'],
+        displaylogo: false,
+        useResizeHandler: true
+    };
+
+    Plotly.newPlot('timeSeriesContainer', allTraces, layout, config);
+    plotData();
+}
+
+function showTimeSeriesSection() {
+    const timeSeriesSection = document.getElementById('timeSeriesSection');
+    timeSeriesSection.style.display = 'block';
+
+    // Extra fields offer the same choices as the main field.
+    const extraSelect = document.getElementById('timeSeriesExtraVariables');
+    if (extraSelect.options.length === 0) {
+        extraSelect.innerHTML = document.getElementById('timeSeriesVariable').innerHTML;
+    }
+
+    if (probes.length === 0 && timePoints.length > 0) addDefaultProbes();
+    renderProbeTable();
+}
+
+function formatNodeForMetadata(result) {
+    if (!result || !result.closestPoint) return 'none';
+    const node = result.closestPoint;
+    return `(${node.x}, ${node.y}, ${node.z}) km, distance ${(result.minDistance * 1000).toFixed(1)} m`;
+}
+
+function buildTimeSeriesMetadata(variables, points) {
+    const lines = [
+        'HYDROTHERM Postprocessor time-series export',
+        `exported: ${new Date().toISOString()}`,
+        `scalar file: ${scalarStore.fileName} (${scalarStore.fileSize} bytes)`,
+        `vector file: ${vectorStore ? `${vectorStore.fileName} (${vectorStore.fileSize} bytes)` : 'none'}`,
+        'time: years; coordinates: km',
+        ...variables.map(variable => `unit ${variable}: ${getVariableUnit(variable)}`),
+        `sampling: ${probeSampling.mode}, tolerance ${Math.round(probeSampling.toleranceKm * 1000)} m`
+    ];
+    if (vectorStore) {
+        const tolerance = vectorTimeMatching.toleranceYears;
+        lines.push(`vector time matching: ${vectorTimeMatching.mode}, ` +
+            (tolerance === null ? 'no tolerance' : `tolerance ${tolerance} yr (${vectorTimeMatching.gapAction})`));
+    }
+
+    const withVector = variables.some(isDerivedVectorField);
+    for (const point of points) {
+        const nodes = findProbeNodes(timePoints[0], point, withVector);
+        let line = `probe ${point.name}: requested (${point.x}, ${point.y}, ${point.z}) km; ` +
+            `nearest scalar node ${formatNodeForMetadata(nodes.scalar)}`;
+        if (withVector) line += `; nearest vector node ${formatNodeForMetadata(nodes.vector)}`;
+        if (!describeProbeSampling(point).inRange) line += '; OUT OF RANGE';
+        lines.push(line);
+    }
+
+    return lines.map(line => `# ${line}\n`).join('');
+}
+
+function formatCsvNumber(value) {
+    return Number.isFinite(value) ? value : '';
+}
+
+// Every field for every visible probe. Wide: one row per time, one column
+// per probe and field. Long: one row per time, probe and field.
+function downloadTimeSeriesCSV() {
+    const variables = getTimeSeriesFieldOptions()
+        .filter(variable => !isDerivedVectorField(variable) || hasVectorStore());
+    const points = getTimeSeriesProbes(variables);
+    if (!points) return;
+
+    const format = document.getElementById('timeSeriesCsvFormat').value;
+    const values = computeProbeTimeSeries(variables, points);
+    let csv = buildTimeSeriesMetadata(variables, points);
+
+    if (format === 'long') {
+        csv += 'time,probe,variable,value,unit\n';
+        timePoints.forEach((time, t) => {
+            points.forEach((point, p) => {
+                variables.forEach((variable, v) => {
+                    csv += `${time},${quoteCsvField(point.name)},${variable},` +
+                        `${formatCsvNumber(values[v][p][t])},${quoteCsvField(getVariableUnit(variable))}\n`;
+                });
+            });
+        });
+    } else {
+        csv += 'time';
+        for (const point of points) {
+            for (const variable of variables) {
+                csv += `,${quoteCsvField(`${point.name}:${variable}`)}`;
+            }
+        }
+        csv += '\n';
+
+        timePoints.forEach((time, t) => {
+            csv += `${time}`;
+            for (let p = 0; p < points.length; p++) {
+                for (let v = 0; v < variables.length; v++) {
+                    csv += `,${formatCsvNumber(values[v][p][t])}`;
+                }
+            }
+            csv += '\n';
+        });
+    }
+
+    downloadTextFile(csv, `time_series_${format}.csv`, 'text/csv');
 }
 
 // ============================================================
-// Labels / formatting
+// Animation export
+// Frames are rendered from the main plot with Plotly.toImage and
+// encoded in the browser: animated GIF through gif.js (workers in
+// gif.worker.js), WebM / MP4 by replaying the frames on a canvas into
+// a MediaRecorder, or a ZIP of the PNG frames.
 // ============================================================
 
-function getVariableLabel(variable) {
-    const labels = {
-        temperature: 'Temperature (°C)',
-        pressure: 'Pressure (bar)',
-        saturation: 'Saturation',
-        phase: 'Phase Index',
-        water_flux_mag: 'Water mass-flux magnitude (g/s/cm²)',
-        steam_flux_mag: 'Steam mass-flux magnitude (g/s/cm²)',
-        total_flux_mag: 'Total mass-flux magnitude (g/s/cm²)',
-        heat_flux_proxy: 'Heat flux density (mW/m²)',
-        heat_flux_total: 'Total heat transport (MW)'
+const ANIMATION_VIDEO_TYPES = {
+    webm: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+    mp4: ['video/mp4;codecs=avc1', 'video/mp4']
+};
+
+// { cancelled, abort } while an export runs, so Cancel can stop it.
+let activeAnimationExport = null;
+
+function getSupportedVideoType(format) {
+    if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return null;
+    return ANIMATION_VIDEO_TYPES[format].find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Time-step indices within [startYears, endYears] (either may be NaN for
+// the first / last step), every `frameStep`-th one.
+function getAnimationFrameIndices(startYears, endYears, frameStep) {
+    const start = Number.isFinite(startYears) ? startYears : -Infinity;
+    const end = Number.isFinite(endYears) ? endYears : Infinity;
+    const inRange = [];
+
+    timePoints.forEach((time, index) => {
+        if (time >= start && time <= end) inRange.push(index);
+    });
+
+    return inRange.filter((index, n) => n % frameStep === 0);
+}
+
+function setAnimationProgress(fraction, message) {
+    const bar = document.getElementById('animationProgressBar');
+    const percent = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+    bar.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', percent);
+    bar.textContent = `${percent}%`;
+    if (message) document.getElementById('animationStatus').textContent = message;
+}
+
+function loadImageFromBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not decode an animation frame.'));
+        };
+        image.src = url;
+    });
+}
+
+// Renders each time step on the main plot and returns the PNG blobs, or
+// null when cancelled. Progress runs from 0 to `progressShare`.
+async function renderAnimationFrames(indices, width, height, exportState, progressShare) {
+    const plotDiv = document.getElementById('plotContainer');
+    const frames = [];
+
+    for (let n = 0; n < indices.length; n++) {
+        if (exportState.cancelled) return null;
+
+        currentTimeIndex = indices[n];
+        updateTimeDisplay();
+        await plotData();
+
+        const pngDataUrl = await Plotly.toImage(plotDiv, { format: 'png', width, height });
+        const response = await fetch(pngDataUrl);
+        frames.push(await response.blob());
+
+        setAnimationProgress(
+            progressShare * (n + 1) / indices.length,
+            `Rendered frame ${n + 1} of ${indices.length} (${timePoints[indices[n]].toFixed(5)} years)`
+        );
+    }
+
+    return frames;
+}
+
+async function encodeGifFrames(frames, options, exportState) {
+    const gif = new GIF({
+        workers: 2,
+        quality: 10,
+        width: options.width,
+        height: options.height,
+        workerScript: 'gif.worker.js',
+        repeat: options.loop ? 0 : -1,
+        dither: options.dither || false
+    });
+
+    for (const frame of frames) {
+        if (exportState.cancelled) return null;
+        gif.addFrame(await loadImageFromBlob(frame), { delay: Math.round(1000 / options.fps) });
+    }
+
+    return new Promise(resolve => {
+        exportState.abort = () => gif.abort();
+        gif.on('progress', p => setAnimationProgress(0.5 + 0.5 * p, 'Encoding GIF...'));
+        gif.on('finished', blob => resolve(blob));
+        gif.on('abort', () => resolve(null));
+        gif.render();
+    });
+}
+
+// MediaRecorder records in real time, so the frames are drawn on a
+// canvas at the chosen frame rate while it records.
+async function encodeVideoFrames(frames, options, mimeType, exportState) {
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+    const context = canvas.getContext('2d');
+
+    const stream = canvas.captureStream(options.fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+    recorder.ondataavailable = e => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    const frameMs = 1000 / options.fps;
+    recorder.start();
+    const startMs = performance.now();
+
+    for (let n = 0; n < frames.length && !exportState.cancelled; n++) {
+        const image = await loadImageFromBlob(frames[n]);
+        context.drawImage(image, 0, 0, options.width, options.height);
+        setAnimationProgress(0.5 + 0.5 * (n + 1) / frames.length, `Recording frame ${n + 1} of ${frames.length}...`);
+
+        const waitMs = startMs + (n + 1) * frameMs - performance.now();
+        if (waitMs > 0) await new Promise(r => setTimeout(r, waitMs));
+    }
+
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+
+    if (exportState.cancelled) return null;
+    return new Blob(chunks, { type: mimeType.split(';')[0] });
+}
+
+async function zipPngFrames(frames, indices, folderName) {
+    const zip = new JSZip();
+    frames.forEach((frame, n) => {
+        zip.file(`${folderName}/frame_${String(indices[n]).padStart(3, '0')}.png`, frame);
+    });
+
+    return zip.generateAsync({ type: 'blob' }, metadata => {
+        setAnimationProgress(0.5 + 0.5 * metadata.percent / 100, 'Zipping frames...');
+    });
+}
+
+async function exportAnimation() {
+    if (!scalarStore || timePoints.length === 0) {
+        alert('Please load a data file first.');
+        return;
+    }
+    if (activeAnimationExport) return;
+
+    const format = document.getElementById('animationFormatSelect').value;
+    const fps = Math.min(60, Math.max(1, parseFloat(document.getElementById('animationFpsInput').value) || 10));
+    const frameStep = Math.max(1, parseInt(document.getElementById('gifFrameStep').value, 10) || 1);
+    const resString = document.getElementById('gifResolution').value || '900x600';
+    const [width, height] = resString.split('x').map(Number);
+    const options = {
+        width,
+        height,
+        fps,
+        loop: document.getElementById('animationLoopCheckbox').checked,
+        dither: document.getElementById('animationDitherSelect').value
     };
-    return labels[variable] || variable;
-}
 
-function formatValue(value, variable) {
-    if (variable === 'pressure') {
-        return `${value.toFixed(2)} bar`;
-    } else if (variable === 'temperature') {
-        return `${value.toFixed(1)} °C`;
-    } else if (variable === 'heat_flux_proxy') {
-        return `${value.toExponential(3)} mW/m²`;
-    } else if (variable === 'heat_flux_total') {
-        return `${value.toExponential(3)} MW`;
-    } else {
-        return value.toFixed(3);
+    const indices = getAnimationFrameIndices(
+        parseFloat(document.getElementById('animationStartInput').value),
+        parseFloat(document.getElementById('animationEndInput').value),
+        frameStep
+    );
+    if (indices.length === 0) {
+        alert('No time steps fall within the chosen time range.');
+        return;
     }
-}
 
-function getRange(values) {
-    const validValues = values.filter(v => !isNaN(v) && isFinite(v));
-    return {
-        min: Math.min(...validValues),
-        max: Math.max(...validValues)
-    };
-}
+    let mimeType = null;
+    if (format === 'webm' || format === 'mp4') {
+        mimeType = getSupportedVideoType(format);
+        if (!mimeType) {
+            alert(`This browser cannot record ${format.toUpperCase()} video. Try another format or browser.`);
+            return;
+        }
+    }
 
-// ============================================================
-// Utility / theme / loading
-// ============================================================
+    const exportState = { cancelled: false, abort: null };
+    activeAnimationExport = exportState;
+    document.getElementById('exportAnimationBtn').disabled = true;
+    document.getElementById('cancelAnimationBtn').disabled = false;
 
-function showLoading(show) {
-    const loading = document.getElementById('loading');
-    const plotContainer = document.getElementById('plotContainer');
+    const savedTimeIndex = currentTimeIndex;
+    const baseName = `${scalarStore.fileName.replace(/[^\w.-]+/g, '_')}_animation`;
+    let blob = null;
 
-    if (show) {
-        loading.style.display = 'block';
-        plotContainer.style.display = 'none';
-    } else {
-        loading.style.display = 'none';
-        plotContainer.style.display = 'block';
+    try {
+        setAnimationProgress(0, 'Rendering frames...');
+        const frames = await renderAnimationFrames(indices, width, height, exportState, 0.5);
+
+        if (frames) {
+            if (format === 'gif') {
+                blob = await encodeGifFrames(frames, options, exportState);
+            } else if (format === 'png') {
+                blob = await zipPngFrames(frames, indices, baseName);
+            } else {
+                blob = await encodeVideoFrames(frames, options, mimeType, exportState);
+            }
+        }
+
+        if (blob && !exportState.cancelled) {
+            const extension = format === 'png' ? 'zip' : format;
+            saveAs(blob, `${baseName}.${extension}`);
+            setAnimationProgress(1, `Saved ${baseName}.${extension} (${indices.length} frames at ${fps} fps).`);
+        } else {
+            setAnimationProgress(0, 'Animation export cancelled.');
+        }
+    } catch (error) {
+        setAnimationProgress(0, 'Animation export failed.');
+        alert(`Animation export failed: ${error.message}`);
+    } finally {
+        activeAnimationExport = null;
+        document.getElementById('exportAnimationBtn').disabled = false;
+        document.getElementById('cancelAnimationBtn').disabled = true;
+
+        currentTimeIndex = savedTimeIndex;
+        document.getElementById('timeRange').value = currentTimeIndex;
+        updateTimeDisplay();
+        await plotData();
     }
 }
 
-function readFileAsText(file) {
-    return file.text();
+function cancelAnimationExport() {
+    if (!activeAnimationExport) return;
+    activeAnimationExport.cancelled = true;
+    if (activeAnimationExport.abort) activeAnimationExport.abort();
 }
 
-function applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    currentTheme = theme;
+function setupAnimationControls() {
+    // Placeholders show the full range used when From / To are left blank.
+    document.getElementById('animationStartInput').placeholder = timePoints[0].toFixed(3);
+    document.getElementById('animationEndInput').placeholder = timePoints[timePoints.length - 1].toFixed(3);
+
+    document.getElementById('animationExportSection').style.display = 'block';
 }
 
 // ============================================================
-// Time series
+// Session save / restore
+// A session is a versioned JSON file holding references to the
+// loaded files plus all view state. The parsed data can also be
+// cached in IndexedDB, keyed by file name, size and modification
+// time, so a session reloads without re-selecting the files.
 // ============================================================
 
-function getPointsFromInputs() {
-    const points = [];
+const SESSION_FORMAT = 'hydrotherm-postprocessor-session';
+const SESSION_VERSION = 1;
+const SESSION_DB_NAME = 'hydrotherm-postprocessor';
+const SESSION_DB_STORE = 'datasets';
 
-    for (let i = 1; i <= 4; i++) {
-        const xCoord = parseFloat(document.getElementById(`xCoord${i}`).value);
-        const zCoord = parseFloat(document.getElementById(`zCoord${i}`).value);
+function getStoreCacheKey(store) {
+    return `${store.kind}|${store.fileName}|${store.fileSize}|${store.lastModified}`;
+}
 
-        if (!isNaN(xCoord) && !isNaN(zCoord)) {
-            points.push({
-                id: i,
-                x: xCoord,
-                z: zCoord,
-                color: POINT_COLORS[i - 1]
-            });
-        }
-    }
+function describeStoreForSession(store, cached) {
+    if (!store) return null;
 
-    return points;
+    return {
+        name: store.fileName,
+        size: store.fileSize,
+        lastModified: store.lastModified,
+        cacheKey: cached ? getStoreCacheKey(store) : null
+    };
 }
 
-function updatePlottedPointsFromInputs() {
-    plottedPoints = getPointsFromInputs();
+function collectSessionState(cached) {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        files: {
+            scalar: describeStoreForSession(scalarStore, cached),
+            vector: describeStoreForSession(vectorStore, cached),
+            compare: describeStoreForSession(compareStore, cached),
+            balance: describeStoreForSession(balanceStore, cached),
+            printouts: printoutStores.map(store => describeStoreForSession(store, cached)),
+            deck: describeStoreForSession(deckStore, cached)
+        },
+        view: {
+            variable: document.getElementById('variableSelect').value,
+            colormap: document.getElementById('colormapSelect').value,
+            theme: currentTheme,
+            time: timePoints[currentTimeIndex],
+            slice: getCurrentSlice(),
+            customColorbarRange,
+            customXRange,
+            customZRange,
+            vectorType,
+            arrowScale,
+            arrowColor,
+            vectorTimeMatching,
+            probeSampling,
+            probes: probes.map(({ name, x, y, z, color, visible }) => ({ name, x, y, z, color, visible })),
+            contourOverlay,
+            phaseDiagnostics,
+            flowTracing,
+            deckOverlay,
+            thermalConductivity,
+            sectionLine,
+            profileLine,
+            statisticsSettings,
+            regions,
+            regionSettings,
+            comparisonMode,
+            expressionFields: listExpressionFields().map(({ name, expression, unit }) => ({ name, expression, unit })),
+            timeSeriesVariable: document.getElementById('timeSeriesVariable').value,
+            timeSeriesExtraVariables: Array.from(document.getElementById('timeSeriesExtraVariables').selectedOptions)
+                .map(option => option.value)
+        }
+    };
 }
 
-function plotTimeSeries() {
-    if (!fileText || timePoints.length === 0) {
+async function saveSession() {
+    if (!scalarStore) {
         alert('Please load a data file first.');
         return;
     }
 
-    const selectedVariable = document.getElementById('timeSeriesVariable').value;
-    const points = getPointsFromInputs();
+    const cacheData = document.getElementById('sessionCacheCheckbox').checked;
 
-    if (points.length === 0) {
-        alert('Please enter valid coordinates for at least one point.');
-        return;
+    try {
+        if (cacheData) {
+            await cacheStoreInDatabase(scalarStore);
+            if (vectorStore) await cacheStoreInDatabase(vectorStore);
+            if (compareStore) await cacheStoreInDatabase(compareStore);
+            if (balanceStore) await cacheStoreInDatabase(balanceStore);
+            for (const store of printoutStores) await cacheStoreInDatabase(store);
+            if (deckStore) await cacheStoreInDatabase(deckStore);
+        }
+
+        const session = collectSessionState(cacheData);
+        const baseName = scalarStore.fileName.replace(/[^\w.-]+/g, '_');
+        downloadTextFile(JSON.stringify(session, null, 2), `${baseName}_session.json`, 'application/json');
+    } catch (error) {
+        console.error('Error saving session:', error);
+        alert('Error saving session: ' + error.message);
     }
+}
 
-    if (isDerivedVectorField(selectedVariable) && (!vectorFileText || vectorTimePoints.length === 0)) {
-        alert('Please load a vector file first for vector-derived time series.');
-        return;
+function validateSession(session) {
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error('Not a HYDROTHERM Postprocessor session file.');
     }
 
-    plottedPoints = points;
+    if (!Number.isInteger(session.version) || session.version > SESSION_VERSION) {
+        throw new Error(
+            `Session version ${session.version} is newer than this viewer supports (${SESSION_VERSION}).`
+        );
+    }
 
-    const allTraces = [];
+    if (!session.files || !session.files.scalar) {
+        throw new Error('Session does not reference a Plot_scalar file.');
+    }
+}
 
-    for (const point of points) {
-        const timeSeriesData = [];
-        const cellAreaM2 = vectorFileText ? computeTypicalCellAreaM2FromVectorRows(vectorData || []) : 1.0;
+// Finds the data for a session file reference: first in the IndexedDB
+// cache, then in the matching file input if the user selected that file
+// (among the files selected there, for the Out_* input).
+async function restoreSessionStore(ref, inputId, kind) {
+    if (ref.cacheKey) {
+        const cached = await loadStoreFromDatabase(ref.cacheKey);
+        if (cached) return cached;
+        console.warn('Cached data not found for session file:', ref.name);
+    }
 
-        for (const time of timePoints) {
-            const scalarTimeData = parseTimeStepData(fileText, time);
-            const scalarResult = findClosestScalarPoint(scalarTimeData, point.x, point.z);
+    const file = Array.from(document.getElementById(inputId).files).find(selected => selected.name === ref.name);
+    if (file) {
+        if (file.size !== ref.size) {
+            console.warn('Selected file size differs from the session reference:', file.name);
+        }
+        return loadHydroStore(file, kind);
+    }
 
-            if (!scalarResult.closestPoint || scalarResult.minDistance >= 0.1) continue;
+    return null;
+}
 
-            let value = NaN;
+async function loadSession() {
+    const sessionFile = document.getElementById('sessionFileInput').files[0];
+    if (!sessionFile) {
+        alert('Please select a session file first.');
+        return;
+    }
 
-            if (isDerivedVectorField(selectedVariable)) {
-                const bestVectorTime = getClosestTimeValue(time, vectorTimePoints);
-                if (bestVectorTime === null) continue;
+    showLoading(true, `Restoring session ${sessionFile.name}...`);
 
-                const vectorTimeData = parseVectorTimeStepData(vectorFileText, bestVectorTime);
-                const vectorResult = findClosestVectorPoint(vectorTimeData, point.x, point.z);
-                if (!vectorResult.closestPoint || vectorResult.minDistance >= 0.1) continue;
+    try {
+        const session = JSON.parse(await readFileAsText(sessionFile));
+        validateSession(session);
+
+        const scalar = await restoreSessionStore(session.files.scalar, 'fileInput', 'scalar');
+        if (!scalar) {
+            throw new Error(
+                `Select the scalar file "${session.files.scalar.name}" ` +
+                'in "Select Scalar File", then load the session again.'
+            );
+        }
 
-                const localCellAreaM2 = computeTypicalCellAreaM2FromVectorRows(vectorTimeData) || cellAreaM2;
+        let vector = null;
+        if (session.files.vector) {
+            vector = await restoreSessionStore(session.files.vector, 'vectorFileInput', 'vector');
+            if (!vector) {
+                alert(
+                    `Vector file "${session.files.vector.name}" is not cached or selected; ` +
+                    'the session is restored without vectors.'
+                );
+            }
+        }
 
-                value = computeDerivedValueAtPoint(
-                    selectedVariable,
-                    vectorResult.closestPoint,
-                    scalarResult.closestPoint,
-                    localCellAreaM2
+        let compare = null;
+        if (session.files.compare) {
+            compare = await restoreSessionStore(session.files.compare, 'compareFileInput', 'scalar');
+            if (!compare) {
+                alert(
+                    `Comparison file "${session.files.compare.name}" is not cached or selected; ` +
+                    'the session is restored without run B.'
                 );
+            }
+        }
+
+        // Out_* files and the deck are set before the scalar store, which
+        // attaches their fields.
+        const missingOutFiles = [];
+        let balance = null;
+        if (session.files.balance) {
+            balance = await restoreSessionStore(session.files.balance, 'outFileInput', 'balance');
+            if (!balance) missingOutFiles.push(session.files.balance.name);
+        }
+
+        const printouts = [];
+        for (const ref of session.files.printouts || []) {
+            const store = await restoreSessionStore(ref, 'outFileInput', 'printout');
+            if (store) {
+                printouts.push(store);
             } else {
-                value = scalarResult.closestPoint[selectedVariable];
+                missingOutFiles.push(ref.name);
             }
+        }
+        if (missingOutFiles.length > 0) {
+            alert(
+                `Out_* files ${missingOutFiles.map(name => `"${name}"`).join(', ')} are not cached or selected; ` +
+                'the session is restored without them.'
+            );
+        }
 
-            if (isFinite(value)) {
-                timeSeriesData.push({
-                    time: time,
-                    value: value
-                });
+        let deck = null;
+        if (session.files.deck) {
+            deck = await restoreSessionStore(session.files.deck, 'deckFileInput', 'deck');
+            if (!deck) {
+                alert(
+                    `Input deck "${session.files.deck.name}" is not cached or selected; ` +
+                    'the session is restored without it.'
+                );
             }
         }
 
-        if (timeSeriesData.length > 0) {
-            allTraces.push({
-                x: timeSeriesData.map(d => d.time),
-                y: timeSeriesData.map(d => d.value),
-                type: 'scatter',
-                mode: 'lines+markers',
-                line: {
-                    color: point.color,
-                    width: 3
-                },
-                marker: {
-                    size: 6,
-                    color: point.color
-                },
-                name: `Point ${point.id} (${point.x.toFixed(3)}, ${point.z.toFixed(3)})`
-            });
+        balanceStore = balance;
+        printoutStores = printouts;
+        deckStore = deck;
+
+        activateScalarStore(scalar);
+        showTimeSeriesSection();
+        compareStore = compare;
+        applyThermalConductivity();
+        plotBalance();
+
+        vectorData = null;
+        vectorStore = null;
+        vectorTimePoints = [];
+        if (vector) activateVectorStore(vector);
+
+        applySessionView(session.view || {});
+        await plotData();
+        syncRangeSlidersToCustomRanges();
+        showLoading(false);
+    } catch (error) {
+        showLoading(false);
+        if (error.name === 'AbortError') {
+            console.log('Session restore cancelled:', sessionFile.name);
+            return;
         }
+        console.error('Error loading session:', error);
+        alert('Error loading session: ' + error.message);
     }
+}
 
-    if (allTraces.length === 0) {
-        alert('No data found near the specified coordinates. Try different coordinates.');
-        return;
+function setSelectValueIfPresent(select, value) {
+    if (value !== undefined && value !== null && select.querySelector(`option[value="${value}"]`)) {
+        select.value = value;
     }
+}
 
-    const layout = {
-        title: {
-            text: `${getVariableLabel(selectedVariable)} Time Series at Multiple Points`,
-            font: { size: 16, color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
-        },
-        xaxis: {
-            title: 'Time (years)',
-            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
-            zeroline: false,
-            color: currentTheme === 'dark' ? '#ffffff' : '#333333',
-            tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
-        },
-        yaxis: {
-            title: getVariableLabel(selectedVariable),
-            gridcolor: currentTheme === 'dark' ? '#444' : 'lightgray',
-            zeroline: false,
-            color: currentTheme === 'dark' ? '#ffffff' : '#333333',
-            tickfont: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
-        },
-        plot_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
-        paper_bgcolor: currentTheme === 'dark' ? '#1a1a1a' : 'white',
-        margin: { l: 60, r: 60, t: 80, b: 60 },
-        height: 400,
-        width: null,
-        autosize: true,
-        showlegend: true,
-        legend: {
-            x: 0.02,
-            y: 0.98,
-            bgcolor: currentTheme === 'dark' ? 'rgba(30,30,30,0.8)' : 'rgba(255,255,255,0.8)',
-            bordercolor: currentTheme === 'dark' ? '#444' : 'lightgray',
-            font: { color: currentTheme === 'dark' ? '#ffffff' : '#333333' }
+function applySessionView(view) {
+    const themeSelect = document.getElementById('themeSelect');
+    const timeRange = document.getElementById('timeRange');
+    const orientationSelect = document.getElementById('sliceOrientationSelect');
+    const arrowScaleSlider = document.getElementById('arrowScaleSlider');
+
+    // Calculated fields first, so the field selects below can offer them.
+    if (Array.isArray(view.expressionFields)) restoreExpressionFields(view.expressionFields);
+
+    setSelectValueIfPresent(document.getElementById('variableSelect'), view.variable);
+    setSelectValueIfPresent(document.getElementById('colormapSelect'), view.colormap);
+    setSelectValueIfPresent(document.getElementById('timeSeriesVariable'), view.timeSeriesVariable);
+    if (Array.isArray(view.timeSeriesExtraVariables)) {
+        for (const option of document.getElementById('timeSeriesExtraVariables').options) {
+            option.selected = view.timeSeriesExtraVariables.includes(option.value);
         }
-    };
+    }
 
-    const config = {
-        responsive: true,
-        displayModeBar: true,
-        modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d'],
-        displaylogo: false,
-        useResizeHandler: true
-    };
+    if (view.theme) {
+        setSelectValueIfPresent(themeSelect, view.theme);
+        applyTheme(themeSelect.value);
+        document.body.setAttribute('data-theme', themeSelect.value);
+    }
 
-    Plotly.newPlot('timeSeriesContainer', allTraces, layout, config);
-    plotData();
-}
+    if (Number.isFinite(view.time)) {
+        currentTimeIndex = timePoints.indexOf(getClosestTimeValue(view.time, timePoints));
+        timeRange.value = currentTimeIndex;
+        updateTimeDisplay();
+    }
 
-function clearAllPoints() {
-    for (let i = 1; i <= 4; i++) {
-        document.getElementById(`xCoord${i}`).value = '';
-        document.getElementById(`zCoord${i}`).value = '';
+    if (view.slice && SLICE_PLANES[view.slice.orientation]) {
+        sliceOrientation = view.slice.orientation;
+        orientationSelect.value = sliceOrientation;
+
+        const normalAxis = getGridAxis(scalarStore.grid, SLICE_PLANES[sliceOrientation].normal);
+        setSlicePositionIndex(findNearestAxisIndex(normalAxis, view.slice.position));
+        updateAxisLabels();
     }
 
-    plottedPoints = [];
-    nextPointSlot = 1;
-    plotData();
-}
+    customColorbarRange = view.customColorbarRange || null;
+    customXRange = view.customXRange || null;
+    customZRange = view.customZRange || null;
 
-function showTimeSeriesSection() {
-    const timeSeriesSection = document.getElementById('timeSeriesSection');
-    timeSeriesSection.style.display = 'block';
+    setSelectValueIfPresent(document.getElementById('vectorTypeSelect'), view.vectorType);
+    vectorType = document.getElementById('vectorTypeSelect').value;
 
-    if (timePoints.length > 0) {
-        const firstTimeData = parseTimeStepData(fileText, timePoints[0]);
-        if (firstTimeData.length > 0) {
-            const samplePoints = [];
-            for (let i = 0; i < Math.min(4, firstTimeData.length); i++) {
-                const index = Math.floor(i * firstTimeData.length / 4);
-                samplePoints.push(firstTimeData[index]);
-            }
+    if (Number.isFinite(view.arrowScale)) {
+        arrowScale = view.arrowScale;
+        arrowScaleSlider.value = arrowScale;
+        updateArrowScaleDisplay(document.getElementById('arrowScaleDisplay'));
+    }
 
-            for (let i = 0; i < samplePoints.length; i++) {
-                document.getElementById(`xCoord${i + 1}`).value = samplePoints[i].x.toFixed(3);
-                document.getElementById(`zCoord${i + 1}`).value = samplePoints[i].z.toFixed(3);
-            }
-        }
+    setSelectValueIfPresent(document.getElementById('arrowColorSelect'), view.arrowColor);
+    arrowColor = document.getElementById('arrowColorSelect').value;
+
+    if (view.vectorTimeMatching) {
+        vectorTimeMatching = { ...vectorTimeMatching, ...view.vectorTimeMatching };
+        updateVectorTimeControlsFromState();
     }
 
-    updatePlottedPointsFromInputs();
-}
+    if (view.contourOverlay) {
+        contourOverlay = { ...contourOverlay, ...view.contourOverlay };
+        updateContourControlsFromState();
+    }
 
-function downloadTimeSeriesCSV() {
-    if (!fileText || timePoints.length === 0) {
-        alert('Please load a data file first.');
-        return;
+    if (view.phaseDiagnostics) {
+        phaseDiagnostics = { ...phaseDiagnostics, ...view.phaseDiagnostics };
+        updatePhaseControlsFromState();
     }
 
-    const points = getPointsFromInputs();
-    if (points.length === 0) {
-        alert('Please enter valid coordinates for at least one point.');
-        return;
+    if (view.flowTracing) {
+        flowTracing = { ...flowTracing, ...view.flowTracing };
+        updateFlowControlsFromState();
     }
 
-    const selectedVariable = document.getElementById('timeSeriesVariable').value;
+    if (view.deckOverlay) {
+        deckOverlay = { ...deckOverlay, ...view.deckOverlay };
+        updateDeckControlsFromState();
+    }
 
-    if (isDerivedVectorField(selectedVariable) && (!vectorFileText || vectorTimePoints.length === 0)) {
-        alert('Please load a vector file first for vector-derived time series.');
-        return;
+    if (view.thermalConductivity) {
+        thermalConductivity = { ...thermalConductivity, ...view.thermalConductivity };
+        updateConductivityControlsFromState();
+        applyThermalConductivity();
     }
 
-    let csv = 'time';
-    for (let i = 0; i < points.length; i++) {
-        csv += `,point${i + 1}`;
+    if (view.sectionLine) {
+        sectionLine = { ...sectionLine, ...view.sectionLine };
+        updateSectionControlsFromState();
     }
-    csv += '\n';
 
-    for (const time of timePoints) {
-        const scalarTimeData = parseTimeStepData(fileText, time);
-        const bestVectorTime = isDerivedVectorField(selectedVariable)
-            ? getClosestTimeValue(time, vectorTimePoints)
-            : null;
-        const vectorTimeData = (isDerivedVectorField(selectedVariable) && bestVectorTime !== null)
-            ? parseVectorTimeStepData(vectorFileText, bestVectorTime)
-            : null;
+    if (view.profileLine) {
+        profileLine = { ...profileLine, ...view.profileLine };
+        updateProfileControlsFromState();
+    }
 
-        csv += `${time}`;
+    if (Array.isArray(view.regions)) {
+        regions = view.regions.map(region => ({ ...region }));
+        nextRegionId = regions.reduce((max, region) => Math.max(max, region.id), 0) + 1;
+        regionSettings = { ...regionSettings, ...view.regionSettings };
+        updateRegionControlsFromState();
+    }
 
-        for (let i = 0; i < points.length; i++) {
-            const p = points[i];
-            const scalarResult = findClosestScalarPoint(scalarTimeData, p.x, p.z);
+    if (view.statisticsSettings) {
+        statisticsSettings = { ...statisticsSettings, ...view.statisticsSettings };
+        updateStatisticsControlsFromState();
+    }
 
-            let value = '';
+    setSelectValueIfPresent(document.getElementById('comparisonModeSelect'), view.comparisonMode);
+    comparisonMode = document.getElementById('comparisonModeSelect').value;
+    updateComparisonControlsFromState();
 
-            if (scalarResult.closestPoint) {
-                if (isDerivedVectorField(selectedVariable)) {
-                    const vectorResult = vectorTimeData
-                        ? findClosestVectorPoint(vectorTimeData, p.x, p.z)
-                        : { closestPoint: null };
+    if (view.probeSampling) {
+        probeSampling = { ...probeSampling, ...view.probeSampling };
+        updateProbeSamplingControlsFromState();
+    }
 
-                    if (vectorResult.closestPoint) {
-                        const localCellAreaM2 = vectorTimeData
-                            ? computeTypicalCellAreaM2FromVectorRows(vectorTimeData)
-                            : 1.0;
+    // Sessions saved before the probe table hold up to four unnamed `points`.
+    const savedProbes = Array.isArray(view.probes) ? view.probes : view.points;
+    if (Array.isArray(savedProbes)) {
+        probes = [];
+        nextProbeId = 1;
+        savedProbes.forEach(probe => probes.push(createProbe(probe)));
+        renderProbeTable();
+    }
+}
 
-                        value = computeDerivedValueAtPoint(
-                            selectedVariable,
-                            vectorResult.closestPoint,
-                            scalarResult.closestPoint,
-                            localCellAreaM2
-                        );
-                    }
-                } else {
-                    value = scalarResult.closestPoint[selectedVariable];
-                }
-            }
+function rangeToSliderPercent(range, fullRange) {
+    const span = fullRange.max - fullRange.min;
+    if (!range || !(span > 0)) return [0, 100];
 
-            csv += `,${value}`;
-        }
+    return [
+        Math.max(0, Math.min(100, 100 * (range.min - fullRange.min) / span)),
+        Math.max(0, Math.min(100, 100 * (range.max - fullRange.min) / span))
+    ];
+}
 
-        csv += '\n';
-    }
+// The range sliders are in percent of the auto range, which is only
+// known after plotting, so restored custom ranges are synced afterwards.
+function syncRangeSlidersToCustomRanges() {
+    $("#slider-range").slider("values", rangeToSliderPercent(customColorbarRange, currentDataRange));
+    $("#x-slider-range").slider("values", rangeToSliderPercent(customXRange, currentXRange));
+    $("#z-slider-range").slider("values", rangeToSliderPercent(customZRange, currentZRange));
 
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'time_series.csv';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    updateRangeDisplay();
+    updateXRangeDisplay();
+    updateZRangeDisplay();
 }
 
-// ============================================================
-// GIF export
-// ============================================================
+// --- IndexedDB dataset cache ---
 
-async function exportGifAnimation() {
-    if (!fileText || timePoints.length === 0) {
-        alert('Please load a data file first.');
-        return;
+function openSessionDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+
+        const request = indexedDB.open(SESSION_DB_NAME, 1);
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore(SESSION_DB_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function runSessionDatabaseRequest(mode, makeRequest) {
+    const db = await openSessionDatabase();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(SESSION_DB_STORE, mode);
+            const request = makeRequest(transaction.objectStore(SESSION_DB_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
     }
+}
 
-    const frameStep = Math.max(1, parseInt(document.getElementById('gifFrameStep').value, 10) || 1);
-    const resString = document.getElementById('gifResolution').value || '900x600';
-    const [width, height] = resString.split('x').map(Number);
-    const plotDiv = document.getElementById('plotContainer');
-    const nFrames = timePoints.length;
-    const folderName = `plot_frames_${Date.now()}`;
-    const zip = new JSZip();
-    zip.folder(folderName);
+async function cacheStoreInDatabase(store) {
+    const file = { name: store.fileName, size: store.fileSize, lastModified: store.lastModified };
 
-    let progressDiv = document.getElementById('gifExportProgress');
-    if (!progressDiv) {
-        progressDiv = document.createElement('div');
-        progressDiv.id = 'gifExportProgress';
-        progressDiv.style = 'color: #fff; background: #222; padding: 10px; border-radius: 8px; margin: 10px 0;';
-        plotDiv.parentNode.insertBefore(progressDiv, plotDiv);
+    // Out_* files and input decks are cached as parsed. Of the Plot files
+    // only the parsed columns are, without attached printout and deck
+    // fields; the grid model is rebuilt on restore.
+    let record;
+    if (['balance', 'printout', 'deck'].includes(store.kind)) {
+        const { fileName, fileSize, lastModified, ...result } = store;
+        record = { ...result, file };
+    } else {
+        record = {
+            kind: store.kind,
+            file,
+            times: store.times,
+            steps: store.times.map(time => {
+                const step = store.steps.get(time);
+                const copy = { time: step.time, count: step.count };
+                for (const name of getStoredFields(store.kind)) copy[name] = step[name];
+                return copy;
+            }),
+            stats: store.stats
+        };
     }
 
-    let nExported = 0;
-    for (let i = 0; i < nFrames; i += frameStep) {
-        currentTimeIndex = i;
-        await plotData();
-        await new Promise(r => setTimeout(r, 100));
+    await runSessionDatabaseRequest('readwrite', objectStore =>
+        objectStore.put(record, getStoreCacheKey(store))
+    );
+}
 
-        const pngDataUrl = await Plotly.toImage(plotDiv, { format: 'png', width, height });
-        const res = await fetch(pngDataUrl);
-        const blob = await res.blob();
+async function loadStoreFromDatabase(cacheKey) {
+    const record = await runSessionDatabaseRequest('readonly', objectStore => objectStore.get(cacheKey));
+    if (!record) return null;
 
-        const filename = `${folderName}/frame_${String(i).padStart(3, '0')}.png`;
-        zip.file(filename, blob);
+    const { file, ...result } = record;
+    return createHydroStore(file, result);
+}
 
-        nExported++;
-        progressDiv.textContent = `Exported frame ${nExported} (step ${i + 1} of ${nFrames})`;
-        await new Promise(r => setTimeout(r, 100));
+async function clearSessionCache() {
+    try {
+        await runSessionDatabaseRequest('readwrite', objectStore => objectStore.clear());
+        alert('Cached session data cleared.');
+    } catch (error) {
+        console.error('Error clearing session cache:', error);
+        alert('Error clearing session cache: ' + error.message);
     }
-
-    progressDiv.textContent = `Zipping frames...`;
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    saveAs(zipBlob, `${folderName}.zip`);
-    progressDiv.textContent = `Done! Unzip ${folderName}.zip, then run: convert -delay 5 *.png screens.gif`;
-    setTimeout(() => progressDiv.remove(), 15000);
 }
 
 // ============================================================
@@ -1653,7 +6264,7 @@ document.addEventListener('DOMContentLoaded', function () {
     const downloadTimeSeriesBtn = document.getElementById('downloadTimeSeriesBtn');
 
     variableSelect.addEventListener('change', function () {
-        if (fileText) {
+        if (scalarStore) {
             customColorbarRange = null;
             customXRange = null;
             customZRange = null;
@@ -1665,7 +6276,7 @@ document.addEventListener('DOMContentLoaded', function () {
     });
 
     colormapSelect.addEventListener('change', function () {
-        if (fileText) {
+        if (scalarStore) {
             plotData();
         }
     });
@@ -1673,14 +6284,28 @@ document.addEventListener('DOMContentLoaded', function () {
     themeSelect.addEventListener('change', function () {
         currentTheme = this.value;
         applyTheme(currentTheme);
-        if (fileText) {
+        if (scalarStore) {
             plotData();
             if (document.getElementById('timeSeriesSection').style.display !== 'none') {
                 plotTimeSeries();
             }
+            // Only redraw the phase history once the user has plotted it.
+            if (document.getElementById('phaseHistoryContainer').data) {
+                plotPhaseHistory();
+            }
+            if (document.getElementById('sectionFluxContainer').data) {
+                plotSectionFlux();
+            }
+            if (document.getElementById('profileContainer').data) {
+                plotProfile();
+            }
+            refreshStatisticsPlots();
+            if (balanceStore) plotBalance();
         }
     });
 
+    setupProbeControls();
+
     if (downloadTimeSeriesBtn) {
         downloadTimeSeriesBtn.addEventListener('click', function () {
             downloadTimeSeriesCSV();
@@ -1696,7 +6321,7 @@ document.addEventListener('DOMContentLoaded', function () {
 });
 
 document.addEventListener('keydown', function (e) {
-    if (!fileText) return;
+    if (!scalarStore) return;
 
     const timeRange = document.getElementById('timeRange');
     const currentValue = parseInt(timeRange.value, 10);
@@ -1711,7 +6336,7 @@ document.addEventListener('keydown', function (e) {
 });
 
 window.addEventListener('resize', function () {
-    if (fileText && timePoints.length > 0) {
+    if (scalarStore && timePoints.length > 0) {
         clearTimeout(window.resizeTimeout);
         window.resizeTimeout = setTimeout(() => {
             plotData();
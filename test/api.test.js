@@ -0,0 +1,95 @@
+// Calculated fields and probes through the Node API (hydrotherm.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const hydrotherm = require('../hydrotherm');
+
+// Results come from the API's VM context, whose objects and arrays fail
+// deepStrictEqual against literals of this one; compare copies instead.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// 3 × 1 × 2 grid at two times; temperature = 10·x + 100·z + time.
+function makeScalarStore() {
+    const lines = ['  x y z time temperature pressure saturation phase'];
+    for (const time of [0, 10]) {
+        for (const z of [0, 1]) {
+            for (const x of [0, 1, 2]) {
+                lines.push(`${x} 0 ${z} ${time} ${10 * x + 100 * z + time} ${1 + z} 0 1`);
+            }
+        }
+    }
+    return hydrotherm.parseText(lines.join('\n'), 'scalar', 'Plot_scalar');
+}
+
+test('expression compile errors', () => {
+    const cases = [
+        ['', /The expression is empty/],
+        ['foo(1)', /Unknown function "foo" at position 1/],
+        ['temperature 2', /Unexpected "2" at position 13/],
+        ['temperature +', /Expected a value at the end/],
+        ['pow(temperature)', /pow\(\) takes 2 arguments/],
+        ['max()', /max\(\) takes at least 1 argument/],
+        ['min()', /min\(\) takes at least 1 argument/],
+        ['constructor(5)', /Unknown function "constructor"/],
+        ['temperatur - 20', /Unknown field "temperatur"/]
+    ];
+    for (const [expression, message] of cases) {
+        assert.throws(() => hydrotherm.defineField('bad', expression), message, expression);
+    }
+    assert.throws(() => hydrotherm.defineField('temperature', '1'), /already a field or function name/);
+    assert.equal(hydrotherm.model.isExpressionField('bad'), false);
+});
+
+test('calculated fields evaluate and guard their users', () => {
+    const store = makeScalarStore();
+    hydrotherm.defineField('dT', 'temperature - 2^2');
+    hydrotherm.defineField('twice', 'dT * 2');
+
+    try {
+        const field = hydrotherm.getFieldAtTime(store, 'twice', 10);
+        assert.deepEqual(Array.from(field.values), [12, 32, 52, 212, 232, 252]);
+        assert.throws(() => hydrotherm.removeField('dT'), /twice uses "dT"; remove it first/);
+    } finally {
+        hydrotherm.removeField('twice');
+        hydrotherm.removeField('dT');
+    }
+});
+
+test('probe samples nearest, bilinear and out-of-range points', () => {
+    const store = makeScalarStore();
+
+    const nearest = hydrotherm.probe(store, { x: 1, z: 1 }, 'temperature');
+    assert.deepEqual(plain(nearest), [{ time: 0, value: 110 }, { time: 10, value: 120 }]);
+
+    const bilinear = hydrotherm.probe(store, { x: 0.5, z: 0.5 }, 'temperature', { mode: 'bilinear', times: [10] });
+    assert.deepEqual(plain(bilinear), [{ time: 10, value: 65 }]);
+
+    const outside = hydrotherm.probe(store, { x: 5, z: 0 }, 'temperature', { times: [0] });
+    assert.ok(Number.isNaN(outside[0].value));
+
+    assert.throws(() => hydrotherm.probe(store, { x: 0, z: 0 }, 'temperature', { mode: 'cubic' }), /Unknown probe mode/);
+    assert.throws(() => hydrotherm.probe(store, { x: 0, z: 0 }, 'nope'), /Unknown field "nope"/);
+});
+
+test('gradient fields use neighbouring nodes and times', () => {
+    const store = makeScalarStore();
+
+    // z is elevation and T rises upward, so −dT/dz is negative.
+    assert.deepEqual(Array.from(hydrotherm.getFieldAtTime(store, 'geothermal_gradient', 0).values), Array(6).fill(-100));
+    assert.ok(hydrotherm.getFieldAtTime(store, 'temperature_rate', 0).values.every(Number.isNaN));
+    assert.deepEqual(Array.from(hydrotherm.getFieldAtTime(store, 'temperature_rate', 10).values), Array(6).fill(1));
+});
+
+test('each store keeps its own thermal conductivity', () => {
+    const a = makeScalarStore();
+    const b = makeScalarStore();
+    hydrotherm.setConductivity(a, 2);
+    hydrotherm.setConductivity(b, 3);
+
+    const gradient = hydrotherm.getFieldAtTime(a, 'temperature_gradient_mag', 0).values;
+    const fluxA = hydrotherm.getFieldAtTime(a, 'conductive_heat_flux', 0).values;
+    const fluxB = hydrotherm.getFieldAtTime(b, 'conductive_heat_flux', 0).values;
+    assert.deepEqual(Array.from(fluxA), Array.from(gradient, value => 2 * value));
+    assert.deepEqual(Array.from(fluxB), Array.from(gradient, value => 3 * value));
+    assert.throws(() => hydrotherm.setConductivity(a, 0), /positive number/);
+});
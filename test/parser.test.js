@@ -0,0 +1,109 @@
+// Parsing of input decks and Out_balance files (hydro-parser.js),
+// through the Node API so the page's scripts run as they do there.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const hydrotherm = require('../hydrotherm');
+
+// Results come from the API's VM context, whose objects and arrays fail
+// deepStrictEqual against literals of this one; compare copies instead.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function parseDeck(lines) {
+    return hydrotherm.parseText(lines.join('\n'), 'deck', 'deck');
+}
+
+test('deck keywords, units and formats', () => {
+    const deck = parseDeck([
+        'TITLE',
+        '. Test run',
+        '# nx ny nz',
+        '3 1 2',
+        'POROSITY CONSTANT',
+        '0.1',
+        'RANGE',
+        '1 1 1 1 0.2',
+        'THERMAL CONDUCTIVITY (W/m K) ROCK',
+        '1 2.5',
+        'SPECIFIED PRESSURE RANGE',
+        '1 3 2 2 1.0'
+    ]);
+
+    assert.equal(deck.title, 'Test run');
+    assert.deepEqual(plain(deck.dimensions), { nx: 3, ny: 1, nz: 2 });
+
+    const porosity = deck.properties.find(block => block.name === 'porosity');
+    assert.deepEqual(plain(porosity.parts.map(part => part.format)), ['constant', 'range']);
+    assert.deepEqual(plain(porosity.parts[1].rows), [[1, 1, 1, 1, 0.2]]);
+
+    const conductivity = deck.properties.find(block => block.name === 'conductivity');
+    assert.equal(conductivity.unit, 'W/m K');
+    assert.equal(conductivity.parts[0].format, 'rock');
+
+    assert.equal(deck.boundaries.length, 1);
+    assert.equal(deck.boundaries[0].keyword, 'SPECIFIED_PRESSURE');
+    assert.equal(deck.boundaries[0].type, 'value');
+    assert.equal(deck.boundaries[0].parts[0].format, 'range');
+});
+
+test('deck values resolve onto grid cells', () => {
+    const deck = parseDeck([
+        '# nx ny nz',
+        '3 1 2',
+        'POROSITY CONSTANT',
+        '0.1',
+        'RANGE',
+        '2 3 2 2 0.3',
+        'SPECIFIED PRESSURE RANGE',
+        '1 2 2 2 100'
+    ]);
+    const resolved = hydrotherm.resolveDeck(deck);
+    const porosity = resolved.properties.find(property => property.name === 'porosity');
+
+    assert.deepEqual(Array.from(porosity.values), [0.1, 0.1, 0.1, 0.1, 0.3, 0.3]);
+    assert.deepEqual(plain(resolved.boundaries[0].cells), [3, 4]);
+    assert.deepEqual(plain(resolved.boundaries[0].values), [[100], [100]]);
+    assert.deepEqual(plain(resolved.problems), []);
+});
+
+test('the last of several format words counts', () => {
+    const deck = parseDeck([
+        '# nx ny nz',
+        '3 1 2',
+        'SPECIFIED PRESSURE NODES RANGE',
+        '1 2 1 1 100'
+    ]);
+    const resolved = hydrotherm.resolveDeck(deck);
+
+    assert.equal(deck.boundaries[0].keyword, 'SPECIFIED_PRESSURE');
+    assert.equal(deck.boundaries[0].parts[0].format, 'range');
+    assert.deepEqual(plain(resolved.boundaries[0].cells), [0, 1]);
+    assert.deepEqual(plain(resolved.boundaries[0].values), [[100], [100]]);
+    assert.deepEqual(plain(resolved.problems), []);
+});
+
+test('a deck without keywords is refused', () => {
+    assert.throws(() => parseDeck(['1 2 3', 'just text']), /No grid, rock-property or boundary keywords/);
+});
+
+test('Out_balance keys do not depend on repeated column headers', () => {
+    const store = hydrotherm.parseText([
+        ' Time: 1.0E+02 (yr)',
+        ' Time step no. 12',
+        ' GLOBAL FLUID BALANCE',
+        '                      Rate       Amount',
+        ' Boundary inflow ...  1.0 (kg/s)  2.0 (kg)',
+        ' Time: 2.0E+02 (yr)',
+        ' Time step no. 24',
+        ' GLOBAL FLUID BALANCE',
+        ' Boundary inflow ...  1.5 (kg/s)  3.0 (kg)'
+    ].join('\n'), 'balance', 'Out_balance');
+
+    assert.deepEqual(plain(store.times), [100, 200]);
+    assert.deepEqual(plain(store.series.map(term => term.key)), [
+        'GLOBAL FLUID BALANCE: Boundary inflow [Rate]',
+        'GLOBAL FLUID BALANCE: Boundary inflow [Amount]'
+    ]);
+    assert.deepEqual(Array.from(store.series[0].values), [1.0, 1.5]);
+    assert.deepEqual(Array.from(store.series[1].values), [2.0, 3.0]);
+});